@@ -1,13 +1,95 @@
 import primate from '@thewebchimp/primate';
 import '#utils/typedef.js';
+import captureRawBody from '#middlewares/raw-body.js';
 
 import { router as whatsapp } from '#routes/whatsapp.js';
 import { router as ai } from '#routes/ai.js';
 import {router as jb } from '#routes/juno-bitso.js';
 
+import QueueService from '#services/queue.service.js';
+import WahaEventService from '#services/waha-event.service.js';
+import WhatsappService from '#services/whatsapp.service.js';
+import MessageService from '#services/message.service.js';
+import ToolService from '#services/tool.service.js';
+import NotificationService from '#services/notification.service.js';
+import ChainWatcherService from '#services/chain-watcher.service.js';
+import SponsorshipService from '#services/sponsorship.service.js';
+import TransactionTrackerService from '#services/transaction-tracker.service.js';
+import TransferService from '#entities/transfers/transfer.service.js';
+import JunoBitsoService from '#services/juno-bitso.service.js';
+import DepositService from '#services/deposit.service.js';
+import CashOutService from '#entities/cashouts/cashout.service.js';
+import ProviderEventService from '#services/provider-event.service.js';
+import BitsoAccountService from '#services/bitso-account.service.js';
+
+import changeEmail from '#tools/change-email.tool.js';
+import changeNicename from '#tools/change-nicename.tool.js';
+import getWalletBalance from '#tools/get-wallet-balance.tool.js';
+import getTransactionHistory from '#tools/get-transaction-history.tool.js';
+import sendMoney from '#tools/send-money.tool.js';
+import listContacts from '#tools/list-contacts.tool.js';
+import addContact from '#tools/add-contact.tool.js';
+import removeContact from '#tools/remove-contact.tool.js';
+import topUp from '#tools/top-up.tool.js';
+import cashOut from '#tools/cash-out.tool.js';
+
+// the signed webhooks keep their raw body, mounted before the JSON parser of Primate
+primate.app.use([ '/whatsapp', '/jb/webhooks' ], captureRawBody);
+
 await primate.setup();
 await primate.start();
 
 primate.app.use('/whatsapp', whatsapp);
 primate.app.use('/ai', ai);
 primate.app.use('/jb', jb);
+
+// WAHA webhook events
+WahaEventService.register('message.any', WhatsappService.receiveMessage);
+WahaEventService.register('message.ack', MessageService.handleAck);
+WahaEventService.register('message.reaction', MessageService.handleReaction);
+WahaEventService.register('message.revoked', MessageService.handleRevoked);
+WahaEventService.register('session.status', WhatsappService.handleSessionStatus);
+
+// Bitso and Juno webhook events
+ProviderEventService.register('juno', 'deposit', DepositService.recordFromWebhook);
+ProviderEventService.register('juno', 'withdrawal', DepositService.withdrawalUpdated);
+ProviderEventService.register('juno', 'redemption', CashOutService.redemptionUpdated);
+ProviderEventService.register('bitso', 'funding', BitsoAccountService.fundingUpdated);
+ProviderEventService.register('bitso', 'withdrawal', BitsoAccountService.withdrawalUpdated);
+ProviderEventService.register('bitso', 'trade', BitsoAccountService.orderFilled);
+ProviderEventService.register('bitso', 'order', BitsoAccountService.orderFilled);
+
+// assistant tools
+ToolService.register(changeEmail);
+ToolService.register(changeNicename);
+ToolService.register(getWalletBalance);
+ToolService.register(getTransactionHistory);
+ToolService.register(sendMoney);
+ToolService.register(listContacts);
+ToolService.register(addContact);
+ToolService.register(removeContact);
+ToolService.register(topUp);
+ToolService.register(cashOut);
+
+// background jobs
+QueueService.register('whatsapp.message', WhatsappService.processQueuedMessage, {
+	onDead: WhatsappService.releaseDeadMessage,
+});
+QueueService.register('notification.transfer', NotificationService.sendIncomingTransfer);
+QueueService.register('notification.transfer-failed', NotificationService.sendFailedTransfer);
+QueueService.register('sponsorship.grant', SponsorshipService.grant);
+QueueService.register('transaction.settled', TransactionTrackerService.settle);
+QueueService.register('deposit.credit', DepositService.credit, { onDead: DepositService.creditDead });
+QueueService.register('cashout.redeem', CashOutService.redeem, { onDead: CashOutService.redeemDead });
+QueueService.register('provider.event', ProviderEventService.process, { onDead: ProviderEventService.processDead });
+
+// on-chain transactions, settled once their receipt is found
+TransactionTrackerService.register('transfer', { onConfirmed: TransferService.complete, onFailed: TransferService.fail });
+TransactionTrackerService.register('sponsorship', { onConfirmed: SponsorshipService.complete, onFailed: SponsorshipService.fail });
+TransactionTrackerService.register('cashOut', { onConfirmed: CashOutService.transferred, onFailed: CashOutService.transferFailed });
+
+if(process.env.QUEUE_WORKER !== 'false') QueueService.start();
+if(process.env.CHAIN_WATCHER !== 'false') ChainWatcherService.start();
+if(process.env.TX_TRACKER !== 'false') TransactionTrackerService.start();
+if(JunoBitsoService.configured && process.env.JUNO_DEPOSITS_POLLER !== 'false') DepositService.start();
+if(JunoBitsoService.configured && CashOutService.enabled && process.env.CASHOUT_POLLER !== 'false') CashOutService.start();
@@ -1,5 +1,6 @@
 import { PrismaClient } from '@prisma/client';
 import JunoBitsoService from '#services/juno-bitso.service.js';
+import ProviderEventService from '#services/provider-event.service.js';
 
 const prisma = new PrismaClient();
 
@@ -987,6 +988,41 @@ class JunoBitsoController {
             return res.respond({ status: 500, message: 'Internal Server Error', error: error.message });
         }
     }
+
+    /**
+     * @summary Receives the events sent by the Bitso webhook. The signature is checked by the router.
+     * @param {object} req - The signed request object. Contains the event in the body.
+     * @param {object} res - The response object.
+     * @returns {Promise<object>} A standard JSON response.
+     */
+    static async bitsoWebhook(req, res) {
+        return JunoBitsoController.#receiveEvent('bitso', req, res);
+    }
+
+    /**
+     * @summary Receives the events sent by the Juno webhook. The signature is checked by the router.
+     * @param {object} req - The signed request object. Contains the event in the body.
+     * @param {object} res - The response object.
+     * @returns {Promise<object>} A standard JSON response.
+     */
+    static async junoWebhook(req, res) {
+        return JunoBitsoController.#receiveEvent('juno', req, res);
+    }
+
+    /**
+     * Stores a webhook event, which is handled in the background so the provider gets its answer right away.
+     * @private
+     */
+    static async #receiveEvent(provider, req, res) {
+        try {
+            if (!req.body || Object.keys(req.body).length === 0) return res.respond({ status: 400, message: 'Event data is required.' });
+            const { event, duplicate } = await ProviderEventService.receive(provider, req.body);
+            return res.respond({ status: 200, message: duplicate ? 'Event already received.' : 'Event received.', data: { uid: event.uid, status: event.status } });
+        } catch (error) {
+            console.error(`Error receiving ${ provider } webhook:`, error);
+            return res.respond({ status: 500, message: 'Internal Server Error', error: error.message });
+        }
+    }
 }
 
 export default JunoBitsoController;
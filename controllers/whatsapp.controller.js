@@ -1,6 +1,6 @@
 import 'dotenv/config';
 import '#utils/typedef.js';
-import WhatsappService from '#services/whatsapp.service.js';
+import WahaEventService from '#services/waha-event.service.js';
 
 class WhatsAppController {
 
@@ -11,17 +11,17 @@ class WhatsAppController {
 			if(!event) return res.respond({ status: 400, message: 'Event not found' });
 			const payload = req.body.payload;
 
-			if(event === 'message.any') {
-				const response = await WhatsappService.webhookResponse(payload);
-
+			if(!WahaEventService.has(event)) {
 				return res.respond({
-					data: response,
-					message: 'Message sent',
+					message: 'Event not supported',
 				});
 			}
 
+			const response = await WahaEventService.dispatch(event, payload, req.body);
+
 			return res.respond({
-				message: 'Event not supported',
+				data: response.data,
+				message: response.message,
 			});
 
 		} catch(error) {
@@ -0,0 +1,216 @@
+import primate, { PrimateController } from '@thewebchimp/primate';
+import CashOutService, { CashOutError } from './cashout.service.js';
+import { SpendingLimitError } from '#entities/limits/limit.service.js';
+import ConfirmationService from '#services/confirmation.service.js';
+import WahaService from '#services/waha.service.js';
+
+class CashOutController extends PrimateController {
+
+	/**
+	 * Lists the cash-outs of the authenticated user.
+	 *
+	 * Accepts the optional query parameters `status`, `page` and `limit`.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async list(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const { status, page, limit } = req.query;
+			const cashOuts = await CashOutService.listByUser(req.user.payload.id, { status, page, limit });
+
+			return res.respond({
+				data: cashOuts.data,
+				message: 'Cash-outs retrieved successfully',
+				props: {
+					count: cashOuts.count,
+					page: cashOuts.page,
+					limit: cashOuts.limit,
+				},
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error listing cash-outs: ' + e.message });
+		}
+	}
+
+	/**
+	 * Retrieves a single cash-out of the authenticated user by its UID.
+	 *
+	 * @param {Object} req - The request object containing the cash-out UID in the parameters.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async get(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const cashOut = await CashOutService.findByUidForUser(req.params.uid, req.user.payload.id);
+			if(!cashOut) return res.respond({ status: 404, message: 'Cash-out not found' });
+
+			return res.respond({
+				data: cashOut,
+				message: 'Cash-out retrieved successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error retrieving cash-out: ' + e.message });
+		}
+	}
+
+	/**
+	 * Requests a cash-out of the authenticated user.
+	 *
+	 * Accepts `amount` and either `clabe` (with `beneficiary` when the CLABE is new) or nothing else to
+	 * use the only registered account. Nothing is moved yet: the one-time code is sent to the user by
+	 * WhatsApp and the cash-out runs when it is sent to the confirm endpoint.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async request(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const user = await primate.prisma.user.findUnique({ where: { id: req.user.payload.id } });
+			if(!user) return res.respond({ status: 404, message: 'User not found' });
+
+			// the code travels through WhatsApp, so it never reaches whoever holds the token alone
+			if(!user.idWa) return res.respond({ status: 400, message: 'A WhatsApp number is required to confirm cash-outs' });
+			if(!user.metas?.wallet?.address) return res.respond({ status: 400, message: 'The user has no wallet' });
+
+			const { amount, clabe, beneficiary } = req.body || {};
+			const idempotencyKey = req.get('Idempotency-Key') ? `cashOut:${ req.get('Idempotency-Key') }` : null;
+
+			const result = await CashOutService.request(user, user.idWa, { amount, clabe, beneficiary }, idempotencyKey);
+
+			await WahaService.sendText(user.idWa,
+				`🏦 Solicitaste retirar ${ result.amount } ${ result.token } a tu cuenta ${ CashOutService.describeAccount(result.account) } (${ result.account.beneficiary }). ` +
+				`Recibirás $${ result.amount } MXN por SPEI.\n\n${ ConfirmationService.describe(result.intent) }`);
+
+			return res.respond({
+				data: {
+					intent: result.intent.uid,
+					amount: result.amount,
+					token: result.token,
+					bankAccount: CashOutService.describeAccount(result.account),
+					expires: result.intent.expires,
+				},
+				message: 'Cash-out requested, confirm it with the code sent by WhatsApp',
+			});
+
+		} catch(e) {
+			console.error(e);
+			if(e instanceof CashOutError) return res.respond({ status: 400, message: e.message, props: { reason: e.reason } });
+			if(e instanceof SpendingLimitError) return res.respond({ status: 400, message: e.message, props: { reason: 'limit', limit: e.limit } });
+			return res.respond({ status: 400, message: 'Error requesting cash-out: ' + e.message });
+		}
+	}
+
+	/**
+	 * Confirms a cash-out of the authenticated user with the `intent` UID and the `code` sent by WhatsApp.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async confirm(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const { intent, code } = req.body || {};
+			if(!intent || !code) return res.respond({ status: 400, message: 'The intent and the code are required' });
+
+			const cashOut = await CashOutService.confirm({ id: req.user.payload.id }, intent, code);
+			if(!cashOut) return res.respond({ status: 404, message: 'Cash-out request not found' });
+
+			return res.respond({
+				data: cashOut,
+				message: 'Cash-out confirmed successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			if(e instanceof CashOutError) return res.respond({ status: 400, message: e.message, props: { reason: e.reason } });
+			if(e instanceof SpendingLimitError) return res.respond({ status: 400, message: e.message, props: { reason: 'limit', limit: e.limit } });
+			return res.respond({ status: 400, message: 'Error confirming cash-out: ' + e.message });
+		}
+	}
+
+	/**
+	 * Lists the bank accounts of the authenticated user.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async listBankAccounts(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const accounts = await CashOutService.listBankAccounts(req.user.payload.id);
+
+			return res.respond({
+				data: accounts,
+				message: 'Bank accounts retrieved successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error listing bank accounts: ' + e.message });
+		}
+	}
+
+	/**
+	 * Registers a bank account of the authenticated user with its `clabe`, `beneficiary` and optional `alias`.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async registerBankAccount(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const { clabe, beneficiary, alias } = req.body || {};
+			const account = await CashOutService.registerBankAccount({ id: req.user.payload.id }, { clabe, beneficiary, alias });
+
+			return res.respond({
+				data: {
+					uid: account.uid,
+					clabe: account.clabe,
+					beneficiary: account.beneficiary,
+					bankCode: account.bankCode,
+					alias: account.alias,
+					status: account.status,
+				},
+				message: 'Bank account registered successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			if(e instanceof CashOutError) return res.respond({ status: 400, message: e.message, props: { reason: e.reason } });
+			return res.respond({ status: 400, message: 'Error registering bank account: ' + e.message });
+		}
+	}
+}
+
+export default CashOutController;
@@ -0,0 +1,759 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import CryptoService from '#services/crypto.service.js';
+import GasService from '#services/gas.service.js';
+import WalletService from '#services/wallet.service.js';
+import NetworkService from '#services/network.service.js';
+import JunoBitsoService from '#services/juno-bitso.service.js';
+import ConfirmationService from '#services/confirmation.service.js';
+import QueueService from '#services/queue.service.js';
+import WahaService from '#services/waha.service.js';
+import AlertService from '#services/alert.service.js';
+import TransactionTrackerService from '#services/transaction-tracker.service.js';
+import LimitService from '#entities/limits/limit.service.js';
+import { parseClabe, maskClabe } from '#utils/clabe.js';
+import Poller from '#utils/poller.js';
+import { buildStep, appendStep, updateWithStep } from '#utils/steps.js';
+
+/**
+ * Statuses of a redemption in Juno that end a cash-out without paying it.
+ * @type {string[]}
+ */
+const FAILED_REDEMPTION_STATUSES = [ 'FAILED', 'CANCELLED', 'REJECTED' ];
+
+/**
+ * Wrong codes accepted for a cash-out confirmed through the API before its intent is cancelled.
+ * @type {number}
+ */
+const MAX_CODE_ATTEMPTS = 3;
+
+/**
+ * Fields of the bank account exposed with every cash-out.
+ */
+const bankAccountSelect = {
+	uid: true,
+	clabe: true,
+	beneficiary: true,
+	bankCode: true,
+	alias: true,
+	status: true,
+};
+
+/**
+ * Error of a cash-out that cannot be made, with a message for the user.
+ */
+class CashOutError extends Error {
+
+	/**
+	 * @param {string} reason - Why the cash-out was refused (disabled, amount, clabe, beneficiary, noAccount, ambiguous, pendingAccount, balance or code).
+	 * @param {string} message - The explanation for the user.
+	 */
+	constructor(reason, message) {
+		super(message);
+		this.name = 'CashOutError';
+		this.reason = reason;
+	}
+}
+
+/**
+ * Cash-outs of MXNB to the bank accounts of the users through SPEI.
+ *
+ * Users register the CLABE of their bank account, which is checked with its check digit and
+ * must also be registered in Juno, since redemptions are only paid to Juno bank accounts; until
+ * then the account stays Pending and the operators are alerted to register it.
+ *
+ * Every cash-out is confirmed first (see ConfirmationService). Then the MXNB of the user is sent to
+ * the address of the Juno account (JUNO_REDEMPTION_ADDRESS) and, once the transaction is mined, the
+ * `cashout.redeem` queue redeems it for MXN to the bank account, with the UID of the cash-out as
+ * idempotency key. The poller checks the redemptions in Juno every CASHOUT_INTERVAL ms (60000 by
+ * default) until they are paid. Every step is appended to metas.steps.
+ *
+ * Statuses: Pending -> Transferring -> Redeeming -> Processing -> Completed, or Failed.
+ */
+class CashOutService {
+
+	static #poller = new Poller('cash-out', () => CashOutService.#poll());
+
+	/**
+	 * Whether cash-outs are available, which needs the address of the Juno account.
+	 * @return {boolean}
+	 */
+	static get enabled() {
+		return !!process.env.JUNO_REDEMPTION_ADDRESS;
+	}
+
+	/**
+	 * The token that is redeemed for MXN.
+	 * @return {{symbol: string, address: string, decimals: number}}
+	 */
+	static get token() {
+		return NetworkService.getToken('MXNB');
+	}
+
+	/**
+	 * Registers a bank account of a user, or returns it if it was already registered.
+	 *
+	 * @param {Object} user - The owner of the account.
+	 * @param {Object} data - The account.
+	 * @param {string} data.clabe - The 18 digit CLABE.
+	 * @param {string} data.beneficiary - The name of the holder of the account.
+	 * @param {string} [data.alias] - A name to tell the accounts of the user apart.
+	 * @returns {Promise<Object>} - The bank account.
+	 * @throws {CashOutError} - If the CLABE is not valid or the beneficiary is missing.
+	 */
+	static async registerBankAccount(user, data) {
+		const parsed = parseClabe(data.clabe);
+		if(!parsed) throw new CashOutError('clabe', 'La CLABE no es válida. Revisa que tenga los 18 dígitos correctos.');
+
+		const existing = await primate.prisma.bankAccount.findUnique({
+			where: { idUser_clabe: { idUser: user.id, clabe: parsed.clabe } },
+		});
+
+		if(existing) return existing;
+
+		const beneficiary = data.beneficiary?.trim();
+		if(!beneficiary) throw new CashOutError('beneficiary', 'Necesito el nombre completo del titular de la cuenta.');
+
+		const account = await primate.prisma.bankAccount.create({
+			data: {
+				idUser: user.id,
+				clabe: parsed.clabe,
+				beneficiary,
+				bankCode: parsed.bankCode,
+				alias: data.alias?.trim() || null,
+			},
+		});
+
+		const [ linked ] = await CashOutService.link([ account ]);
+
+		if(linked.status === 'Pending') {
+			await AlertService.notify('Bank account pending registration in Juno', {
+				idUser: user.id,
+				clabe: account.clabe,
+				beneficiary,
+			});
+		}
+
+		return linked;
+	}
+
+	/**
+	 * Activates the pending bank accounts that are already registered in Juno.
+	 *
+	 * @param {Array<Object>} accounts - The bank accounts.
+	 * @returns {Promise<Array<Object>>} - The accounts, activated when Juno has them.
+	 */
+	static async link(accounts) {
+		const pending = accounts.filter(account => account.status === 'Pending');
+		if(!pending.length) return accounts;
+
+		let registered;
+
+		try {
+			const response = await JunoBitsoService.retrieveBankAccounts();
+			registered = response?.payload || [];
+		} catch(e) {
+			console.error('Error retrieving the Juno bank accounts:', e.message);
+			return accounts;
+		}
+
+		const linked = [];
+
+		for(const account of accounts) {
+			const match = account.status === 'Pending' && registered.find(item => item.clabe === account.clabe);
+
+			if(!match) {
+				linked.push(account);
+				continue;
+			}
+
+			linked.push(await primate.prisma.bankAccount.update({
+				where: { id: account.id },
+				data: {
+					status: 'Active',
+					providerAccountId: match.id,
+					metas: { ...account.metas, provider: { tag: match.tag, recipientLegalName: match.recipient_legal_name } },
+				},
+			}));
+		}
+
+		return linked;
+	}
+
+	/**
+	 * Lists the bank accounts of a user, newest first.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<Array<Object>>}
+	 */
+	static async listBankAccounts(idUser) {
+		return primate.prisma.bankAccount.findMany({
+			where: { idUser, status: { not: 'Disabled' } },
+			select: bankAccountSelect,
+			orderBy: { created: 'desc' },
+		});
+	}
+
+	/**
+	 * Finds the bank account a cash-out goes to: the one with the given CLABE, registered now if
+	 * it is new, or the only account of the user when no CLABE is given.
+	 *
+	 * @param {Object} user - The user.
+	 * @param {Object} data - What the user said.
+	 * @param {string|null} data.clabe - The CLABE, or null to use the registered account.
+	 * @param {string|null} [data.beneficiary] - The holder of the account, needed for a new CLABE.
+	 * @returns {Promise<Object>} - The bank account.
+	 * @throws {CashOutError} - If the account cannot be found or registered.
+	 */
+	static async resolveBankAccount(user, data) {
+		if(data.clabe) return CashOutService.registerBankAccount(user, data);
+
+		const accounts = await primate.prisma.bankAccount.findMany({
+			where: { idUser: user.id, status: { not: 'Disabled' } },
+			orderBy: { created: 'desc' },
+		});
+
+		if(!accounts.length) {
+			throw new CashOutError('noAccount', 'Aún no tienes una cuenta bancaria registrada. Envíame la CLABE de 18 dígitos y el nombre del titular.');
+		}
+
+		if(accounts.length > 1) {
+			throw new CashOutError('ambiguous', `Tienes varias cuentas registradas: ${ accounts.map(CashOutService.describeAccount).join(', ') }. ¿A cuál quieres retirar?`);
+		}
+
+		return accounts[0];
+	}
+
+	/**
+	 * Requests a cash-out. No funds are moved here: a pending intent is stored and the cash-out is
+	 * executed only after the user confirms it.
+	 *
+	 * @param {Object} user - The user cashing out.
+	 * @param {string} idWa - The WhatsApp ID of the chat that must confirm.
+	 * @param {Object} data - The cash-out.
+	 * @param {number} data.amount - The amount of MXNB to cash out.
+	 * @param {string|null} data.clabe - The CLABE of the bank account, or null to use the registered one.
+	 * @param {string|null} [data.beneficiary] - The holder of the account, needed for a new CLABE.
+	 * @param {string} [idempotencyKey=null] - Key derived from the originating request.
+	 * @returns {Promise<{intent: Object, account: Object, amount: number, token: string, balance: Object}>}
+	 * @throws {CashOutError} - If the cash-out cannot be made.
+	 * @throws {SpendingLimitError} - If the cash-out exceeds a spending limit.
+	 */
+	static async request(user, idWa, data, idempotencyKey = null) {
+		if(!CashOutService.enabled) throw new CashOutError('disabled', 'Los retiros a cuenta bancaria no están disponibles por ahora.');
+
+		const amount = Number(data.amount);
+		if(!amount || amount <= 0) throw new CashOutError('amount', 'El monto a retirar debe ser mayor a cero.');
+
+		// the limits are checked again when the cash-out is executed, this only avoids a useless confirmation
+		await LimitService.check(user, { amount, token: CashOutService.token.symbol, cashOut: true });
+
+		let account = await CashOutService.resolveBankAccount(user, data);
+		[ account ] = await CashOutService.link([ account ]);
+
+		if(account.status !== 'Active') {
+			throw new CashOutError('pendingAccount', `Tu cuenta ${ CashOutService.describeAccount(account) } está en verificación. Te aviso en cuanto puedas retirar a ella.`);
+		}
+
+		const token = CashOutService.token;
+
+		// check the balance now so the user is not asked to confirm a cash-out that cannot happen
+		const balance = await CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals);
+
+		if(parseFloat(balance.balance) < amount) {
+			throw new CashOutError('balance', `Tu saldo es de ${ balance.balance } ${ token.symbol }, no alcanza para retirar ${ amount } ${ token.symbol }.`);
+		}
+
+		const intent = await ConfirmationService.create(user, idWa, 'cashOut', {
+			amount,
+			token: token.symbol,
+			idBankAccount: account.id,
+			bankAccount: CashOutService.describeAccount(account),
+			beneficiary: account.beneficiary,
+		}, idempotencyKey);
+
+		return { intent, account, amount, token: token.symbol, balance };
+	}
+
+	/**
+	 * Confirms a cash-out requested through the API with the code sent to the user by WhatsApp.
+	 *
+	 * @param {Object} user - The user cashing out.
+	 * @param {string} uid - The UID of the intent.
+	 * @param {string} code - The one-time code of the intent.
+	 * @returns {Promise<Object|null>} - The cash-out, or null if the intent does not exist.
+	 * @throws {CashOutError} - If the code is wrong or the intent can no longer be confirmed.
+	 */
+	static async confirm(user, uid, code) {
+		const intent = await primate.prisma.transferIntent.findFirst({ where: { uid, idUser: user.id, action: 'cashOut' } });
+		if(!intent) return null;
+
+		if(intent.status !== 'Pending' || intent.expires < new Date()) {
+			throw new CashOutError('code', 'El retiro ya no está disponible para confirmar. Solicítalo de nuevo.');
+		}
+
+		// every attempt is counted in the database before the code is compared,
+		// so parallel requests cannot try more than MAX_CODE_ATTEMPTS codes
+		const counted = await primate.prisma.transferIntent.updateMany({
+			where: { id: intent.id, status: 'Pending', codeAttempts: { lt: MAX_CODE_ATTEMPTS } },
+			data: { codeAttempts: { increment: 1 } },
+		});
+
+		if(!counted.count) {
+			throw new CashOutError('code', 'El retiro ya no está disponible para confirmar. Solicítalo de nuevo.');
+		}
+
+		// the code is the second factor of the API, a plain "sí" is not enough
+		if(String(code || '').trim() !== intent.code) {
+			const { codeAttempts } = await primate.prisma.transferIntent.findUnique({ where: { id: intent.id }, select: { codeAttempts: true } });
+
+			if(codeAttempts >= MAX_CODE_ATTEMPTS) {
+				await primate.prisma.transferIntent.updateMany({ where: { id: intent.id, status: 'Pending' }, data: { status: 'Cancelled' } });
+			}
+
+			throw new CashOutError('code', 'El código no es correcto.');
+		}
+
+		// only one confirmation can execute the cash-out
+		if(!await ConfirmationService.claim(intent)) {
+			throw new CashOutError('code', 'El retiro ya no está disponible para confirmar. Solicítalo de nuevo.');
+		}
+
+		try {
+			const cashOut = await CashOutService.execute(user.id, intent.args, { idempotencyKey: CashOutService.keyFor(intent) });
+			await ConfirmationService.complete(intent, { metas: { idCashOut: cashOut.id } });
+
+			return cashOut;
+		} catch(e) {
+			await ConfirmationService.complete(intent, { metas: { error: e.message } });
+			throw e;
+		}
+	}
+
+	/**
+	 * The idempotency key of the cash-out of a confirmed intent.
+	 *
+	 * @param {Object} intent - The confirmed intent.
+	 * @returns {string}
+	 */
+	static keyFor(intent) {
+		return intent.idempotencyKey || `cashOut:${ intent.uid }`;
+	}
+
+	/**
+	 * Executes a confirmed cash-out: records it and sends the MXNB of the user to the Juno account.
+	 * The redemption starts once the transaction is mined, see transferred.
+	 *
+	 * @param {number} idUser - The ID of the user cashing out.
+	 * @param {Object} args - The arguments of the confirmed intent.
+	 * @param {Object} [options={}] - Execution options.
+	 * @param {string} [options.idempotencyKey] - A cash-out is executed at most once per key.
+	 * @returns {Promise<Object>} - The cash-out, with its bank account.
+	 * @throws {CashOutError} - If the account is not active or the balance is not enough.
+	 * @throws {SpendingLimitError} - If the cash-out exceeds a spending limit.
+	 */
+	static async execute(idUser, args, options = {}) {
+		if(!CashOutService.enabled) throw new CashOutError('disabled', 'Los retiros a cuenta bancaria no están disponibles por ahora.');
+
+		if(options.idempotencyKey) {
+			const existing = await primate.prisma.cashOut.findUnique({
+				where: { idempotencyKey: options.idempotencyKey },
+				include: { bankAccount: { select: bankAccountSelect } },
+			});
+
+			if(existing) {
+				if(!existing.txHash || existing.status === 'Failed') throw new Error(`Cash-out already attempted (${ existing.status })`);
+
+				console.info('Cash-out already sent for key:', options.idempotencyKey);
+				return existing;
+			}
+		}
+
+		const user = await primate.prisma.user.findUnique({ where: { id: idUser } });
+		if(!user) throw new Error('User not found');
+
+		const account = await primate.prisma.bankAccount.findFirst({ where: { id: args.idBankAccount, idUser } });
+		if(!account) throw new CashOutError('noAccount', 'No encontré la cuenta bancaria del retiro.');
+
+		if(account.status !== 'Active') {
+			throw new CashOutError('pendingAccount', `Tu cuenta ${ CashOutService.describeAccount(account) } está en verificación. Te aviso en cuanto puedas retirar a ella.`);
+		}
+
+		const token = CashOutService.token;
+		const amount = Number(args.amount);
+
+		// spending limits, throws a SpendingLimitError with a message for the user
+		await LimitService.check(user, { amount, token: token.symbol, cashOut: true });
+
+		const balance = await CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals);
+
+		if(parseFloat(balance.balance) < amount) {
+			throw new CashOutError('balance', `Tu saldo es de ${ balance.balance } ${ token.symbol }, no alcanza para retirar ${ amount } ${ token.symbol }.`);
+		}
+
+		// record the cash-out before moving any funds
+		let cashOut = await primate.prisma.cashOut.create({
+			data: {
+				idUser,
+				idBankAccount: account.id,
+				amount: amount.toString(),
+				tokenAddress: token.address,
+				idempotencyKey: options.idempotencyKey || null,
+				metas: { steps: [ buildStep('Requested', { clabe: maskClabe(account.clabe) }) ] },
+			},
+		});
+
+		// checked again with the cash-out recorded, so requests made at the same time cannot exceed the limits together;
+		// a cash-out over a limit is removed before any funds move
+		try {
+			await LimitService.check(user, { amount, token: token.symbol, cashOut: true, recorded: true });
+		} catch(e) {
+			await primate.prisma.cashOut.delete({ where: { id: cashOut.id } });
+			throw e;
+		}
+
+		// Transferring before the broadcast, so a transaction mined at once finds the cash-out ready to redeem
+		cashOut = await CashOutService.#update(cashOut, { status: 'Transferring' }, 'Transferring');
+
+		let transaction;
+
+		try {
+			// the gas is covered by the treasury, see GasService
+			transaction = await GasService.sendToken(
+				await WalletService.findByUser(idUser),
+				token.address,
+				process.env.JUNO_REDEMPTION_ADDRESS,
+				amount,
+				token.decimals,
+				{ kind: 'cashOut', referenceId: cashOut.id },
+			);
+		} catch(e) {
+			console.error('Error sending the cash-out:', e);
+
+			// once broadcast, the MXNB may still reach Juno: the cash-out stays Transferring and
+			// TransactionTrackerService settles it; only a cash-out that never left the wallet failed
+			const hash = await TransactionTrackerService.broadcastHash('cashOut', cashOut.id, e);
+
+			if(!hash) {
+				await CashOutService.#update(cashOut, { status: 'Failed' }, 'TransferFailed', { error: e.message });
+				throw new Error('Error sending the cash-out');
+			}
+
+			transaction = { hash, relayed: null };
+		}
+
+		// the tracker may have settled the transaction already, the hash is only written while it is still Transferring
+		await primate.prisma.cashOut.updateMany({
+			where: { id: cashOut.id, status: 'Transferring' },
+			data: {
+				txHash: transaction.hash,
+				metas: appendStep(cashOut.metas, 'Broadcast', { hash: transaction.hash, relayed: transaction.relayed }),
+			},
+		});
+
+		cashOut = await primate.prisma.cashOut.findUnique({ where: { id: cashOut.id } });
+
+		return { ...cashOut, bankAccount: account };
+	}
+
+	/**
+	 * Queues the redemption of a cash-out once its MXNB reached the Juno account.
+	 * Handler of the 'cashOut' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<void>}
+	 */
+	static async transferred(transaction) {
+		const cashOut = await primate.prisma.cashOut.findUnique({ where: { id: transaction.referenceId } });
+		if(!cashOut) throw new Error('Cash-out not found');
+		if(cashOut.status !== 'Transferring') return;
+
+		// a replaced transaction is mined with a different hash
+		await CashOutService.#update(cashOut, { status: 'Redeeming', txHash: transaction.hash }, 'Transferred', { blockNumber: transaction.blockNumber });
+
+		await QueueService.enqueue('cashout.redeem', { idCashOut: cashOut.id }, { key: `cashout:${ cashOut.uid }` });
+	}
+
+	/**
+	 * Marks a cash-out as Failed when its transaction reverts or is dropped, and tells the user.
+	 * Handler of the 'cashOut' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<void>}
+	 */
+	static async transferFailed(transaction) {
+		const cashOut = await primate.prisma.cashOut.findUnique({
+			where: { id: transaction.referenceId },
+			include: { user: true, bankAccount: true },
+		});
+
+		if(!cashOut) throw new Error('Cash-out not found');
+		if(cashOut.status !== 'Transferring') return;
+
+		await CashOutService.#update(cashOut, { status: 'Failed' }, 'TransferFailed', { reason: transaction.metas?.reason });
+
+		await CashOutService.#notify(cashOut.user,
+			`😔 No pude completar tu retiro de ${ cashOut.amount.toString() } MXNB a ${ CashOutService.describeAccount(cashOut.bankAccount) }. ` +
+			'Tu saldo no se movió, intenta de nuevo más tarde.');
+	}
+
+	/**
+	 * Redeems the MXNB of a cash-out for MXN to the bank account of the user. Handler of the `cashout.redeem` queue.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idCashOut - The ID of the cash-out.
+	 * @returns {Promise<void>}
+	 */
+	static async redeem(payload) {
+		const cashOut = await primate.prisma.cashOut.findUnique({ where: { id: payload.idCashOut }, include: { bankAccount: true } });
+		if(!cashOut) throw new Error('Cash-out not found');
+		if(cashOut.status !== 'Redeeming') return;
+
+		let redemption;
+
+		try {
+			// Juno credits the MXNB some blocks after it arrives, until then the redemption fails and the queue retries it;
+			// the UID of the cash-out always sends the same idempotency key, so a retry never pays twice
+			redemption = await JunoBitsoService.redeemMxn({
+				amount: Number(cashOut.amount),
+				destination_bank_account_id: cashOut.bankAccount.providerAccountId,
+			}, `cashout-${ cashOut.uid }`);
+		} catch(e) {
+			await CashOutService.#update(cashOut, { attempts: cashOut.attempts + 1 }, 'RedemptionFailed', { error: e.message });
+			throw e;
+		}
+
+		// without its ID the redemption can never be reconciled, so it stays Redeeming for the retries and redeemDead
+		const redemptionId = redemption?.payload?.id?.toString();
+
+		if(!redemptionId) {
+			await CashOutService.#update(cashOut, { attempts: cashOut.attempts + 1 }, 'RedemptionFailed', { error: 'Redemption without ID', redemption: redemption?.payload });
+			throw new Error('Juno answered the redemption without an ID');
+		}
+
+		await CashOutService.#update(cashOut, {
+			status: 'Processing',
+			attempts: cashOut.attempts + 1,
+			redemptionId,
+		}, 'Redeeming', { redemption: redemption.payload });
+	}
+
+	/**
+	 * Alerts the operators about a cash-out that could not be redeemed after every retry.
+	 * Its MXNB is already in the Juno account, so it has to be paid or refunded by hand.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {Object} job - The dead job.
+	 * @param {Error} error - The last error.
+	 * @returns {Promise<void>}
+	 */
+	static async redeemDead(payload, job, error) {
+		const cashOut = await primate.prisma.cashOut.findUnique({ where: { id: payload.idCashOut }, include: { user: true, bankAccount: true } });
+
+		await AlertService.notify('Cash-out could not be redeemed', { idCashOut: payload.idCashOut, txHash: cashOut?.txHash, error: error?.message });
+		if(!cashOut || cashOut.status !== 'Redeeming') return;
+
+		await CashOutService.#update(cashOut, { status: 'Failed' }, 'RedemptionDead', { error: error?.message });
+
+		await CashOutService.#notify(cashOut.user,
+			`😔 Tuvimos un problema al enviar tu retiro de ${ cashOut.amount.toString() } MXNB a ${ CashOutService.describeAccount(cashOut.bankAccount) }. ` +
+			'Nuestro equipo ya lo está revisando y te contactará.');
+	}
+
+	/**
+	 * Applies the status of a redemption reported by Juno to its cash-out.
+	 *
+	 * @param {Object} cashOut - The cash-out, with its user and bank account.
+	 * @param {Object} details - The transaction of the redemption in Juno.
+	 * @returns {Promise<Object>} - The updated cash-out.
+	 */
+	static async reconcile(cashOut, details) {
+		if(cashOut.status !== 'Processing') return cashOut;
+
+		const status = details?.summary_status?.toUpperCase();
+
+		if(status === 'COMPLETED') {
+			const completed = await CashOutService.#update(cashOut, { status: 'Completed' }, 'Completed', { providerStatus: status });
+
+			await CashOutService.#notify(cashOut.user,
+				`🏦 Listo, enviamos $${ cashOut.amount.toString() } MXN a tu cuenta ${ CashOutService.describeAccount(cashOut.bankAccount) }. ` +
+				'Puede tardar unos minutos en reflejarse, según tu banco.');
+
+			return completed;
+		}
+
+		if(FAILED_REDEMPTION_STATUSES.includes(status)) {
+			const failed = await CashOutService.#update(cashOut, { status: 'Failed' }, 'RedemptionRejected', { providerStatus: status });
+
+			await AlertService.notify('Cash-out redemption rejected', { idCashOut: cashOut.id, redemptionId: cashOut.redemptionId, status });
+
+			await CashOutService.#notify(cashOut.user,
+				`😔 Tu banco no aceptó el retiro de $${ cashOut.amount.toString() } MXN a ${ CashOutService.describeAccount(cashOut.bankAccount) }. ` +
+				'Nuestro equipo ya lo está revisando y te contactará.');
+
+			return failed;
+		}
+
+		return cashOut;
+	}
+
+	/**
+	 * Applies the status of a redemption sent by the Juno webhook. Handler of the juno `redemption`
+	 * events of ProviderEventService, so the poller only catches the events that never arrive.
+	 *
+	 * @param {Object} data - The redemption.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async redemptionUpdated(data) {
+		const redemptionId = data.id?.toString();
+		if(!redemptionId) return { message: 'Redemption without ID ignored' };
+
+		const cashOut = await primate.prisma.cashOut.findFirst({ where: { redemptionId }, include: { user: true, bankAccount: true } });
+		if(!cashOut) return { message: 'Redemption not linked to a cash-out' };
+
+		const updated = await CashOutService.reconcile(cashOut, { summary_status: data.summary_status || data.status });
+
+		return { message: `Cash-out ${ cashOut.uid } ${ updated.status }` };
+	}
+
+	/**
+	 * Lists the cash-outs of a user, newest first.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @param {Object} [options={}] - Listing options.
+	 * @param {string} [options.status] - Filter by cash-out status.
+	 * @param {number} [options.page=1] - The page to retrieve.
+	 * @param {number} [options.limit=20] - The number of cash-outs per page.
+	 * @returns {Promise<{data: Array, count: number, page: number, limit: number}>} - The paginated cash-outs.
+	 */
+	static async listByUser(idUser, options = {}) {
+		const page = Math.max(parseInt(options.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+		const where = { idUser };
+		if(options.status) where.status = options.status;
+
+		const [ data, count ] = await Promise.all([
+			primate.prisma.cashOut.findMany({
+				where,
+				include: { bankAccount: { select: bankAccountSelect } },
+				orderBy: { created: 'desc' },
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			primate.prisma.cashOut.count({ where }),
+		]);
+
+		return { data, count, page, limit };
+	}
+
+	/**
+	 * Finds a cash-out of a user by its UID.
+	 *
+	 * @param {string} uid - The UID of the cash-out.
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<Object|null>}
+	 */
+	static async findByUidForUser(uid, idUser) {
+		return primate.prisma.cashOut.findFirst({
+			where: { uid, idUser },
+			include: { bankAccount: { select: bankAccountSelect } },
+		});
+	}
+
+	/**
+	 * Names a bank account for the messages to the user, e.g. "BBVA ****1234".
+	 *
+	 * @param {Object} account - The bank account.
+	 * @returns {string}
+	 */
+	static describeAccount(account) {
+		const bankName = account.alias || parseClabe(account.clabe)?.bankName || 'CLABE';
+		return `${ bankName } ${ maskClabe(account.clabe) }`;
+	}
+
+	/**
+	 * Starts polling the redemptions in Juno.
+	 */
+	static start() {
+		const interval = parseInt(process.env.CASHOUT_INTERVAL) || 60000;
+		if(!CashOutService.#poller.start(interval)) return;
+
+		console.info('Cash-out poller started');
+	}
+
+	/**
+	 * Stops polling the redemptions in Juno.
+	 */
+	static stop() {
+		CashOutService.#poller.stop();
+	}
+
+	/**
+	 * Checks the redemptions in progress and the bank accounts waiting for Juno.
+	 * @private
+	 */
+	static async #poll() {
+		const processing = await primate.prisma.cashOut.findMany({
+			where: { status: 'Processing', redemptionId: { not: null } },
+			include: { user: true, bankAccount: true },
+			orderBy: { id: 'asc' },
+			take: 50,
+		});
+
+		for(const cashOut of processing) {
+			try {
+				const details = await JunoBitsoService.getTransactionDetails(cashOut.redemptionId);
+				await CashOutService.reconcile(cashOut, details?.payload);
+			} catch(e) {
+				console.error(`Error checking cash-out ${ cashOut.uid }:`, e.message);
+			}
+		}
+
+		await CashOutService.#activatePending();
+	}
+
+	/**
+	 * Activates the pending bank accounts registered in Juno since the last tick and tells their owners.
+	 * @private
+	 */
+	static async #activatePending() {
+		const pending = await primate.prisma.bankAccount.findMany({ where: { status: 'Pending' }, include: { user: true } });
+		if(!pending.length) return;
+
+		const linked = await CashOutService.link(pending);
+
+		for(const [ index, account ] of linked.entries()) {
+			if(account.status !== 'Active') continue;
+
+			await CashOutService.#notify(pending[index].user,
+				`✅ Tu cuenta ${ CashOutService.describeAccount(account) } ya está verificada. Ya puedes retirar tus MXNB a ella.`);
+		}
+	}
+
+	/**
+	 * Sends a WhatsApp message to a user without failing the job if it cannot be sent.
+	 * @private
+	 */
+	static async #notify(user, text) {
+		if(!user?.idWa) return;
+
+		try {
+			await WahaService.sendText(user.idWa, text);
+		} catch(e) {
+			console.error('Error notifying cash-out:', e.message);
+		}
+	}
+
+	/**
+	 * Updates a cash-out and appends a step to its history.
+	 * @private
+	 */
+	static async #update(cashOut, fields, step, details = {}) {
+		const updated = await updateWithStep(primate.prisma.cashOut, cashOut, fields, step, details);
+		return { ...updated, user: cashOut.user, bankAccount: cashOut.bankAccount };
+	}
+}
+
+export { CashOutError };
+export default CashOutService;
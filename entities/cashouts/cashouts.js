@@ -0,0 +1,18 @@
+import { auth, Primate } from '@thewebchimp/primate';
+import CashOutController from './cashout.controller.js';
+
+const router = Primate.getRouter();
+
+// bank accounts of the authenticated user
+router.get('/bank-accounts', auth, CashOutController.listBankAccounts);
+router.post('/bank-accounts', auth, CashOutController.registerBankAccount);
+
+// request a cash-out and confirm it with the code sent by WhatsApp
+router.post('/', auth, CashOutController.request);
+router.post('/confirm', auth, CashOutController.confirm);
+
+// cash-outs of the authenticated user
+router.get('/', auth, CashOutController.list);
+router.get('/:uid', auth, CashOutController.get);
+
+export { router };
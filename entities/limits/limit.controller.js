@@ -0,0 +1,132 @@
+import primate, { PrimateController } from '@thewebchimp/primate';
+import LimitService from './limit.service.js';
+
+class LimitController extends PrimateController {
+
+	/**
+	 * Retrieves the global spending limits.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async getGlobal(req, res) {
+		try {
+			const limits = await LimitService.get(null);
+
+			return res.respond({
+				data: limits,
+				message: 'Global limits retrieved successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error retrieving limits: ' + e.message });
+		}
+	}
+
+	/**
+	 * Updates the global spending limits.
+	 *
+	 * Accepts `maxPerTransfer`, `dailyTotal`, `monthlyTotal` and `maxNewRecipientsPerDay` in the body;
+	 * null removes a limit and missing fields are left unchanged.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async updateGlobal(req, res) {
+		try {
+			const limits = await LimitService.set(null, req.body || {});
+
+			return res.respond({
+				data: limits,
+				message: 'Global limits updated successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error updating limits: ' + e.message });
+		}
+	}
+
+	/**
+	 * Retrieves the spending limits of a user, both their own and the ones in effect.
+	 *
+	 * @param {Object} req - The request object containing the user UID in the parameters.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async getUser(req, res) {
+		try {
+			const user = await primate.prisma.user.findUnique({ where: { uid: req.params.uid } });
+			if(!user) return res.respond({ status: 404, message: 'User not found' });
+
+			const [ own, effective ] = await Promise.all([
+				LimitService.get(user.id),
+				LimitService.getEffective(user.id),
+			]);
+
+			return res.respond({
+				data: { own, effective },
+				message: 'User limits retrieved successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error retrieving limits: ' + e.message });
+		}
+	}
+
+	/**
+	 * Updates the spending limits of a user, overriding the global ones.
+	 *
+	 * @param {Object} req - The request object containing the user UID in the parameters.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async updateUser(req, res) {
+		try {
+			const user = await primate.prisma.user.findUnique({ where: { uid: req.params.uid } });
+			if(!user) return res.respond({ status: 404, message: 'User not found' });
+
+			const limits = await LimitService.set(user.id, req.body || {});
+
+			return res.respond({
+				data: limits,
+				message: 'User limits updated successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error updating limits: ' + e.message });
+		}
+	}
+
+	/**
+	 * Removes the spending limits of a user, so the global ones apply again.
+	 *
+	 * @param {Object} req - The request object containing the user UID in the parameters.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async resetUser(req, res) {
+		try {
+			const user = await primate.prisma.user.findUnique({ where: { uid: req.params.uid } });
+			if(!user) return res.respond({ status: 404, message: 'User not found' });
+
+			const removed = await LimitService.reset(user.id);
+
+			return res.respond({
+				data: { removed },
+				message: 'User limits removed successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error removing limits: ' + e.message });
+		}
+	}
+}
+
+export default LimitController;
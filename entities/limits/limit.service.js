@@ -0,0 +1,339 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import moment from 'moment-timezone';
+import NetworkService from '#services/network.service.js';
+import UserService from '#entities/users/user.service.js';
+
+/**
+ * The limits that can be configured, with the environment variable used as the default
+ * when neither the user nor the global configuration sets them.
+ */
+const LIMIT_FIELDS = {
+	maxPerTransfer: 'SPENDING_MAX_PER_TRANSFER',
+	dailyTotal: 'SPENDING_DAILY_TOTAL',
+	monthlyTotal: 'SPENDING_MONTHLY_TOTAL',
+	maxNewRecipientsPerDay: 'SPENDING_MAX_NEW_RECIPIENTS_PER_DAY',
+};
+
+/**
+ * Transfer statuses that count towards the limits: the money left, is leaving or is about to leave the wallet.
+ * @type {string[]}
+ */
+const SPENT_STATUSES = [ 'Pending', 'Processing', 'Completed' ];
+
+/**
+ * Cash-out statuses that count towards the limits: every cash-out whose MXNB left or is leaving the wallet.
+ * @type {string[]}
+ */
+const SPENT_CASHOUT_STATUSES = [ 'Pending', 'Transferring', 'Redeeming', 'Processing', 'Completed' ];
+
+/**
+ * The unit of the amount limits. Every token is converted to it before it is compared or summed.
+ * @type {string}
+ */
+const LIMITS_UNIT = 'MXNB';
+
+/**
+ * Formats an amount of tokens for the messages, without floating point noise.
+ * @param {number} amount - The amount.
+ * @returns {string}
+ */
+function formatAmount(amount) {
+	return Number(amount.toFixed(6)).toString();
+}
+
+/**
+ * Raised when a transfer would exceed a spending limit.
+ * The message is written for the user and is safe to send over WhatsApp.
+ */
+class SpendingLimitError extends Error {
+
+	/**
+	 * @param {string} limit - The limit exceeded (maxPerTransfer, dailyTotal, monthlyTotal, maxNewRecipientsPerDay),
+	 * or rate when the token has no rate to count it towards the limits.
+	 * @param {string} message - The explanation for the user.
+	 */
+	constructor(limit, message) {
+		super(message);
+		this.name = 'SpendingLimitError';
+		this.limit = limit;
+	}
+}
+
+/**
+ * Spending limits and velocity rules of the transfers and the cash-outs to bank accounts.
+ *
+ * Limits are configured globally (the spending_limit row without user) and may be overridden per user.
+ * A limit set to null is not enforced, so a single user can be exempted from a global limit. Days and months are counted in LIMITS_TIMEZONE
+ * (America/Mexico_City by default).
+ *
+ * Amount limits are in MXNB and the totals add up every token: the amount of another token is converted
+ * with its rate in LIMITS_RATES, a JSON object of MXNB per unit (e.g. {"USDC": 18.5}; MXNB is always 1).
+ * While an amount limit is set, a token without a rate cannot be sent.
+ *
+ * The check is not atomic with the creation of the transfer, so the callers check again once the transfer
+ * is recorded (see the recorded option of check) and remove it if it went over a limit: two sends at the same
+ * time may both be refused near a limit, but never both go through.
+ */
+class LimitService {
+
+	/**
+	 * Gets the limits configured for a user, or the global ones.
+	 *
+	 * @param {number|null} [idUser=null] - The ID of the user, or null for the global configuration.
+	 * @returns {Promise<Object|null>} - The stored limits, or null if none are stored.
+	 */
+	static async get(idUser = null) {
+		return primate.prisma.spendingLimit.findFirst({ where: { idUser } });
+	}
+
+	/**
+	 * Stores the limits of a user, or the global ones. Only the given fields are changed.
+	 *
+	 * A null removes the limit at this level: the field is listed in `metas.unlimited` so it is not enforced,
+	 * instead of falling back to the global configuration or the environment like a field never set.
+	 *
+	 * @param {number|null} idUser - The ID of the user, or null for the global configuration.
+	 * @param {Object} data - The limits to set; null removes a limit.
+	 * @returns {Promise<Object>} - The stored limits.
+	 */
+	static async set(idUser, data) {
+		const current = await LimitService.get(idUser);
+		const unlimited = new Set(current?.metas?.unlimited || []);
+		const fields = {};
+
+		for(const field of Object.keys(LIMIT_FIELDS)) {
+			if(data[field] === undefined) continue;
+
+			if(data[field] === null || data[field] === '') {
+				fields[field] = null;
+				unlimited.add(field);
+				continue;
+			}
+
+			const value = Number(data[field]);
+			if(!Number.isFinite(value) || value < 0) throw new Error(`${ field } must be a positive number or null`);
+
+			fields[field] = field === 'maxNewRecipientsPerDay' ? Math.floor(value) : value.toString();
+			unlimited.delete(field);
+		}
+
+		const metas = { ...current?.metas, unlimited: [ ...unlimited ] };
+
+		if(current) {
+			return primate.prisma.spendingLimit.update({ where: { id: current.id }, data: { ...fields, metas } });
+		}
+
+		return primate.prisma.spendingLimit.create({ data: { idUser, ...fields, metas } });
+	}
+
+	/**
+	 * Removes the limits of a user, so the global ones apply again.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<number>} - The number of removed configurations.
+	 */
+	static async reset(idUser) {
+		const result = await primate.prisma.spendingLimit.deleteMany({ where: { idUser } });
+		return result.count;
+	}
+
+	/**
+	 * Gets the limits that apply to a user: their own, then the global ones, then the environment defaults.
+	 * A limit removed at one level is not enforced, whatever the next levels say.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<{maxPerTransfer: ?number, dailyTotal: ?number, monthlyTotal: ?number, maxNewRecipientsPerDay: ?number}>}
+	 */
+	static async getEffective(idUser) {
+		const [ own, global ] = await Promise.all([ LimitService.get(idUser), LimitService.get(null) ]);
+		const limits = {};
+
+		for(const [ field, env ] of Object.entries(LIMIT_FIELDS)) {
+			let value = LimitService.#valueOf(own, field);
+			if(value === undefined) value = LimitService.#valueOf(global, field);
+			if(value === undefined) value = process.env[env] ?? null;
+
+			limits[field] = value === null || value === '' ? null : Number(value);
+		}
+
+		return limits;
+	}
+
+	/**
+	 * Gets a limit of a stored configuration.
+	 * @param {Object|null} limits - The stored limits of a user or the global ones.
+	 * @param {string} field - The limit.
+	 * @returns {*} - The value, null if the limit was removed, or undefined if it is not set at this level.
+	 * @private
+	 */
+	static #valueOf(limits, field) {
+		if(!limits) return undefined;
+		if(limits.metas?.unlimited?.includes(field)) return null;
+		return limits[field] ?? undefined;
+	}
+
+	/**
+	 * Checks a transfer or a cash-out against the limits of the sender.
+	 * Cash-outs count towards the same totals and have no recipient, so only the amount limits apply to them.
+	 *
+	 * With recorded, the transfer is already stored and counted in the totals; this is the check made after
+	 * creating it, which also sees every other transfer recorded at the same time.
+	 *
+	 * @param {Object} user - The user sending the money.
+	 * @param {Object} transfer - The transfer to check.
+	 * @param {number} transfer.amount - The amount to send.
+	 * @param {string} [transfer.contactNumber] - The WhatsApp ID of the recipient, none for a cash-out.
+	 * @param {string} [transfer.token] - The symbol of the token, the default token of the network when empty.
+	 * @param {boolean} [transfer.cashOut=false] - Whether it is a cash-out to a bank account.
+	 * @param {boolean} [transfer.recorded=false] - Whether the transfer is already recorded with a spent status.
+	 * @returns {Promise<void>}
+	 * @throws {SpendingLimitError} - If the transfer exceeds a limit.
+	 */
+	static async check(user, transfer) {
+		const limits = await LimitService.getEffective(user.id);
+		const token = NetworkService.getToken(transfer.token);
+		const rate = LimitService.rateOf(token.symbol);
+		const limited = limits.maxPerTransfer !== null || limits.dailyTotal !== null || limits.monthlyTotal !== null;
+
+		if(limited && rate === null) {
+			throw new SpendingLimitError('rate',
+				`Por ahora no puedo enviar ${ token.symbol }. Intenta enviar ${ LIMITS_UNIT }.`);
+		}
+
+		// the amount in the unit of the limits
+		const amount = Number(transfer.amount) * (rate ?? 1);
+		const unit = LIMITS_UNIT;
+		const equivalence = token.symbol === unit ? '' : ` (${ transfer.amount } ${ token.symbol } son ${ formatAmount(amount) } ${ unit })`;
+		const operation = transfer.cashOut ? 'retiro' : 'envío';
+
+		if(limits.maxPerTransfer !== null && amount > limits.maxPerTransfer) {
+			throw new SpendingLimitError('maxPerTransfer',
+				`El monto máximo por ${ operation } es de ${ limits.maxPerTransfer } ${ unit }${ equivalence }. Intenta con un monto menor.`);
+		}
+
+		const timezone = process.env.LIMITS_TIMEZONE || 'America/Mexico_City';
+		const dayStart = moment().tz(timezone).startOf('day').toDate();
+		const monthStart = moment().tz(timezone).startOf('month').toDate();
+
+		// a recorded transfer is already part of what was spent
+		const recorded = transfer.recorded ? amount : 0;
+
+		if(limits.dailyTotal !== null) {
+			const spent = await LimitService.#spentSince(user.id, dayStart) - recorded;
+
+			if(spent + amount > limits.dailyTotal) {
+				throw new SpendingLimitError('dailyTotal',
+					`Con este ${ operation } superarías tu límite diario de ${ limits.dailyTotal } ${ unit }${ equivalence }. ` +
+					`Hoy ya enviaste ${ formatAmount(spent) } ${ unit }, así que te quedan ${ formatAmount(Math.max(limits.dailyTotal - spent, 0)) } ${ unit } por hoy.`);
+			}
+		}
+
+		if(limits.monthlyTotal !== null) {
+			const spent = await LimitService.#spentSince(user.id, monthStart) - recorded;
+
+			if(spent + amount > limits.monthlyTotal) {
+				throw new SpendingLimitError('monthlyTotal',
+					`Con este ${ operation } superarías tu límite mensual de ${ limits.monthlyTotal } ${ unit }${ equivalence }. ` +
+					`Este mes ya enviaste ${ formatAmount(spent) } ${ unit }, así que te quedan ${ formatAmount(Math.max(limits.monthlyTotal - spent, 0)) } ${ unit }.`);
+			}
+		}
+
+		if(limits.maxNewRecipientsPerDay !== null && transfer.contactNumber) {
+			const newRecipients = await LimitService.#newRecipientsSince(user.id, dayStart);
+			const recipient = await UserService.findByWaId(transfer.contactNumber);
+
+			const isNew = !recipient || !await primate.prisma.transfer.count({
+				where: { idSender: user.id, idRecipient: recipient.id, status: { in: SPENT_STATUSES }, created: { lt: dayStart } },
+			});
+
+			// a recorded transfer to a new recipient is already one of the new recipients of the day
+			const exceeded = transfer.recorded
+				? newRecipients.length > limits.maxNewRecipientsPerDay
+				: !newRecipients.includes(recipient?.id) && newRecipients.length >= limits.maxNewRecipientsPerDay;
+
+			if(isNew && exceeded) {
+				throw new SpendingLimitError('maxNewRecipientsPerDay',
+					`Por seguridad solo puedes enviar dinero a ${ limits.maxNewRecipientsPerDay } contactos nuevos al día. ` +
+					'Podrás enviarle a este contacto a partir de mañana.');
+			}
+		}
+	}
+
+	/**
+	 * Gets how many MXNB a unit of a token counts towards the limits.
+	 *
+	 * @param {string} symbol - The symbol of the token.
+	 * @returns {number|null} - The rate, or null if the token has none.
+	 */
+	static rateOf(symbol) {
+		if(symbol.toUpperCase() === LIMITS_UNIT) return 1;
+
+		const rates = process.env.LIMITS_RATES ? JSON.parse(process.env.LIMITS_RATES) : {};
+		const entry = Object.entries(rates).find(([ key ]) => key.toUpperCase() === symbol.toUpperCase());
+		const rate = Number(entry?.[1]);
+
+		return Number.isFinite(rate) && rate > 0 ? rate : null;
+	}
+
+	/**
+	 * Sums the amount sent and cashed out by a user since a date, every token converted to MXNB.
+	 * Tokens without a rate can only have been sent while no amount limit was set, so they are not counted.
+	 * @param {number} idUser - The ID of the user.
+	 * @param {Date} since - The start of the period.
+	 * @returns {Promise<number>}
+	 * @private
+	 */
+	static async #spentSince(idUser, since) {
+		const [ transfers, cashOuts ] = await Promise.all([
+			primate.prisma.transfer.groupBy({
+				by: [ 'tokenAddress' ],
+				_sum: { amount: true },
+				where: { idSender: idUser, status: { in: SPENT_STATUSES }, created: { gte: since } },
+			}),
+			primate.prisma.cashOut.groupBy({
+				by: [ 'tokenAddress' ],
+				_sum: { amount: true },
+				where: { idUser, status: { in: SPENT_CASHOUT_STATUSES }, created: { gte: since } },
+			}),
+		]);
+
+		return [ ...transfers, ...cashOuts ].reduce((spent, total) => {
+			const token = NetworkService.findByAddress(total.tokenAddress);
+			const rate = token ? LimitService.rateOf(token.symbol) : null;
+
+			return spent + (rate === null ? 0 : Number(total._sum.amount || 0) * rate);
+		}, 0);
+	}
+
+	/**
+	 * Gets the recipients a user sent money to for the first time since a date.
+	 * @param {number} idUser - The ID of the user.
+	 * @param {Date} since - The start of the period.
+	 * @returns {Promise<Array<number>>} - The IDs of the new recipients.
+	 * @private
+	 */
+	static async #newRecipientsSince(idUser, since) {
+		const recent = await primate.prisma.transfer.findMany({
+			where: { idSender: idUser, status: { in: SPENT_STATUSES }, created: { gte: since } },
+			select: { idRecipient: true },
+			distinct: [ 'idRecipient' ],
+		});
+
+		const ids = recent.map(transfer => transfer.idRecipient);
+		if(!ids.length) return [];
+
+		const known = await primate.prisma.transfer.findMany({
+			where: { idSender: idUser, idRecipient: { in: ids }, status: { in: SPENT_STATUSES }, created: { lt: since } },
+			select: { idRecipient: true },
+			distinct: [ 'idRecipient' ],
+		});
+
+		const knownIds = new Set(known.map(transfer => transfer.idRecipient));
+
+		return ids.filter(id => !knownIds.has(id));
+	}
+}
+
+export { SpendingLimitError };
+export default LimitService;
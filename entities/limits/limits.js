@@ -0,0 +1,19 @@
+import { auth, Primate } from '@thewebchimp/primate';
+import LimitController from './limit.controller.js';
+import requireAdmin from '#middlewares/admin.js';
+
+const router = Primate.getRouter();
+
+// only administrators can read or change the spending limits
+router.use(auth, requireAdmin);
+
+// global limits
+router.get('/', LimitController.getGlobal);
+router.put('/', LimitController.updateGlobal);
+
+// limits of a user
+router.get('/users/:uid', LimitController.getUser);
+router.put('/users/:uid', LimitController.updateUser);
+router.delete('/users/:uid', LimitController.resetUser);
+
+export { router };
@@ -0,0 +1,73 @@
+import { PrimateController } from '@thewebchimp/primate';
+import TransferService from './transfer.service.js';
+
+class TransferController extends PrimateController {
+
+	/**
+	 * Lists the transfers of the authenticated user.
+	 *
+	 * Accepts the optional query parameters `direction` (sent or received), `status`, `page` and `limit`.
+	 *
+	 * @param {Object} req - The request object.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async list(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const { direction, status, page, limit } = req.query;
+
+			if(direction && ![ 'sent', 'received' ].includes(direction)) {
+				return res.respond({ status: 400, message: 'Direction must be sent or received' });
+			}
+
+			const transfers = await TransferService.listByUser(req.user.payload.id, { direction, status, page, limit });
+
+			return res.respond({
+				data: transfers.data,
+				message: 'Transfers retrieved successfully',
+				props: {
+					count: transfers.count,
+					page: transfers.page,
+					limit: transfers.limit,
+				},
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error listing transfers: ' + e.message });
+		}
+	}
+
+	/**
+	 * Retrieves a single transfer of the authenticated user by its UID.
+	 *
+	 * @param {Object} req - The request object containing the transfer UID in the parameters.
+	 * @param {Object} res - The response object.
+	 * @returns {Promise<void>}
+	 */
+	static async get(req, res) {
+		try {
+			if(!req.user || !req.user.payload || !req.user.payload.id) {
+				return res.respond({ status: 401, message: 'Unauthorized' });
+			}
+
+			const transfer = await TransferService.findByUidForUser(req.params.uid, req.user.payload.id);
+			if(!transfer) return res.respond({ status: 404, message: 'Transfer not found' });
+
+			return res.respond({
+				data: transfer,
+				message: 'Transfer retrieved successfully',
+			});
+
+		} catch(e) {
+			console.error(e);
+			return res.respond({ status: 400, message: 'Error retrieving transfer: ' + e.message });
+		}
+	}
+}
+
+export default TransferController;
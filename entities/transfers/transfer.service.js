@@ -0,0 +1,363 @@
+import primate from '@thewebchimp/primate';
+import { ethers } from 'ethers';
+import CryptoService from '#services/crypto.service.js';
+import UserService from '#entities/users/user.service.js';
+import WalletService from '#services/wallet.service.js';
+import GasService from '#services/gas.service.js';
+import NetworkService from '#services/network.service.js';
+import TransactionTrackerService from '#services/transaction-tracker.service.js';
+import NotificationService from '#services/notification.service.js';
+import ContactService from '#services/contact.service.js';
+import { normalizeWaId } from '#utils/phone.js';
+import LimitService from '#entities/limits/limit.service.js';
+
+/**
+ * Fields of the sender and recipient exposed with every transfer.
+ * Wallet data and the rest of the user metas are intentionally left out.
+ */
+const participantSelect = {
+	id: true,
+	uid: true,
+	nicename: true,
+	idWa: true,
+};
+
+class TransferService {
+
+	/**
+	 * Creates a new transfer record in Pending status.
+	 *
+	 * @param {Object} data - The transfer data.
+	 * @param {number} data.idSender - The ID of the user sending the tokens.
+	 * @param {number} data.idRecipient - The ID of the user receiving the tokens.
+	 * @param {number|string} data.amount - The amount of tokens to send.
+	 * @param {string} data.tokenAddress - The address of the token contract.
+	 * @param {string} [data.idempotencyKey] - Unique key that prevents executing the same transfer twice.
+	 * @param {Object} [data.metas={}] - Additional data for the transfer.
+	 * @returns {Promise<Object>} - A promise that resolves to the created transfer.
+	 */
+	static async create(data) {
+		try {
+			return await primate.prisma.transfer.create({
+				data: {
+					idSender: data.idSender,
+					idRecipient: data.idRecipient,
+					amount: data.amount.toString(),
+					tokenAddress: data.tokenAddress,
+					idempotencyKey: data.idempotencyKey || null,
+					status: 'Pending',
+					metas: data.metas || {},
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Moves a transfer to a new status, merging the given metas with the current ones.
+	 *
+	 * @param {number} id - The ID of the transfer.
+	 * @param {string} status - The new status (Pending, Processing, Completed or Failed).
+	 * @param {Object} [data={}] - Additional fields to update (txHash, blockNumber, metas).
+	 * @returns {Promise<Object>} - A promise that resolves to the updated transfer.
+	 */
+	static async updateStatus(id, status, data = {}) {
+		try {
+			const transfer = await primate.prisma.transfer.findUnique({ where: { id } });
+			if(!transfer) throw new Error('Transfer not found');
+
+			const { metas, ...fields } = data;
+
+			return await primate.prisma.transfer.update({
+				where: { id },
+				data: {
+					...fields,
+					status,
+					metas: { ...transfer.metas, ...metas },
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Sends tokens from a user to a contact, recording every step in the transfer ledger.
+	 * If the recipient is not registered yet, an account and a wallet are created for them.
+	 * Once completed, the recipient is notified over WhatsApp (and welcomed, if they were just registered).
+	 *
+	 * @param {string} idWa - The WhatsApp ID of the sender.
+	 * @param {Object} data - The transfer data.
+	 * @param {number} data.amount - The amount of tokens to send.
+	 * @param {string} [data.token] - The symbol of the token to send, the default token of the network when empty.
+	 * @param {string} data.contactName - The name of the recipient.
+	 * @param {string} data.contactNumber - The WhatsApp ID of the recipient.
+	 * @param {Object} [options={}] - Additional options.
+	 * @param {string} [options.idempotencyKey] - Key derived from the originating message. A transfer is executed
+	 * at most once per key: if it already completed, the recorded transfer is returned without sending again.
+	 * @returns {Promise<Object>} - The transaction, the transfer record and the new balance of the sender.
+	 */
+	static async send(idWa, data, options = {}) {
+
+		const { amount, contactName } = data;
+		if(!amount) throw new Error('Amount is required');
+
+		// throws if the token is not supported in the network in use
+		const token = NetworkService.getToken(data.token);
+		if(!contactName) throw new Error('Contact name is required');
+		if(!data.contactNumber) throw new Error('Contact phone number is required');
+
+		// the same person must never end up with two accounts because of how the number was written
+		const contactNumber = normalizeWaId(data.contactNumber);
+		if(!contactNumber) throw new Error('Invalid contact phone number');
+
+		const user = await UserService.findByWaId(idWa);
+		if(!user) throw new Error('User not found');
+
+		if(options.idempotencyKey) {
+			const existing = await primate.prisma.transfer.findUnique({ where: { idempotencyKey: options.idempotencyKey } });
+
+			if(existing) {
+				// a broadcast transfer is as good as completed, its receipt is followed by TransactionTrackerService
+				if(!existing.txHash || existing.status === 'Failed') throw new Error(`Transfer already attempted (${ existing.status })`);
+
+				console.info('Transfer already sent for key:', options.idempotencyKey);
+
+				return {
+					transaction: {
+						success: true,
+						hash: existing.txHash,
+						blockNumber: existing.blockNumber,
+						tokenSymbol: existing.metas?.tokenSymbol,
+					},
+					transfer: existing,
+					amount,
+					contactName,
+					contactNumber,
+					token: existing.metas?.tokenSymbol || token.symbol,
+					balance: await CryptoService.getTokenBalance(user.metas.wallet.address, existing.tokenAddress, NetworkService.findByAddress(existing.tokenAddress)?.decimals ?? token.decimals),
+				};
+			}
+		}
+
+		let units;
+
+		try {
+			units = ethers.utils.parseUnits(amount.toString(), token.decimals);
+		} catch(e) {
+			throw new Error(`Invalid amount, ${ token.symbol } has ${ token.decimals } decimals`);
+		}
+
+		// get the balance of the user to check if it is enough, compared in base units of the token
+		let balance = await CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals);
+		if(ethers.BigNumber.from(balance.rawBalance).lt(units)) throw new Error('Insufficient balance');
+
+		console.info('User balance:', balance);
+
+		// spending limits and velocity rules, throws a SpendingLimitError with a message for the user
+		await LimitService.check(user, { amount, contactNumber, token: token.symbol });
+
+		// Check if the recipient is a user
+		let recipient = await UserService.findByWaId(contactNumber);
+		const isNewRecipient = !recipient;
+
+		if(!recipient) {
+			recipient = await UserService.registerUserForFirstTime(contactNumber, { nicename: contactName });
+		}
+
+		let recipientWalletAddress = recipient.metas?.wallet?.address;
+
+		if(!recipientWalletAddress) {
+			// generate a wallet for the new user
+			// the new user is sponsored once they complete the onboarding
+			const wallet = await WalletService.createForUser(recipient);
+			recipientWalletAddress = wallet.address;
+		}
+
+		console.info('Recipient wallet address:', recipientWalletAddress);
+
+		// record the transfer before moving any funds
+		let transfer = await TransferService.create({
+			idSender: user.id,
+			idRecipient: recipient.id,
+			amount,
+			tokenAddress: token.address,
+			idempotencyKey: options.idempotencyKey,
+			metas: {
+				fromAddress: user.metas.wallet.address,
+				toAddress: recipientWalletAddress,
+				contactName,
+				tokenSymbol: token.symbol,
+				welcome: isNewRecipient,
+			},
+		});
+
+		// checked again with the transfer recorded, so sends made at the same time cannot exceed the limits together;
+		// a transfer over a limit is removed before any funds move
+		try {
+			await LimitService.check(user, { amount, contactNumber, token: token.symbol, recorded: true });
+		} catch(e) {
+			await primate.prisma.transfer.delete({ where: { id: transfer.id } });
+			throw e;
+		}
+
+		let sendMoney;
+
+		try {
+
+			transfer = await TransferService.updateStatus(transfer.id, 'Processing');
+
+			// send the money, the wallet is decrypted by CryptoService only to sign and the gas is covered by the treasury
+			sendMoney = await GasService.sendToken(
+				await WalletService.findByUser(user.id),
+				token.address,
+				recipientWalletAddress,
+				amount,
+				token.decimals,
+				{ kind: 'transfer', referenceId: transfer.id },
+			);
+		} catch(e) {
+			console.error('Error sending money:', e);
+
+			// once broadcast, the transaction may still be mined: the transfer stays Processing and
+			// TransactionTrackerService settles it; only a transfer that never left the wallet failed
+			const hash = await TransactionTrackerService.broadcastHash('transfer', transfer.id, e);
+
+			if(!hash) {
+				await TransferService.updateStatus(transfer.id, 'Failed', { metas: { error: e.message } });
+				throw new Error('Error sending money');
+			}
+
+			sendMoney = { success: true, hash, blockNumber: null, tokenSymbol: token.symbol };
+		}
+
+		console.info('Transaction result:', sendMoney);
+
+		// the transfer stays Processing until its transaction is mined, see complete and fail;
+		// the tracker may have settled it already, so the hash is only written while it is still Processing
+		await primate.prisma.transfer.updateMany({
+			where: { id: transfer.id, status: 'Processing' },
+			data: {
+				txHash: sendMoney.hash,
+				metas: { ...transfer.metas, relayed: sendMoney.relayed, permitHash: sendMoney.permitHash },
+			},
+		});
+
+		transfer = await primate.prisma.transfer.findUnique({ where: { id: transfer.id } });
+
+		try {
+			await ContactService.recordUsage(user.id, { idWa: contactNumber, name: contactName });
+		} catch(e) {
+			console.error('Error saving the recipient as a contact:', e);
+		}
+
+		// get the balance of the user to check if it is enough
+		balance = await CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals);
+
+		return { transaction: sendMoney, transfer, amount, token: token.symbol, contactName, contactNumber, balance };
+	}
+
+	/**
+	 * Completes a transfer once its transaction is mined and queues the notification of the recipient.
+	 * Handler of the 'transfer' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<Object>} - The completed transfer.
+	 */
+	static async complete(transaction) {
+		let transfer = await primate.prisma.transfer.findUnique({ where: { id: transaction.referenceId } });
+		if(!transfer) throw new Error('Transfer not found');
+		if(transfer.status === 'Completed') return transfer;
+
+		// a replaced transaction is mined with a different hash
+		transfer = await TransferService.updateStatus(transfer.id, 'Completed', {
+			txHash: transaction.hash,
+			blockNumber: transaction.blockNumber,
+		});
+
+		await NotificationService.queueIncomingTransfer(transfer, { welcome: !!transfer.metas?.welcome });
+
+		return transfer;
+	}
+
+	/**
+	 * Marks a transfer as Failed when its transaction reverts or is dropped, and tells the sender.
+	 * Handler of the 'transfer' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<Object>} - The failed transfer.
+	 */
+	static async fail(transaction) {
+		let transfer = await primate.prisma.transfer.findUnique({ where: { id: transaction.referenceId } });
+		if(!transfer) throw new Error('Transfer not found');
+		if(transfer.status !== 'Processing') return transfer;
+
+		transfer = await TransferService.updateStatus(transfer.id, 'Failed', { metas: { error: transaction.metas?.reason } });
+
+		await NotificationService.queueFailedTransfer(transfer);
+
+		return transfer;
+	}
+
+	/**
+	 * Lists the transfers sent or received by a user, newest first.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @param {Object} [options={}] - Listing options.
+	 * @param {string} [options.direction] - 'sent' or 'received' to filter by direction.
+	 * @param {string} [options.status] - Filter by transfer status.
+	 * @param {number} [options.page=1] - The page to retrieve.
+	 * @param {number} [options.limit=20] - The number of transfers per page.
+	 * @returns {Promise<{data: Array, count: number, page: number, limit: number}>} - The paginated transfers.
+	 */
+	static async listByUser(idUser, options = {}) {
+		const page = Math.max(parseInt(options.page) || 1, 1);
+		const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+		let where;
+		if(options.direction === 'sent') where = { idSender: idUser };
+		else if(options.direction === 'received') where = { idRecipient: idUser };
+		else where = { OR: [ { idSender: idUser }, { idRecipient: idUser } ] };
+
+		if(options.status) where.status = options.status;
+
+		const [ data, count ] = await Promise.all([
+			primate.prisma.transfer.findMany({
+				where,
+				include: {
+					sender: { select: participantSelect },
+					recipient: { select: participantSelect },
+				},
+				orderBy: { created: 'desc' },
+				skip: (page - 1) * limit,
+				take: limit,
+			}),
+			primate.prisma.transfer.count({ where }),
+		]);
+
+		return { data, count, page, limit };
+	}
+
+	/**
+	 * Finds a transfer by its UID, only if the user took part in it.
+	 *
+	 * @param {string} uid - The UID of the transfer.
+	 * @param {number} idUser - The ID of the user requesting the transfer.
+	 * @returns {Promise<Object|null>} - The transfer, or null if not found.
+	 */
+	static async findByUidForUser(uid, idUser) {
+		return primate.prisma.transfer.findFirst({
+			where: {
+				uid,
+				OR: [ { idSender: idUser }, { idRecipient: idUser } ],
+			},
+			include: {
+				sender: { select: participantSelect },
+				recipient: { select: participantSelect },
+			},
+		});
+	}
+}
+
+export default TransferService;
@@ -0,0 +1,12 @@
+import { auth, Primate } from '@thewebchimp/primate';
+import TransferController from './transfer.controller.js';
+
+const router = Primate.getRouter();
+
+// list the transfers of the authenticated user
+router.get('/', auth, TransferController.list);
+
+// get a transfer of the authenticated user
+router.get('/:uid', auth, TransferController.get);
+
+export { router };
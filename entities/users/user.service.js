@@ -7,6 +7,7 @@ import path from 'path';
 import fs from 'fs';
 import hbs from 'handlebars';
 import MandrillService from '#services/mandrill.service.js';
+import { normalizeWaId, waIdVariants } from '#utils/phone.js';
 moment.locale('es');
 
 const __filename = fileURLToPath(import.meta.url);
@@ -240,9 +241,42 @@ class UserService {
 		return { user, accessToken };
 	}
 
+	/**
+	 * Finds the user of a WhatsApp ID written in any format.
+	 *
+	 * Users stored before the IDs were normalized may still have a legacy form of their ID, so every form
+	 * is looked up (see waIdVariants) and the canonical one wins. A user found only by a legacy form is
+	 * moved to the canonical ID, so a duplicate is never registered for them; when several legacy users
+	 * match, they are left for `yarn merge:users`.
+	 *
+	 * @param {string} idWa - The WhatsApp ID or phone number.
+	 * @returns {Promise<Object|null>} - The user, or null if there is none.
+	 */
+	static async findByWaId(idWa) {
+		const variants = waIdVariants(idWa);
+		if(!variants.length) return null;
+
+		const users = await primate.prisma.user.findMany({ where: { idWa: { in: variants } } });
+		if(!users.length) return null;
+
+		const [ canonical ] = variants;
+		const user = users.find(item => item.idWa === canonical) ||
+			users.sort((a, b) => variants.indexOf(a.idWa) - variants.indexOf(b.idWa))[0];
+
+		if(user.idWa === canonical || users.length > 1 || canonical !== normalizeWaId(idWa)) return user;
+
+		try {
+			return await primate.prisma.user.update({ where: { id: user.id }, data: { idWa: canonical } });
+		} catch(e) {
+			// P2002: a concurrent lookup already moved it, or registered the canonical ID
+			if(e.code !== 'P2002') throw e;
+			return user;
+		}
+	}
+
 	static async verifyUserExistence(idWa) {
 		try {
-			const user = await primate.prisma.user.findFirst({ where: { idWa } });
+			const user = await UserService.findByWaId(idWa);
 			if(!user) return null;
 
 			return user;
@@ -254,8 +288,11 @@ class UserService {
 	static async registerUserForFirstTime(idWa, data) {
 		try {
 			// Business Logic
-			data.idWa = idWa;
-			data.email = idWa;
+			const canonical = normalizeWaId(idWa);
+			if(!canonical) throw new Error('Invalid WhatsApp ID');
+
+			data.idWa = canonical;
+			data.email = canonical;
 
 			// Primate Create
 			return await UserService.create(data);
@@ -267,7 +304,7 @@ class UserService {
 	static async updateOnboardingData(idWa, data) {
 		try {
 			// find user
-			const user = await primate.prisma.user.findFirst({ where: { idWa } });
+			const user = await UserService.findByWaId(idWa);
 			if(!user) throw new Error('User not found');
 
 			// update user
@@ -288,19 +325,19 @@ class UserService {
 	static async updateUserWallet(idWa, data) {
 		try {
 			// find user
-			const user = await primate.prisma.user.findFirst({ where: { idWa } });
+			const user = await UserService.findByWaId(idWa);
 			if(!user) throw new Error('User not found');
 
 			// get current metas
 			const metas = user.metas;
 
-			// update user
+			// only the address is kept in the metas, the secrets live encrypted in the Wallet table
 			return await primate.prisma.user.update({
 				where: { id: user.id },
 				data: {
 					metas: {
 						...metas,
-						wallet: data.wallet || metas.wallet,
+						wallet: data.wallet ? { address: data.wallet.address } : metas.wallet,
 					},
 				},
 			});
@@ -309,6 +346,193 @@ class UserService {
 			throw e;
 		}
 	}
+
+	/**
+	 * Merges the users whose WhatsApp IDs are the same number written in different formats
+	 * (521…@c.us, 52…@c.us, +52 1 …) and stores every ID in its canonical form.
+	 *
+	 * The account kept is the one with a wallet, preferring the one already stored under the canonical ID,
+	 * and then the oldest. Transfers, intents, contacts, deposits, payment references, sponsorships, bank
+	 * accounts and cash-outs of the duplicates are moved to it, and the duplicates are left with status
+	 * Merged and no idWa. Some records are unique per user and only move when the kept account has none:
+	 * - The wallet; otherwise it stays on the merged user and is reported so its funds can be swept.
+	 * - The Juno and Bitso CLABEs; otherwise they are cleared from the merged user and reported, so a
+	 *   deposit to them is Unmatched and alerted instead of credited to the merged user.
+	 * - The spending limit; otherwise it stays on the merged user on purpose, since the limit set for
+	 *   the kept account is the one that applies.
+	 * A bank account registered by both accounts is kept once, with the cash-outs of both.
+	 *
+	 * @returns {Promise<{merged: number, normalized: number, contacts: number, sweepRequired: Array<Object>, clabesCleared: Array<Object>}>}
+	 */
+	static async mergeDuplicates() {
+		const summary = { merged: 0, normalized: 0, contacts: 0, sweepRequired: [], clabesCleared: [] };
+
+		const users = await primate.prisma.user.findMany({
+			where: { idWa: { not: null } },
+			include: { wallet: true },
+			orderBy: { id: 'asc' },
+		});
+
+		const groups = new Map();
+
+		for(const user of users) {
+			const canonical = normalizeWaId(user.idWa);
+			if(!canonical) {
+				console.warn(`User ${ user.id } has an invalid WhatsApp ID: ${ user.idWa }`);
+				continue;
+			}
+
+			if(!groups.has(canonical)) groups.set(canonical, []);
+			groups.get(canonical).push(user);
+		}
+
+		for(const [ canonical, group ] of groups) {
+			const primary = group.find(user => user.idWa === canonical && user.wallet)
+				|| group.find(user => user.wallet)
+				|| group.find(user => user.idWa === canonical)
+				|| group[0];
+
+			const duplicates = group.filter(user => user.id !== primary.id);
+			if(!duplicates.length && primary.idWa === canonical) continue;
+
+			await primate.prisma.$transaction(async (tx) => {
+				let primaryMetas = primary.metas || {};
+				let primaryHasWallet = !!primary.wallet;
+				const primaryClabes = { clabeJuno: primary.clabeJuno, clabeBitso: primary.clabeBitso };
+
+				for(const duplicate of duplicates) {
+					await tx.transfer.updateMany({ where: { idSender: duplicate.id }, data: { idSender: primary.id } });
+					await tx.transfer.updateMany({ where: { idRecipient: duplicate.id }, data: { idRecipient: primary.id } });
+					await tx.transferIntent.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+
+					// a contact saved by both accounts is kept once
+					const primaryContacts = await tx.contact.findMany({ where: { idUser: primary.id } });
+					const saved = new Set(primaryContacts.map(contact => contact.idWa));
+
+					for(const contact of await tx.contact.findMany({ where: { idUser: duplicate.id } })) {
+						if(saved.has(contact.idWa)) await tx.contact.delete({ where: { id: contact.id } });
+						else await tx.contact.update({ where: { id: contact.id }, data: { idUser: primary.id } });
+					}
+
+					await tx.deposit.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+					await tx.paymentReference.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+					await tx.sponsorship.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+
+					// a bank account registered by both accounts is kept once, with the cash-outs of both
+					const primaryAccounts = await tx.bankAccount.findMany({ where: { idUser: primary.id } });
+
+					for(const account of await tx.bankAccount.findMany({ where: { idUser: duplicate.id } })) {
+						const kept = primaryAccounts.find(item => item.clabe === account.clabe);
+
+						if(kept) {
+							await tx.cashOut.updateMany({ where: { idBankAccount: account.id }, data: { idBankAccount: kept.id } });
+							await tx.bankAccount.delete({ where: { id: account.id } });
+						} else {
+							await tx.bankAccount.update({ where: { id: account.id }, data: { idUser: primary.id } });
+						}
+					}
+
+					await tx.cashOut.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+
+					if(!await tx.spendingLimit.findUnique({ where: { idUser: primary.id } })) {
+						await tx.spendingLimit.updateMany({ where: { idUser: duplicate.id }, data: { idUser: primary.id } });
+					}
+
+					const duplicateMetas = {
+						...duplicate.metas,
+						mergedInto: primary.id,
+						mergedIdWa: duplicate.idWa,
+						mergedClabes: { clabeJuno: duplicate.clabeJuno, clabeBitso: duplicate.clabeBitso },
+					};
+
+					// the CLABEs are unique: the kept account takes them, or they are cleared so no deposit reaches the merged user
+					for(const field of [ 'clabeJuno', 'clabeBitso' ]) {
+						if(!duplicate[field]) continue;
+
+						if(primaryClabes[field]) summary.clabesCleared.push({ idUser: duplicate.id, mergedInto: primary.id, field, clabe: duplicate[field] });
+						else primaryClabes[field] = duplicate[field];
+					}
+
+					if(duplicate.wallet && !primaryHasWallet) {
+						await tx.wallet.update({ where: { id: duplicate.wallet.id }, data: { idUser: primary.id } });
+						primaryMetas = { ...primaryMetas, wallet: { address: duplicate.wallet.address } };
+						primaryHasWallet = true;
+						delete duplicateMetas.wallet;
+					} else if(duplicate.wallet) {
+						summary.sweepRequired.push({ idUser: duplicate.id, mergedInto: primary.id, address: duplicate.wallet.address });
+					}
+
+					await tx.user.update({
+						where: { id: duplicate.id },
+						data: { idWa: null, clabeJuno: null, clabeBitso: null, status: 'Merged', metas: duplicateMetas },
+					});
+
+					summary.merged++;
+				}
+
+				await tx.user.update({
+					where: { id: primary.id },
+					data: { idWa: canonical, ...primaryClabes, metas: primaryMetas },
+				});
+
+				await tx.transferIntent.updateMany({
+					where: { idWa: { in: group.map(user => user.idWa) } },
+					data: { idWa: canonical },
+				});
+			});
+
+			summary.normalized++;
+			console.info(`User ${ primary.id } is now ${ canonical }, merged users: ${ duplicates.map(user => user.id).join(', ') || 'none' }`);
+		}
+
+		// the contacts saved with a non canonical number point to the same person too
+		for(const contact of await primate.prisma.contact.findMany()) {
+			const canonical = normalizeWaId(contact.idWa);
+			if(!canonical || canonical === contact.idWa) continue;
+
+			const existing = await primate.prisma.contact.findUnique({
+				where: { idUser_idWa: { idUser: contact.idUser, idWa: canonical } },
+			});
+
+			if(existing) await primate.prisma.contact.delete({ where: { id: contact.id } });
+			else await primate.prisma.contact.update({ where: { id: contact.id }, data: { idWa: canonical } });
+
+			summary.contacts++;
+		}
+
+		return summary;
+	}
+
+	/**
+	 * Removes the wallet secrets from user data before it leaves the API.
+	 *
+	 * Accepts a user, an array of users or a paginated response, and also strips the secrets of
+	 * wallets that were stored in plain text in the metas before they were moved to the Wallet table.
+	 *
+	 * @param {*} data - The data to redact.
+	 * @returns {*} - The same data without wallet secrets.
+	 */
+	static redact(data) {
+		if(Array.isArray(data)) return data.map(item => UserService.redact(item));
+		if(!data || typeof data !== 'object') return data;
+
+		if(Array.isArray(data.data)) return { ...data, data: UserService.redact(data.data) };
+
+		if(data.metas?.wallet) {
+			const { privateKey, mnemonic, ...wallet } = data.metas.wallet;
+			data = { ...data, metas: { ...data.metas, wallet } };
+		}
+
+		if(data.user) data = { ...data, user: UserService.redact(data.user) };
+
+		// the Wallet relation, when included, only holds ciphertext but is never exposed
+		if(data.wallet) {
+			const { wallet, ...rest } = data;
+			data = rest;
+		}
+
+		return data;
+	}
 }
 
 export default UserService;
\ No newline at end of file
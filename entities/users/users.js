@@ -1,11 +1,19 @@
 import { auth, Primate } from '@thewebchimp/primate';
 import UserController from './user.controller.js';
+import UserService from './user.service.js';
 import multer from 'multer';
 
 const router = Primate.getRouter();
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// strip wallet secrets from every user response, including the generic Primate routes
+router.use((req, res, next) => {
+	const respond = res.respond;
+	res.respond = (options = {}) => respond.call(res, { ...options, data: UserService.redact(options.data) });
+	next();
+});
+
 // me
 router.get('/me', auth, UserController.me);
 
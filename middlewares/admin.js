@@ -0,0 +1,27 @@
+import primate from '@thewebchimp/primate';
+
+/**
+ * Allows the request only to administrators (users with type Admin).
+ * Must run after the auth middleware of Primate, which sets req.user.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware.
+ * @returns {Promise<void>}
+ */
+export default async function requireAdmin(req, res, next) {
+	try {
+		if(!req.user || !req.user.payload || !req.user.payload.id) {
+			return res.respond({ status: 401, message: 'Unauthorized' });
+		}
+
+		// the type is read from the database, a token issued before a demotion is not enough
+		const user = await primate.prisma.user.findUnique({ where: { id: req.user.payload.id } });
+		if(!user || user.type !== 'Admin') return res.respond({ status: 403, message: 'Forbidden' });
+
+		next();
+	} catch(e) {
+		console.error(e);
+		return res.respond({ status: 500, message: 'Error checking permissions' });
+	}
+}
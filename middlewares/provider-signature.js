@@ -0,0 +1,61 @@
+import 'dotenv/config';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Secret and signature header of the webhooks of each provider.
+ * @type {Object<string, {secret: string, header: string}>}
+ */
+const PROVIDERS = {
+	bitso: { secret: 'BITSO_WEBHOOK_SECRET', header: 'x-bitso-signature' },
+	juno: { secret: 'JUNO_WEBHOOK_SECRET', header: 'x-juno-signature' },
+};
+
+/**
+ * Builds the middleware that verifies that a webhook request was sent by Bitso or Juno.
+ *
+ * The provider signs the JSON body with the shared secret (BITSO_WEBHOOK_SECRET or JUNO_WEBHOOK_SECRET)
+ * using HMAC-SHA256 and sends the hex digest in X-Bitso-Signature or X-Juno-Signature, optionally
+ * prefixed with "sha256=". The digest is checked over the raw body kept by the raw-body middleware.
+ * The signature has no timestamp, so replays are not refused here; see the note next to the check.
+ *
+ * @param {string} provider - The provider sending the webhooks (bitso or juno).
+ * @returns {Function} - The middleware.
+ */
+export default function verifyProviderSignature(provider) {
+	const config = PROVIDERS[provider];
+	if(!config) throw new Error(`Unknown webhook provider ${ provider }`);
+
+	return (req, res, next) => {
+		const reject = (reason) => {
+			console.warn(`Rejected ${ provider } webhook:`, reason, {
+				ip: req.ip,
+				event: req.body?.event || req.body?.type,
+			});
+
+			return res.respond({ status: 401, message: 'Invalid webhook signature' });
+		};
+
+		const secret = process.env[config.secret];
+		if(!secret) return reject(`${ config.secret } is not configured`);
+
+		const signature = req.get(config.header)?.replace(/^sha256=/i, '');
+		if(!signature) return reject('missing signature');
+
+		// the exact bytes the provider signed, a serialized req.body would not match them
+		if(!req.rawBody) return reject('raw body not captured');
+
+		const expected = createHmac('sha256', secret).update(req.rawBody).digest();
+		const received = Buffer.from(signature, 'hex');
+
+		if(received.length !== expected.length || !timingSafeEqual(received, expected)) {
+			return reject('signature mismatch');
+		}
+
+		// Neither provider signs a timestamp or a nonce, so a captured request keeps a valid signature
+		// forever and a replay cannot be told apart here. Replays are absorbed by ProviderEventService:
+		// every event is stored once by its ID, or by its type, object and status when the provider sends
+		// none, and a stored event is never processed again. This only holds while provider_event keeps
+		// every event, so the table must not be pruned.
+		next();
+	};
+}
@@ -0,0 +1,19 @@
+import 'dotenv/config';
+import express from 'express';
+
+/**
+ * Parses the JSON body of the signed webhooks keeping the exact bytes received in `req.rawBody`,
+ * since their signatures are computed over those bytes and a serialized `req.body` differs from
+ * them (whitespace, key order, number formats, unicode escapes).
+ *
+ * It must be mounted before Primate sets up its own JSON parser, which skips a request already parsed.
+ * The body size is limited by WEBHOOK_BODY_LIMIT (5mb by default).
+ */
+const captureRawBody = express.json({
+	limit: process.env.WEBHOOK_BODY_LIMIT || '5mb',
+	verify: (req, res, buffer) => {
+		req.rawBody = buffer;
+	},
+});
+
+export default captureRawBody;
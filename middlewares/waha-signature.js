@@ -0,0 +1,59 @@
+import 'dotenv/config';
+import { createHmac, timingSafeEqual } from 'crypto';
+
+/**
+ * Verifies that a webhook request was sent by our WAHA instance.
+ *
+ * WAHA signs the JSON body with the shared secret (WAHA_WEBHOOK_SECRET) and sends the digest in the
+ * X-Webhook-Hmac header, with the algorithm in X-Webhook-Hmac-Algorithm (sha512 by default).
+ * The signature covers the raw body kept by the raw-body middleware, and the event timestamp, which is
+ * part of the signed body, must be within WAHA_WEBHOOK_TOLERANCE seconds (300 by default) so captured
+ * requests cannot be replayed later. A body without a timestamp is rejected.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ * @param {Function} next - The next middleware.
+ * @returns {void}
+ */
+export default function verifyWahaSignature(req, res, next) {
+	const reject = (reason) => {
+		console.warn('Rejected WAHA webhook:', reason, {
+			ip: req.ip,
+			event: req.body?.event,
+			requestId: req.get('x-webhook-request-id'),
+		});
+
+		return res.respond({ status: 401, message: 'Invalid webhook signature' });
+	};
+
+	const secret = process.env.WAHA_WEBHOOK_SECRET;
+	if(!secret) return reject('WAHA_WEBHOOK_SECRET is not configured');
+
+	const signature = req.get('x-webhook-hmac');
+	if(!signature) return reject('missing signature');
+
+	const algorithm = (req.get('x-webhook-hmac-algorithm') || 'sha512').toLowerCase();
+	if(![ 'sha256', 'sha512' ].includes(algorithm)) return reject(`unsupported algorithm ${ algorithm }`);
+
+	// the exact bytes WAHA signed, a serialized req.body would not match them
+	if(!req.rawBody) return reject('raw body not captured');
+
+	const expected = createHmac(algorithm, secret).update(req.rawBody).digest();
+	const received = Buffer.from(signature, 'hex');
+
+	if(received.length !== expected.length || !timingSafeEqual(received, expected)) {
+		return reject('signature mismatch');
+	}
+
+	const tolerance = (parseInt(process.env.WAHA_WEBHOOK_TOLERANCE) || 300) * 1000;
+	// only the timestamp of the signed body counts, a header could be changed to refresh a captured request
+	const timestamp = parseInt(req.body?.timestamp);
+
+	if(!timestamp) return reject('missing signed timestamp');
+
+	if(Math.abs(Date.now() - timestamp) > tolerance) {
+		return reject(`timestamp outside the allowed window (${ timestamp })`);
+	}
+
+	next();
+}
@@ -1,5 +1,6 @@
 import { auth, Primate } from '@thewebchimp/primate';
 import JunoBitsoController from '#controllers/juno-bitso.controller.js';
+import verifyProviderSignature from '#middlewares/provider-signature.js';
 
 const router = Primate.getRouter();
 
@@ -62,4 +63,8 @@ router.get('/spei/payments/:paymentId', auth, JunoBitsoController.getOneTimePaym
 router.get('/spei/deposits', auth, JunoBitsoController.listSpeiDeposits);
 router.patch('/bitso/consumer-contacts/:contactId', auth, JunoBitsoController.updateContact);
 
+// callbacks of the providers, signed instead of authenticated
+router.post('/webhooks/bitso', verifyProviderSignature('bitso'), JunoBitsoController.bitsoWebhook);
+router.post('/webhooks/juno', verifyProviderSignature('juno'), JunoBitsoController.junoWebhook);
+
 export { router };
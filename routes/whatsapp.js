@@ -1,8 +1,12 @@
 import { auth, Primate } from '@thewebchimp/primate';
 import WhatsappController from '#controllers/whatsapp.controller.js';
+import verifyWahaSignature from '#middlewares/waha-signature.js';
 
 const router = Primate.getRouter();
 
+// every request to this router must be signed by WAHA
+router.use(verifyWahaSignature);
+
 router.post('/webhook', WhatsappController.webhook);
 
 export { router };
\ No newline at end of file
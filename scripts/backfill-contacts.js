@@ -0,0 +1,17 @@
+import primate from '@thewebchimp/primate';
+import ContactService from '#services/contact.service.js';
+
+// Adds the recipients of the past transfers to the contact books of their senders.
+// Usage: yarn backfill:contacts
+
+await primate.setup();
+
+try {
+	const count = await ContactService.backfillFromTransfers();
+	console.info(`Contacts stored or updated: ${ count }`);
+} catch(e) {
+	console.error('Error backfilling contacts:', e);
+	process.exitCode = 1;
+} finally {
+	await primate.prisma.$disconnect();
+}
@@ -0,0 +1,26 @@
+import primate from '@thewebchimp/primate';
+import UserService from '#entities/users/user.service.js';
+
+// Merges the users registered more than once under differently formatted WhatsApp IDs
+// and stores every ID in its canonical form.
+// Usage: yarn merge:users
+
+await primate.setup();
+
+try {
+	const summary = await UserService.mergeDuplicates();
+	console.info(`Users merged: ${ summary.merged }, IDs normalized: ${ summary.normalized }, contacts normalized: ${ summary.contacts }`);
+
+	for(const wallet of summary.sweepRequired) {
+		console.warn(`Wallet ${ wallet.address } of merged user ${ wallet.idUser } must be swept to user ${ wallet.mergedInto }`);
+	}
+
+	for(const clabe of summary.clabesCleared) {
+		console.warn(`CLABE ${ clabe.clabe } (${ clabe.field }) of merged user ${ clabe.idUser } was cleared, user ${ clabe.mergedInto } keeps its own; disable it in the provider`);
+	}
+} catch(e) {
+	console.error('Error merging users:', e);
+	process.exitCode = 1;
+} finally {
+	await primate.prisma.$disconnect();
+}
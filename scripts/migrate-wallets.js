@@ -0,0 +1,17 @@
+import primate from '@thewebchimp/primate';
+import WalletService from '#services/wallet.service.js';
+
+// Encrypts the wallets still stored in plain text in the user metas.
+// Usage: yarn migrate:wallets (requires WALLET_MASTER_KEY)
+
+await primate.setup();
+
+try {
+	const summary = await WalletService.migrateFromMetas();
+	console.info(`Wallets encrypted: ${ summary.migrated }, metas cleaned: ${ summary.cleaned }`);
+} catch(e) {
+	console.error('Error migrating wallets:', e);
+	process.exitCode = 1;
+} finally {
+	await primate.prisma.$disconnect();
+}
@@ -1,6 +1,7 @@
 import 'dotenv/config';
 import OpenAI from 'openai';
 import ToolService from '#services/tool.service.js';
+import ConfirmationService from '#services/confirmation.service.js';
 
 import * as wapaTemplates from '#assets/templates/wapa.js';
 
@@ -166,12 +167,15 @@ class AIService {
 			const role = !msg.fromMe ? 'user' : 'assistant';
 			const type = !msg.fromMe ? 'input_text' : 'output_text';
 
+			// the confirmation instructions sent by the bot carry the one-time code, which the model must never see
+			const text = msg.fromMe ? ConfirmationService.redact(msg.body) : msg.body;
+
 			return {
 				'role': role,
 				'content': [
 					{
 						'type': type,
-						'text': msg.body || '',  // Use empty string if body is null
+						'text': text || '',  // Use empty string if body is null
 					},
 				],
 			};
@@ -184,9 +188,11 @@ class AIService {
 	 * @param prompt {string} - The message to respond to.
 	 * @param context {Object} - The context to use for the conversation.
 	 * @param rawMessages {Array} - The raw messages to use for the conversation.
+	 * @param options {Object} - Additional options.
+	 * @param options.idMessage {string} - The ID of the WhatsApp message being answered, used to derive idempotency keys.
 	 * @return {Promise<string>} - The generated response.
 	 */
-	static async tooledConversation(from, prompt, context, rawMessages) {
+	static async tooledConversation(from, prompt, context, rawMessages, options = {}) {
 		// Prepare conversation history from raw messages
 		const history = await AIService.prepareConversationHistory(rawMessages);
 
@@ -219,82 +225,108 @@ class AIService {
 			],
 		});
 
-		const response = await openai.responses.create({
+		const maxIterations = parseInt(process.env.AI_MAX_TOOL_ITERATIONS) || 5;
+
+		// confirmation instructions of the transfers requested in this turn
+		const confirmations = [];
+
+		// Agent loop: run every function call, feed the results back and let the model answer with real data
+		for(let iteration = 0; iteration < maxIterations; iteration++) {
+			const response = await openai.responses.create({
+				model: 'gpt-4.1',
+				input: inputArray,
+				reasoning: {},
+				tools: ToolService.definitions(),
+				temperature: 1,
+				max_output_tokens: 2048,
+				top_p: 1,
+				store: true,
+			});
+
+			const functionCalls = response.output.filter(item => item.type === 'function_call');
+
+			// no more tools to call, this is the final answer
+			if(!functionCalls.length) return AIService.#withConfirmations(response.output_text, confirmations);
+
+			// keep the function calls in the input so the outputs can be matched by call_id
+			inputArray.push(...response.output);
+
+			for(const functionCall of functionCalls) {
+				// the confirmation instructions carry the one-time code, they are appended to the answer and never reach the model
+				const { confirmationInstructions, ...output } = await AIService.callTool(from, functionCall, options);
+				if(confirmationInstructions) confirmations.push(confirmationInstructions);
+
+				inputArray.push({
+					type: 'function_call_output',
+					call_id: functionCall.call_id,
+					output: JSON.stringify(output),
+				});
+			}
+		}
+
+		console.warn(`Tool loop reached ${ maxIterations } iterations for ${ from }, asking for a final answer`);
+
+		// iteration guard reached: no more tools, the model must answer with what it has
+		const finalResponse = await openai.responses.create({
 			model: 'gpt-4.1',
 			input: inputArray,
 			reasoning: {},
-			tools: wapaTemplates.generalTools,
+			tools: ToolService.definitions(),
+			tool_choice: 'none',
 			temperature: 1,
 			max_output_tokens: 2048,
 			top_p: 1,
 			store: true,
 		});
 
-		//console.log('Response:', JSON.stringify(response, null, 2));
-
-		let toolResponse = null;
-
-		if(response.output[0].type === 'function_call') {
-			// JSON encode arguments
-			const name = response.output[0].name;
-			const args = JSON.parse(response.output[0].arguments);
-
-			console.log('Function name:', name);
-			console.log('Function arguments:', args);
-			console.log('Available methods:', Object.getOwnPropertyNames(ToolService));
-
-			// Call the function with the name and arguments as static methods of the class AIService
-			if(typeof ToolService[name] === 'function') {
-				console.log('Calling function:', name, 'with args:', args);
-				// add from as idWa to the args
-				args.idWa = from;
-
-				try {
-					toolResponse = await ToolService[name](args);
-
-					if(name === 'getWalletBalance') {
-						console.log('toolResponse', toolResponse);
-
-						// replace %amount% with the actual amount
-						if(toolResponse) {
-							args.continueConversation = args.continueConversation.replace('%amount%', toolResponse.balance);
-						}
-					}
-
-					if(name === 'sendMoney') {
-						console.log('toolResponse', toolResponse);
+		return AIService.#withConfirmations(finalResponse.output_text, confirmations);
+	}
 
-						// replace %amount% with the actual amount
-						if(toolResponse) {
+	/**
+	 * Executes a function call emitted by the model through the tool registry.
+	 * Errors are returned to the model instead of being thrown, so it can explain them to the user.
+	 * @param from {string} - The sender of the message.
+	 * @param functionCall {Object} - The function_call output item.
+	 * @param options {Object} - The options of the conversation.
+	 * @return {Promise<Object>} - The output of the tool, its confirmationInstructions must not be sent to the model.
+	 */
+	static async callTool(from, functionCall, options = {}) {
+		const name = functionCall.name;
+		if(!ToolService.has(name)) return { error: `Unknown tool ${ name }` };
 
-							// transaction details
-							const transactionDetails = `Link: https://sepolia.arbiscan.io/tx/${ toolResponse.transaction.hash }`;
+		try {
+			// JSON decode arguments
+			const args = JSON.parse(functionCall.arguments);
 
-							args.continueConversation = args.continueConversation.replace('%amount%', toolResponse.amount);
-							args.continueConversation = args.continueConversation.replace('%name%', toolResponse.contactName);
-							args.continueConversation = args.continueConversation.replace('%transaction_details%', '\n\n' + transactionDetails);
-						}
-					}
-				} catch(e) {
-					console.error('Error calling function:', e);
-					args.continueConversation = 'Lo siento, hubo un error al procesar tu solicitud. Por favor intenta de nuevo más tarde.';
-				}
-			}
+			console.log('Calling function:', name, 'with args:', args);
 
-			// check if args contain "continueConversation"
-			if(args.continueConversation) {
-				console.log('continueConversation:', args.continueConversation);
+			const output = await ToolService.call(name, args, { idWa: from, idMessage: options.idMessage });
 
-				// If it does, return the continueConversation message
-				return args.continueConversation;
-			}
+			// the one-time code of the confirmation instructions is kept out of the logs
+			const { confirmationInstructions, ...logged } = output || {};
+			console.log('toolOutput', logged);
 
-		} else if(response.output[0].type === 'message') {
-			// If the response is a text, return it
-			return response.output[0].content[0].text;
+			return output;
+		} catch(e) {
+			console.error('Error calling function:', e);
+			return { error: e.message };
 		}
+	}
+
+	/**
+	 * Appends the confirmation instructions of the requested transfers to the answer,
+	 * so the one-time code reaches the user exactly as generated. The code is redacted when the answer
+	 * comes back as history (see prepareConversationHistory).
+	 * @param text {string} - The answer of the model.
+	 * @param confirmations {Array<string>} - The confirmation instructions.
+	 * @return {string}
+	 * @private
+	 */
+	static #withConfirmations(text, confirmations) {
+		if(!confirmations.length) return text || false;
 
-		return false;
+		// only the latest intent is pending, the previous ones were replaced
+		return [ text, confirmations[confirmations.length - 1] ].filter(Boolean).join('\n\n');
 	}
 
 	/**
@@ -0,0 +1,37 @@
+import 'dotenv/config';
+import MandrillService from '#services/mandrill.service.js';
+
+/**
+ * Notifies the operators about problems that need attention.
+ * Alerts are always logged, and emailed to ALERT_EMAIL when it is configured.
+ */
+class AlertService {
+
+	/**
+	 * Sends an alert.
+	 * @param subject {string} - Short description of the problem.
+	 * @param details {Object|string} - Additional information.
+	 * @return {Promise<void>}
+	 */
+	static async notify(subject, details = {}) {
+		const text = typeof details === 'string' ? details : JSON.stringify(details, null, 2);
+
+		console.error(`[ALERT] ${ subject }`, text);
+
+		if(!process.env.ALERT_EMAIL) return;
+
+		try {
+			await MandrillService.sendMessage({
+				from_email: process.env.ALERT_FROM_EMAIL || 'no-reply@qcdr.io',
+				from_name: 'WAPA Alerts',
+				to: [ { email: process.env.ALERT_EMAIL, type: 'to' } ],
+				subject: `[WAPA] ${ subject }`,
+				text,
+			});
+		} catch(error) {
+			console.error('Error sending alert email:', error.message);
+		}
+	}
+}
+
+export default AlertService;
@@ -0,0 +1,63 @@
+import AlertService from '#services/alert.service.js';
+
+/**
+ * Statuses of a Bitso funding or withdrawal that need the attention of the operators.
+ * @type {string[]}
+ */
+const FAILED_STATUSES = [ 'failed', 'cancelled', 'rejected' ];
+
+/**
+ * Follows the money movements of the Bitso account of the platform reported by the Bitso webhooks:
+ * fundings, withdrawals and order fills. Every event is already kept in the `provider_event` table,
+ * so these handlers only alert the operators about the movements that failed.
+ */
+class BitsoAccountService {
+
+	/**
+	 * Handler of the bitso `funding` events of ProviderEventService.
+	 *
+	 * @param {Object} data - The funding.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async fundingUpdated(data) {
+		const status = data.status?.toLowerCase();
+
+		if(FAILED_STATUSES.includes(status)) {
+			await AlertService.notify('Bitso funding failed', { fid: data.fid, amount: data.amount, currency: data.currency, status });
+		}
+
+		return { message: `Funding ${ data.fid } ${ status } (${ data.amount } ${ data.currency })` };
+	}
+
+	/**
+	 * Handler of the bitso `withdrawal` events of ProviderEventService.
+	 *
+	 * @param {Object} data - The withdrawal.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async withdrawalUpdated(data) {
+		const status = data.status?.toLowerCase();
+
+		if(FAILED_STATUSES.includes(status)) {
+			await AlertService.notify('Bitso withdrawal failed', { wid: data.wid, amount: data.amount, currency: data.currency, method: data.method, status });
+		}
+
+		return { message: `Withdrawal ${ data.wid } ${ status } (${ data.amount } ${ data.currency })` };
+	}
+
+	/**
+	 * Handler of the bitso `trade` and `order` events of ProviderEventService.
+	 *
+	 * @param {Object} data - The trade, or the order that was filled.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async orderFilled(data) {
+		const id = data.tid || data.oid;
+
+		console.info(`Bitso order fill ${ id }:`, { book: data.book, side: data.side, major: data.major || data.original_amount, price: data.price, status: data.status });
+
+		return { message: `Order fill ${ id } on ${ data.book } (${ data.side })` };
+	}
+}
+
+export default BitsoAccountService;
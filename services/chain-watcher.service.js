@@ -0,0 +1,217 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import { ethers } from 'ethers';
+import CryptoService from '#services/crypto.service.js';
+import NotificationService from '#services/notification.service.js';
+import NetworkService from '#services/network.service.js';
+import DepositService from '#services/deposit.service.js';
+import Poller from '#utils/poller.js';
+
+const transferEvent = new ethers.utils.Interface([
+	'event Transfer(address indexed from, address indexed to, uint256 value)',
+]);
+
+/**
+ * Detects the tokens that reach the wallets of our users from outside WAPA.
+ *
+ * Every tick reads the ERC-20 Transfer logs of each token in NetworkService from the last processed block, records the
+ * ones sent to a user wallet as Completed transfers and queues the notification of the recipient.
+ * Transfers already in the ledger (sent through WAPA) and the funding sent by the base wallet are skipped.
+ *
+ * The last processed block of each token is kept in the `chain_cursor` table. The watcher polls every
+ * CHAIN_WATCHER_INTERVAL ms, reads at most CHAIN_WATCHER_BATCH blocks per tick and waits for
+ * CHAIN_WATCHER_CONFIRMATIONS blocks before processing a log. On the first run it starts from
+ * CHAIN_WATCHER_START_BLOCK, or from the latest block if it is not set.
+ */
+class ChainWatcherService {
+
+	/**
+	 * Gets the name of the cursor of a token.
+	 * @param {Object} token - The token watched.
+	 * @returns {string}
+	 */
+	static cursorName(token) {
+		return `transfers:${ token.address }`;
+	}
+
+	static #poller = new Poller('chain watcher', () => ChainWatcherService.#poll());
+
+	/**
+	 * Starts polling the Transfer logs.
+	 */
+	static start() {
+		const interval = parseInt(process.env.CHAIN_WATCHER_INTERVAL) || 15000;
+		if(!ChainWatcherService.#poller.start(interval)) return;
+
+		console.info(`Chain watcher started for ${ NetworkService.symbols.join(', ') }`);
+	}
+
+	/**
+	 * Stops polling the Transfer logs.
+	 */
+	static stop() {
+		ChainWatcherService.#poller.stop();
+	}
+
+	/**
+	 * Processes the blocks mined since the last tick.
+	 * @private
+	 */
+	static async #poll() {
+		const confirmations = parseInt(process.env.CHAIN_WATCHER_CONFIRMATIONS) || 2;
+		const batch = parseInt(process.env.CHAIN_WATCHER_BATCH) || 2000;
+
+		const latest = await CryptoService.provider.getBlockNumber() - confirmations;
+
+		for(const token of NetworkService.tokens) {
+			const cursor = await ChainWatcherService.#getCursor(token, latest);
+
+			const fromBlock = cursor.blockNumber + 1;
+			if(fromBlock > latest) continue;
+
+			const toBlock = Math.min(latest, fromBlock + batch - 1);
+
+			await ChainWatcherService.processBlocks(token, fromBlock, toBlock);
+
+			await primate.prisma.chainCursor.update({
+				where: { name: ChainWatcherService.cursorName(token) },
+				data: { blockNumber: toBlock },
+			});
+		}
+	}
+
+	/**
+	 * Records the deposits of a token to user wallets found in a range of blocks.
+	 *
+	 * @param {Object} token - The token, as listed in NetworkService.
+	 * @param {number} fromBlock - The first block to read.
+	 * @param {number} toBlock - The last block to read.
+	 * @returns {Promise<number>} - The number of deposits recorded.
+	 */
+	static async processBlocks(token, fromBlock, toBlock) {
+		const logs = await CryptoService.provider.getLogs({
+			address: token.address,
+			topics: [ transferEvent.getEventTopic('Transfer') ],
+			fromBlock,
+			toBlock,
+		});
+
+		if(!logs.length) return 0;
+
+		const events = logs.map(log => ({ log, args: transferEvent.parseLog(log).args }));
+
+		// only the logs sent to one of our wallets are relevant
+		const addresses = [ ...new Set(events.map(({ args }) => args.to)) ];
+		const wallets = await primate.prisma.wallet.findMany({ where: { address: { in: addresses } } });
+		const walletsByAddress = new Map(wallets.map(wallet => [ wallet.address.toLowerCase(), wallet ]));
+
+		let recorded = 0;
+
+		for(const { log, args } of events) {
+			const wallet = walletsByAddress.get(args.to.toLowerCase());
+			if(!wallet) continue;
+
+			if(await ChainWatcherService.recordDeposit(token, log, args, wallet)) recorded++;
+		}
+
+		if(recorded) console.info(`Chain watcher recorded ${ recorded } ${ token.symbol } deposits in blocks ${ fromBlock }-${ toBlock }`);
+
+		return recorded;
+	}
+
+	/**
+	 * Records a Transfer log sent to a user wallet and queues the notification of the user.
+	 *
+	 * @param {Object} token - The token transferred.
+	 * @param {Object} log - The Transfer log.
+	 * @param {Object} args - The decoded arguments of the log (from, to, value).
+	 * @param {Object} wallet - The wallet receiving the tokens.
+	 * @returns {Promise<boolean>} - Whether a new deposit was recorded.
+	 */
+	static async recordDeposit(token, log, args, wallet) {
+		// the funding of new wallets is not a deposit
+		const baseAddress = process.env.BASE_WALLET_ADDRESS;
+		if(baseAddress && args.from.toLowerCase() === baseAddress.toLowerCase()) return false;
+
+		// transfers sent through WAPA (without a log index) are already in the ledger and notified on completion,
+		// while a transaction paying several wallets has a deposit for each of its logs
+		const existing = await primate.prisma.transfer.findFirst({
+			where: {
+				txHash: log.transactionHash,
+				OR: [ { logIndex: null }, { logIndex: log.logIndex } ],
+			},
+		});
+		if(existing) return false;
+
+		// a replaced transaction may be mined before TransactionTrackerService updates the ledger
+		const transaction = await CryptoService.provider.getTransaction(log.transactionHash);
+		const sent = transaction && await primate.prisma.chainTransaction.findFirst({
+			where: { fromAddress: transaction.from, nonce: transaction.nonce },
+		});
+		if(sent) return false;
+
+		const sender = await primate.prisma.wallet.findFirst({ where: { address: args.from } });
+		const amount = ethers.utils.formatUnits(args.value, token.decimals);
+
+		// the MXNB of a SPEI top-up, withdrawn by Juno to the wallet of the user
+		const deposit = token.symbol === 'MXNB' && !sender ? await DepositService.findWithdrawn(wallet.address, amount) : null;
+
+		let transfer;
+
+		try {
+			transfer = await primate.prisma.transfer.create({
+				data: {
+					idSender: sender?.idUser || null,
+					idRecipient: wallet.idUser,
+					amount,
+					tokenAddress: token.address,
+					txHash: log.transactionHash,
+					logIndex: log.logIndex,
+					blockNumber: log.blockNumber,
+					status: 'Completed',
+					idempotencyKey: `deposit:${ log.transactionHash }:${ log.logIndex }`,
+					metas: {
+						source: 'chain',
+						fromAddress: args.from,
+						toAddress: args.to,
+						tokenSymbol: token.symbol,
+						idDeposit: deposit?.id,
+					},
+				},
+			});
+		} catch(e) {
+			// P2002: the log was recorded by a previous tick
+			if(e.code === 'P2002') return false;
+			throw e;
+		}
+
+		if(deposit) await DepositService.markCredited(deposit, transfer);
+
+		await NotificationService.queueIncomingTransfer(transfer);
+
+		return true;
+	}
+
+	/**
+	 * Gets the cursor of a token, creating it on the first run.
+	 * @param {Object} token - The token watched.
+	 * @param {number} latest - The latest block that can be processed.
+	 * @returns {Promise<Object>}
+	 * @private
+	 */
+	static async #getCursor(token, latest) {
+		const cursor = await primate.prisma.chainCursor.findUnique({ where: { name: ChainWatcherService.cursorName(token) } });
+		if(cursor) return cursor;
+
+		const startBlock = parseInt(process.env.CHAIN_WATCHER_START_BLOCK);
+
+		return primate.prisma.chainCursor.create({
+			data: {
+				name: ChainWatcherService.cursorName(token),
+				blockNumber: Number.isNaN(startBlock) ? latest : startBlock - 1,
+			},
+		});
+	}
+}
+
+export default ChainWatcherService;
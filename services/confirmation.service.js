@@ -0,0 +1,229 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import { randomInt } from 'crypto';
+
+/**
+ * Replies accepted as an explicit confirmation of a pending transfer.
+ * @type {string[]}
+ */
+const CONFIRM_REPLIES = [ 'si', 'confirmo', 'confirmar', 'acepto', 'enviar', 'yes' ];
+
+/**
+ * Replies accepted as a cancellation of a pending transfer.
+ * @type {string[]}
+ */
+const CANCEL_REPLIES = [ 'no', 'cancelar', 'cancela', 'cancelo', 'cancel' ];
+
+/**
+ * Matches the one-time code in the confirmation instructions (see describe).
+ * @type {RegExp}
+ */
+const CODE_PATTERN = /(código \*)[^*\s]+(\*)/gi;
+
+/**
+ * Keeps track of the transfers requested through WhatsApp until the user confirms them.
+ *
+ * Every intent moves through the states Pending -> Confirmed | Cancelled | Expired,
+ * and only a Pending intent that has not expired can be confirmed.
+ * The confirmation window is configured with TRANSFER_CONFIRMATION_TTL (seconds, 300 by default)
+ * and TRANSFER_CONFIRMATION_MODE selects whether a plain "sí" is enough ('reply', the default)
+ * or the one-time code is required ('code').
+ */
+class ConfirmationService {
+
+	/**
+	 * The number of seconds a pending intent waits for confirmation.
+	 * @return {number}
+	 */
+	static get ttl() {
+		return parseInt(process.env.TRANSFER_CONFIRMATION_TTL) || 300;
+	}
+
+	/**
+	 * Whether the one-time code is the only accepted confirmation.
+	 * @return {boolean}
+	 */
+	static get requiresCode() {
+		return process.env.TRANSFER_CONFIRMATION_MODE === 'code';
+	}
+
+	/**
+	 * Creates a pending intent for a user, cancelling any previous pending intent of the same chat.
+	 *
+	 * @param {Object} user - The user requesting the action.
+	 * @param {string} idWa - The WhatsApp ID of the chat that must confirm.
+	 * @param {string} action - The action to execute once confirmed (e.g. sendMoney).
+	 * @param {Object} args - The arguments of the action.
+	 * @param {string} [idempotencyKey=null] - Key derived from the originating message. If a pending intent
+	 * already exists for the key, it is returned instead of creating a new one.
+	 * @return {Promise<Object>} - The created intent.
+	 */
+	static async create(user, idWa, action, args, idempotencyKey = null) {
+		try {
+			if(idempotencyKey) {
+				const existing = await primate.prisma.transferIntent.findFirst({
+					where: { idempotencyKey, status: 'Pending' },
+				});
+
+				if(existing) return existing;
+			}
+
+			await primate.prisma.transferIntent.updateMany({
+				where: { idWa, status: 'Pending' },
+				data: { status: 'Cancelled' },
+			});
+
+			return await primate.prisma.transferIntent.create({
+				data: {
+					idUser: user.id,
+					idWa,
+					action,
+					args,
+					code: randomInt(0, 1000000).toString().padStart(6, '0'),
+					expires: new Date(Date.now() + ConfirmationService.ttl * 1000),
+					idempotencyKey,
+				},
+			});
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Gets the latest pending intent of a chat.
+	 * If the intent is past its window, it is marked as Expired and returned with that status.
+	 *
+	 * @param {string} idWa - The WhatsApp ID of the chat.
+	 * @return {Promise<Object|null>} - The intent, or null if there is none pending.
+	 */
+	static async findPending(idWa) {
+		const intent = await primate.prisma.transferIntent.findFirst({
+			where: { idWa, status: 'Pending' },
+			orderBy: { created: 'desc' },
+		});
+
+		if(!intent) return null;
+
+		if(intent.expires < new Date()) {
+			// only a still Pending intent expires, a concurrent claim may have confirmed it
+			await primate.prisma.transferIntent.updateMany({
+				where: { id: intent.id, status: 'Pending' },
+				data: { status: 'Expired' },
+			});
+
+			return primate.prisma.transferIntent.findUnique({ where: { id: intent.id } });
+		}
+
+		return intent;
+	}
+
+	/**
+	 * Interprets a user message as a reply to a pending intent.
+	 *
+	 * @param {Object} intent - The pending intent.
+	 * @param {string} message - The message sent by the user.
+	 * @return {'confirm'|'cancel'|null} - The reply, or null if the message is not a reply to the intent.
+	 */
+	static parseReply(intent, message) {
+		if(!message) return null;
+
+		// lowercase and strip accents and punctuation: "¡Sí!" -> "si"
+		const normalized = message
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/[^a-z0-9 ]/g, '')
+			.trim();
+
+		if(normalized.split(/\s+/).includes(intent.code)) return 'confirm';
+		if(CANCEL_REPLIES.includes(normalized)) return 'cancel';
+		if(!ConfirmationService.requiresCode && CONFIRM_REPLIES.includes(normalized)) return 'confirm';
+
+		return null;
+	}
+
+	/**
+	 * Moves a pending intent to Confirmed.
+	 * The update only succeeds once, so the same intent can never be executed twice.
+	 *
+	 * @param {Object} intent - The intent to confirm.
+	 * @return {Promise<boolean>} - Whether this call confirmed the intent.
+	 */
+	static async claim(intent) {
+		const result = await primate.prisma.transferIntent.updateMany({
+			where: {
+				id: intent.id,
+				status: 'Pending',
+				expires: { gt: new Date() },
+			},
+			data: { status: 'Confirmed' },
+		});
+
+		return result.count === 1;
+	}
+
+	/**
+	 * Cancels a pending intent.
+	 * Like claim, the update only succeeds while the intent is Pending, so a late cancellation never
+	 * overwrites an intent that was already confirmed and executed.
+	 *
+	 * @param {Object} intent - The intent to cancel.
+	 * @return {Promise<boolean>} - Whether this call cancelled the intent.
+	 */
+	static async cancel(intent) {
+		const result = await primate.prisma.transferIntent.updateMany({
+			where: { id: intent.id, status: 'Pending' },
+			data: { status: 'Cancelled' },
+		});
+
+		return result.count === 1;
+	}
+
+	/**
+	 * Links an executed intent with its result.
+	 *
+	 * @param {Object} intent - The confirmed intent.
+	 * @param {Object} data - The fields to store (idTransfer, metas).
+	 * @return {Promise<Object>} - The updated intent.
+	 */
+	static async complete(intent, data = {}) {
+		const { metas, ...fields } = data;
+
+		return primate.prisma.transferIntent.update({
+			where: { id: intent.id },
+			data: {
+				...fields,
+				metas: { ...intent.metas, ...metas },
+			},
+		});
+	}
+
+	/**
+	 * Builds the instructions appended to the transfer summary sent to the user.
+	 *
+	 * @param {Object} intent - The pending intent.
+	 * @return {string} - The confirmation instructions.
+	 */
+	static describe(intent) {
+		const minutes = Math.max(Math.round(ConfirmationService.ttl / 60), 1);
+
+		if(ConfirmationService.requiresCode) {
+			return `Para confirmar responde con el código *${ intent.code }* o escribe *NO* para cancelar. Tienes ${ minutes } min.`;
+		}
+
+		return `Para confirmar responde *SÍ* (o el código *${ intent.code }*), o escribe *NO* para cancelar. Tienes ${ minutes } min.`;
+	}
+
+	/**
+	 * Hides the one-time codes of the confirmation instructions in a text, so a message already
+	 * sent to the user can be shown to the model without the code.
+	 *
+	 * @param {string} text - The text.
+	 * @returns {string}
+	 */
+	static redact(text) {
+		return String(text || '').replace(CODE_PATTERN, '$1••••••$2');
+	}
+}
+
+export default ConfirmationService;
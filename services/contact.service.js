@@ -0,0 +1,265 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import { parseVCards } from '#utils/vcard.js';
+import { normalizeWaId } from '#utils/phone.js';
+
+/**
+ * The personal contact book of each user, used to resolve the recipients of the transfers.
+ *
+ * Contacts come from the vCards the user shares, from the transfers they send and from the
+ * addContact tool. Each one may have an alias ("mamá") the user can pay to by name.
+ *
+ * Contacts shared in the last CONTACT_SHARED_WINDOW seconds (1800 by default) are added to the
+ * context of the conversation, so "envíale 200 a este contacto" resolves to the card just received.
+ */
+class ContactService {
+
+	/**
+	 * The number of seconds a shared contact stays in the context of the conversation.
+	 * @return {number}
+	 */
+	static get sharedWindow() {
+		return parseInt(process.env.CONTACT_SHARED_WINDOW) || 1800;
+	}
+
+	/**
+	 * Stores the contacts of the vCards shared in a message.
+	 * Every phone number with a valid WhatsApp ID is saved as a contact of the user.
+	 *
+	 * @param {Object} user - The user that shared the vCards.
+	 * @param {Array<string>} vCards - The vCards of the message.
+	 * @returns {Promise<Array<Object>>} - The stored contacts.
+	 */
+	static async saveFromVCards(user, vCards = []) {
+		const cards = vCards.flatMap(vCard => parseVCards(vCard));
+		const sharedAt = new Date();
+		const contacts = [];
+
+		for(const card of cards) {
+			for(const phone of card.phones) {
+				if(!phone.idWa) continue;
+
+				const metas = { source: 'vcard', type: phone.type };
+
+				contacts.push(await primate.prisma.contact.upsert({
+					where: { idUser_idWa: { idUser: user.id, idWa: phone.idWa } },
+					create: { idUser: user.id, idWa: phone.idWa, name: card.name || phone.number, phone: phone.number, sharedAt, metas },
+					update: { name: card.name || undefined, phone: phone.number, sharedAt },
+				}));
+			}
+		}
+
+		return contacts;
+	}
+
+	/**
+	 * Lists the contacts of a user, the most recently used first.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<Array<Object>>}
+	 */
+	static async list(idUser) {
+		return primate.prisma.contact.findMany({
+			where: { idUser },
+			orderBy: [ { lastUsed: { sort: 'desc', nulls: 'last' } }, { name: 'asc' } ],
+		});
+	}
+
+	/**
+	 * Adds a contact to the book of a user, or updates it if the number is already saved.
+	 *
+	 * @param {Object} user - The owner of the contact book.
+	 * @param {Object} data - The contact data.
+	 * @param {string} data.name - The display name of the contact.
+	 * @param {string} [data.alias] - A short name to refer to the contact (e.g. mamá).
+	 * @param {string} data.phoneNumber - The phone number or WhatsApp ID of the contact.
+	 * @returns {Promise<Object>} - The stored contact.
+	 */
+	static async add(user, data) {
+		if(!data.name) throw new Error('Contact name is required');
+
+		const idWa = normalizeWaId(data.phoneNumber);
+		if(!idWa) throw new Error('Invalid phone number');
+
+		const alias = data.alias?.trim() || null;
+
+		if(alias) {
+			const contacts = await primate.prisma.contact.findMany({ where: { idUser: user.id, alias: { not: null } } });
+			const taken = contacts.find(contact => contact.idWa !== idWa && ContactService.normalize(contact.alias) === ContactService.normalize(alias));
+			if(taken) throw new Error(`Alias ${ alias } is already used by ${ taken.name }`);
+		}
+
+		return primate.prisma.contact.upsert({
+			where: { idUser_idWa: { idUser: user.id, idWa } },
+			create: { idUser: user.id, idWa, name: data.name, alias, phone: data.phoneNumber, metas: { source: 'manual' } },
+			update: { name: data.name, alias: alias || undefined },
+		});
+	}
+
+	/**
+	 * Removes a contact from the book of a user.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @param {string} query - The alias, name or phone number of the contact.
+	 * @returns {Promise<{removed: ?Object, matches: Array<Object>}>} - The removed contact, or the
+	 * matches when the query does not identify a single contact.
+	 */
+	static async remove(idUser, query) {
+		const matches = await ContactService.resolve(idUser, query);
+		if(matches.length !== 1) return { removed: null, matches };
+
+		const removed = await primate.prisma.contact.delete({ where: { id: matches[0].id } });
+
+		return { removed, matches };
+	}
+
+	/**
+	 * Finds the contacts of a user matching an alias, a name or a phone number.
+	 *
+	 * An exact alias wins over an exact name, and an exact name over a partial match.
+	 * More than one result means the query is ambiguous and the user must choose.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @param {string} query - The alias, name or phone number.
+	 * @returns {Promise<Array<Object>>} - The matching contacts.
+	 */
+	static async resolve(idUser, query) {
+		if(!query) return [];
+
+		const idWa = /\d{10}/.test(query.replace(/\D/g, '')) ? normalizeWaId(query) : null;
+		if(idWa) {
+			const contact = await primate.prisma.contact.findUnique({ where: { idUser_idWa: { idUser, idWa } } });
+			return contact ? [ contact ] : [];
+		}
+
+		const normalized = ContactService.normalize(query);
+		const contacts = await ContactService.list(idUser);
+
+		const byAlias = contacts.filter(contact => contact.alias && ContactService.normalize(contact.alias) === normalized);
+		if(byAlias.length) return byAlias;
+
+		const byName = contacts.filter(contact => ContactService.normalize(contact.name) === normalized);
+		if(byName.length) return byName;
+
+		return contacts.filter(contact =>
+			ContactService.normalize(contact.name).includes(normalized) ||
+			(contact.alias && ContactService.normalize(contact.alias).includes(normalized)));
+	}
+
+	/**
+	 * Records that a user sent money to a contact, adding it to the book if it was not saved.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @param {Object} data - The recipient.
+	 * @param {string} data.idWa - The WhatsApp ID of the recipient.
+	 * @param {string} data.name - The name used for the recipient.
+	 * @param {Date} [data.usedAt] - When the transfer was sent, now by default.
+	 * @returns {Promise<Object>} - The stored contact.
+	 */
+	static async recordUsage(idUser, data) {
+		const lastUsed = data.usedAt || new Date();
+
+		return primate.prisma.contact.upsert({
+			where: { idUser_idWa: { idUser, idWa: data.idWa } },
+			create: { idUser, idWa: data.idWa, name: data.name, lastUsed, metas: { source: 'transfer' } },
+			update: { lastUsed },
+		});
+	}
+
+	/**
+	 * Adds the recipients of the past transfers to the contact books of their senders.
+	 *
+	 * @returns {Promise<number>} - The number of contacts stored or updated.
+	 */
+	static async backfillFromTransfers() {
+		const transfers = await primate.prisma.transfer.findMany({
+			where: { status: 'Completed', idSender: { not: null } },
+			include: { recipient: true },
+			orderBy: { created: 'asc' },
+		});
+
+		let count = 0;
+
+		for(const transfer of transfers) {
+			if(!transfer.recipient.idWa) continue;
+
+			await ContactService.recordUsage(transfer.idSender, {
+				idWa: transfer.recipient.idWa,
+				name: transfer.metas?.contactName || transfer.recipient.nicename || transfer.recipient.idWa,
+				usedAt: transfer.created,
+			});
+
+			count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Reduces a contact to the fields given to the model.
+	 *
+	 * @param {Object} contact - The stored contact.
+	 * @returns {{name: string, alias: ?string, phoneNumber: string, lastUsed: ?Date}}
+	 */
+	static summarize(contact) {
+		return {
+			name: contact.name,
+			alias: contact.alias,
+			phoneNumber: contact.idWa,
+			lastUsed: contact.lastUsed,
+		};
+	}
+
+	/**
+	 * Normalizes a name or alias for comparison: lower case, no accents and single spaces.
+	 *
+	 * @param {string} text - The text to normalize.
+	 * @returns {string}
+	 */
+	static normalize(text) {
+		return String(text || '')
+			.normalize('NFD')
+			.replace(/[\u0300-\u036f]/g, '')
+			.toLowerCase()
+			.replace(/\s+/g, ' ')
+			.trim();
+	}
+
+	/**
+	 * Gets the contacts shared recently by a user, grouped by name, as they are given to the model.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<Array<{name: string, phoneNumbers: Array<string>}>>}
+	 */
+	static async recentlyShared(idUser) {
+		const contacts = await primate.prisma.contact.findMany({
+			where: {
+				idUser,
+				sharedAt: { gte: new Date(Date.now() - ContactService.sharedWindow * 1000) },
+			},
+			orderBy: { sharedAt: 'desc' },
+		});
+
+		const byName = new Map();
+
+		for(const contact of contacts) {
+			if(!byName.has(contact.name)) byName.set(contact.name, { name: contact.name, phoneNumbers: [] });
+			byName.get(contact.name).phoneNumbers.push(contact.idWa);
+		}
+
+		return [ ...byName.values() ];
+	}
+
+	/**
+	 * Describes the shared contacts as a user message, for messages that only contain vCards.
+	 *
+	 * @param {Array<Object>} contacts - The stored contacts.
+	 * @returns {string}
+	 */
+	static describeShared(contacts) {
+		const names = [ ...new Set(contacts.map(contact => contact.name)) ];
+		return `Te compartí ${ names.length === 1 ? 'el contacto' : 'los contactos' } de ${ names.join(', ') }.`;
+	}
+}
+
+export default ContactService;
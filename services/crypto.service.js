@@ -1,50 +1,187 @@
 import 'dotenv/config';
 import { ethers } from 'ethers';
+import { createCipheriv, createDecipheriv, randomBytes } from 'crypto';
+import NetworkService from '#services/network.service.js';
+import NonceService from '#services/nonce.service.js';
+import TransactionTrackerService from '#services/transaction-tracker.service.js';
 
 class CryptoService {
 
 	/**
-	 * The provider to connect to the Ethereum network.
+	 * The provider to connect to the network selected in NetworkService.
 	 * @type {ethers.providers.JsonRpcProvider}
 	 */
-	static provider = new ethers.providers.JsonRpcProvider('https://sepolia-rollup.arbitrum.io/rpc');
+	static provider = new ethers.providers.JsonRpcProvider(NetworkService.current.rpcUrl, NetworkService.current.chainId);
 
 	/**
-	 * Generates a new wallet and returns its address, private key, and mnemonic.
-	 * @return {Promise<{address: string, privateKey: string, mnemonic: string}>}
+	 * Generates a new wallet and returns its address with the private key and mnemonic sealed.
+	 * The plain secrets never leave this service.
+	 * @return {Promise<{address: string, encryptedKey: string, encryptedMnemonic: string, dataKey: string, keyVersion: number}>}
 	 */
 	static async generateWallet() {
 		try {
 			const wallet = ethers.Wallet.createRandom();
-			const connectedWallet = wallet.connect(this.provider);
 
-			return {
+			return this.sealWallet({
 				address: wallet.address,
 				privateKey: wallet.privateKey,
 				mnemonic: wallet.mnemonic.phrase,
-			};
+			});
 		} catch(error) {
 			console.error('Error generating wallet:', error.message);
 			throw new Error('Error generating wallet');
 		}
 	}
 
+	/**
+	 * Encrypts the secrets of a wallet using envelope encryption.
+	 *
+	 * A random data key encrypts the private key and the mnemonic (AES-256-GCM),
+	 * and the data key itself is encrypted with the master key from WALLET_MASTER_KEY.
+	 * @param {Object} wallet - Wallet with address, privateKey and mnemonic in plain text
+	 * @return {{address: string, encryptedKey: string, encryptedMnemonic: string|null, dataKey: string, keyVersion: number}}
+	 */
+	static sealWallet(wallet) {
+		const dataKey = randomBytes(32);
+
+		return {
+			address: wallet.address,
+			encryptedKey: this.#encrypt(wallet.privateKey, dataKey),
+			encryptedMnemonic: wallet.mnemonic ? this.#encrypt(wallet.mnemonic, dataKey) : null,
+			dataKey: this.#encrypt(dataKey.toString('hex'), this.#masterKey()),
+			keyVersion: 1,
+		};
+	}
+
+	/**
+	 * Reads the master key used to wrap the data keys of the wallets.
+	 * WALLET_MASTER_KEY must hold 32 bytes, hex (64 chars) or base64 encoded.
+	 * @return {Buffer}
+	 * @private
+	 */
+	static #masterKey() {
+		const value = process.env.WALLET_MASTER_KEY;
+		if(!value) throw new Error('WALLET_MASTER_KEY is not set');
+
+		const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+		if(key.length !== 32) throw new Error('WALLET_MASTER_KEY must be 32 bytes long');
+
+		return key;
+	}
+
+	/**
+	 * Encrypts a text with AES-256-GCM.
+	 * @param {string} text - Text to encrypt
+	 * @param {Buffer} key - 32 bytes key
+	 * @return {string} - iv, auth tag and ciphertext, base64 encoded and joined by dots
+	 * @private
+	 */
+	static #encrypt(text, key) {
+		const iv = randomBytes(12);
+		const cipher = createCipheriv('aes-256-gcm', key, iv);
+		const ciphertext = Buffer.concat([ cipher.update(text, 'utf8'), cipher.final() ]);
+
+		return [ iv, cipher.getAuthTag(), ciphertext ].map(part => part.toString('base64')).join('.');
+	}
+
+	/**
+	 * Decrypts a text encrypted with #encrypt.
+	 * @param {string} payload - iv, auth tag and ciphertext joined by dots
+	 * @param {Buffer} key - 32 bytes key
+	 * @return {string}
+	 * @private
+	 */
+	static #decrypt(payload, key) {
+		const [ iv, tag, ciphertext ] = payload.split('.').map(part => Buffer.from(part, 'base64'));
+		const decipher = createDecipheriv('aes-256-gcm', key, iv);
+		decipher.setAuthTag(tag);
+
+		return Buffer.concat([ decipher.update(ciphertext), decipher.final() ]).toString('utf8');
+	}
+
+	/**
+	 * Creates a signer for a wallet.
+	 * Stored wallets are decrypted here, right before signing; the treasury wallet
+	 * is passed with its private key from the environment.
+	 * @param {Object} walletObject - A stored Wallet record or an object with a privateKey
+	 * @return {ethers.Wallet}
+	 * @private
+	 */
+	static #signer(walletObject) {
+		if(walletObject.encryptedKey) {
+			const dataKey = Buffer.from(this.#decrypt(walletObject.dataKey, this.#masterKey()), 'hex');
+			return new ethers.Wallet(this.#decrypt(walletObject.encryptedKey, dataKey), this.provider);
+		}
+
+		return new ethers.Wallet(walletObject.privateKey, this.provider);
+	}
+
+	/**
+	 * Signs and broadcasts a transaction with the next nonce of the signer, and tracks it until it is mined.
+	 * @param {ethers.Wallet} walletInstance - The signer
+	 * @param {Object} request - The transaction (to, data, value and optionally gasLimit)
+	 * @param {Object} [options={}] - Send options
+	 * @param {boolean} [options.wait=false] - Wait until the transaction is mined
+	 * @param {string} [options.kind] - Kind of transaction, see TransactionTrackerService
+	 * @param {number} [options.referenceId] - ID of the record the transaction belongs to
+	 * @return {Promise<{hash: string, blockNumber: number|null, nonce: number, idTransaction: number}>}
+	 * @throws {Error} - With the hash of the transaction if it was broadcast but could not be tracked
+	 * @private
+	 */
+	static async #submit(walletInstance, request, options = {}) {
+		const gasPrice = await this.provider.getGasPrice();
+
+		// 20% over the estimate, the state may change before the transaction is mined
+		const gasLimit = request.gasLimit || (await walletInstance.estimateGas(request)).mul(120).div(100);
+
+		const transaction = await NonceService.withNonce(this.provider, walletInstance.address, nonce =>
+			walletInstance.sendTransaction({ ...request, gasLimit, gasPrice, nonce }));
+
+		let record;
+
+		try {
+			record = await TransactionTrackerService.track(transaction, options);
+		} catch(error) {
+			// the transaction is already broadcast and may be mined, the caller must not take it as never sent
+			error.hash = transaction.hash;
+			throw error;
+		}
+
+		if(!options.wait) {
+			return { hash: transaction.hash, blockNumber: null, nonce: transaction.nonce, idTransaction: record.id };
+		}
+
+		const confirmed = await TransactionTrackerService.waitFor(record.id);
+
+		return { hash: confirmed.hash, blockNumber: confirmed.blockNumber, nonce: confirmed.nonce, idTransaction: record.id };
+	}
+
+	/**
+	 * Sends a pending transaction again with the same nonce and a higher gas price, so it replaces the original.
+	 * @param {Object} walletObject - Stored Wallet record, or wallet object containing private key
+	 * @param {Object} request - The original transaction (to, data, value, gasLimit and nonce)
+	 * @param {ethers.BigNumber} gasPrice - The new gas price
+	 * @return {Promise<ethers.providers.TransactionResponse>}
+	 */
+	static async replaceTransaction(walletObject, request, gasPrice) {
+		const walletInstance = this.#signer(walletObject);
+		return walletInstance.sendTransaction({ ...request, gasPrice });
+	}
+
 	/**
 	 * Sends tokens from one wallet to another.
-	 * @param {Object} walletObject - Wallet object containing private key
+	 * @param {Object} walletObject - Stored Wallet record, or wallet object containing private key
 	 * @param {string} tokenAddress - Address of the token contract
 	 * @param {string} toAddress - Address of the recipient
 	 * @param {string|number} amount - Amount of tokens to send
 	 * @param {number} decimals - Decimals of the token (optional)
-	 * @returns {Object} - Transaction details
+	 * @param {Object} [options={}] - Send options, see #submit
+	 * @returns {Object} - Transaction details, blockNumber is null until the transaction is mined
 	 */
-	static async sendToken(walletObject, tokenAddress, toAddress, amount, decimals = 18) {
+	static async sendToken(walletObject, tokenAddress, toAddress, amount, decimals = 18, options = {}) {
 		try {
 			// Create a wallet instance from the provided wallet object
-			const walletInstance = new ethers.Wallet(
-				walletObject.privateKey,
-				this.provider,
-			);
+			const walletInstance = this.#signer(walletObject);
 
 			// Minimal ABI to interact with ERC20 tokens
 			const erc20Abi = [
@@ -90,36 +227,160 @@ class CryptoService {
 				throw new Error(`Saldo insuficiente de ${ tokenSymbol }`);
 			}
 
-			// Send the tokens
-			const transaction = await tokenContract.transfer(toAddress, amountToSend);
-			const receipt = await transaction.wait();
+			// Send the tokens, the receipt is followed by TransactionTrackerService
+			const transaction = await this.#submit(
+				walletInstance,
+				await tokenContract.populateTransaction.transfer(toAddress, amountToSend),
+				options,
+			);
 
 			return {
 				success: true,
-				hash: transaction.hash,
-				blockNumber: receipt.blockNumber,
+				...transaction,
 				tokenSymbol: tokenSymbol,
 			};
 		} catch(error) {
 			console.error('Error sending tokens:', error.message);
-			throw new Error(`Error sending tokens: ${ error.message }`);
+			throw Object.assign(new Error(`Error sending tokens: ${ error.message }`), { hash: error.hash });
+		}
+	}
+
+	/**
+	 * Checks whether a token implements EIP-2612 permit.
+	 * @param {string} tokenAddress - Address of the token contract
+	 * @return {Promise<boolean>}
+	 */
+	static async supportsPermit(tokenAddress) {
+		const tokenContract = new ethers.Contract(tokenAddress, [
+			'function nonces(address owner) view returns (uint256)',
+			'function DOMAIN_SEPARATOR() view returns (bytes32)',
+		], this.provider);
+
+		try {
+			await tokenContract.DOMAIN_SEPARATOR();
+			await tokenContract.nonces(ethers.constants.AddressZero);
+			return true;
+		} catch(error) {
+			return false;
+		}
+	}
+
+	/**
+	 * Sends tokens from one wallet to another with the gas paid by a relayer.
+	 *
+	 * The owner signs an EIP-2612 permit off-chain allowing the relayer to spend the amount, and the
+	 * relayer submits permit and transferFrom, so the owner does not need ETH.
+	 * @param {Object} walletObject - Stored Wallet record of the owner of the tokens
+	 * @param {Object} relayerObject - Wallet object of the relayer, which pays the gas
+	 * @param {string} tokenAddress - Address of the token contract, must support permit
+	 * @param {string} toAddress - Address of the recipient
+	 * @param {string|number} amount - Amount of tokens to send
+	 * @param {number} decimals - Decimals of the token (optional)
+	 * @param {Object} [options={}] - Send options of the transfer, see #submit
+	 * @returns {Object} - Transaction details of the transfer
+	 */
+	static async sendTokenWithPermit(walletObject, relayerObject, tokenAddress, toAddress, amount, decimals = 18, options = {}) {
+		let transferring = false;
+
+		try {
+			const owner = this.#signer(walletObject);
+			const relayer = this.#signer(relayerObject);
+
+			const tokenContract = new ethers.Contract(tokenAddress, [
+				'function permit(address owner, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)',
+				'function transferFrom(address from, address to, uint256 amount) returns (bool)',
+				'function nonces(address owner) view returns (uint256)',
+				'function balanceOf(address owner) view returns (uint256)',
+				'function name() view returns (string)',
+				'function version() view returns (string)',
+				'function symbol() view returns (string)',
+			], relayer);
+
+			let tokenSymbol;
+			try {
+				tokenSymbol = await tokenContract.symbol();
+			} catch(error) {
+				tokenSymbol = 'Token';
+			}
+
+			const amountToSend = ethers.utils.parseUnits(amount.toString(), decimals);
+
+			const balance = await tokenContract.balanceOf(owner.address);
+			if(balance.lt(amountToSend)) {
+				throw new Error(`Saldo insuficiente de ${ tokenSymbol }`);
+			}
+
+			// tokens without version() use the default of the OpenZeppelin implementation
+			let version = '1';
+			try {
+				version = await tokenContract.version();
+			} catch(error) {
+				console.warn('The token does not expose version(), using 1');
+			}
+
+			const { chainId } = await this.provider.getNetwork();
+			const deadline = Math.floor(Date.now() / 1000) + 600;
+
+			const signature = ethers.utils.splitSignature(await owner._signTypedData(
+				{ name: await tokenContract.name(), version, chainId, verifyingContract: tokenAddress },
+				{
+					Permit: [
+						{ name: 'owner', type: 'address' },
+						{ name: 'spender', type: 'address' },
+						{ name: 'value', type: 'uint256' },
+						{ name: 'nonce', type: 'uint256' },
+						{ name: 'deadline', type: 'uint256' },
+					],
+				},
+				{
+					owner: owner.address,
+					spender: relayer.address,
+					value: amountToSend,
+					nonce: await tokenContract.nonces(owner.address),
+					deadline,
+				},
+			));
+
+			const permit = await this.#submit(
+				relayer,
+				await tokenContract.populateTransaction.permit(owner.address, relayer.address, amountToSend, deadline, signature.v, signature.r, signature.s),
+			);
+
+			// the relayer nonces keep the order: transferFrom is mined after the permit. It cannot be
+			// estimated before the permit is mined, so the gas limit is fixed
+			transferring = true;
+			const transaction = await this.#submit(
+				relayer,
+				{ ...await tokenContract.populateTransaction.transferFrom(owner.address, toAddress, amountToSend), gasLimit: 200000 },
+				options,
+			);
+
+			return {
+				success: true,
+				...transaction,
+				tokenSymbol: tokenSymbol,
+				permitHash: permit.hash,
+			};
+		} catch(error) {
+			console.error('Error relaying tokens:', error.message);
+
+			// only a broadcast transferFrom moves the tokens, a broadcast permit alone does not
+			throw Object.assign(new Error(`Error relaying tokens: ${ error.message }`), { hash: transferring ? error.hash : undefined });
 		}
 	}
 
 	/**
 	 * Sends Ether from one wallet to another.
-	 * @param walletObject - Wallet object containing private key
+	 * @param walletObject - Stored Wallet record, or wallet object containing private key
 	 * @param toAddress - Address of the recipient
 	 * @param amount - Amount of Ether to send
-	 * @return {Promise<{success: boolean, hash: string, blockNumber: number, tokenSymbol: string}>} - Transaction details
+	 * @param {Object} [options={}] - Send options, see #submit
+	 * @return {Promise<{success: boolean, hash: string, blockNumber: number|null, tokenSymbol: string}>} - Transaction details
 	 */
-	static async sendEther(walletObject, toAddress, amount) {
+	static async sendEther(walletObject, toAddress, amount, options = {}) {
 		try {
 			// Crear una instancia de wallet a partir del objeto wallet proporcionado
-			const walletInstance = new ethers.Wallet(
-				walletObject.privateKey,
-				this.provider,
-			);
+			const walletInstance = this.#signer(walletObject);
 
 			// Obtener el balance de ETH del remitente
 			const balance = await this.provider.getBalance(walletInstance.address);
@@ -127,9 +388,6 @@ class CryptoService {
 			// Formatear la cantidad a enviar (en ETH)
 			const amountToSend = ethers.utils.parseEther(amount.toString());
 
-			// Obtener el nonce actual de la cuenta
-			const currentNonce = await this.provider.getTransactionCount(walletInstance.address, 'latest');
-
 			// Obtener el precio de gas actual
 			const gasPrice = await this.provider.getGasPrice();
 
@@ -143,22 +401,16 @@ class CryptoService {
 				throw new Error(`Saldo insuficiente de ETH`);
 			}
 
-			// Crear la transacción con el nonce actual
-			const transaction = await walletInstance.sendTransaction({
+			// El nonce lo asigna NonceService y el recibo lo sigue TransactionTrackerService
+			const transaction = await this.#submit(walletInstance, {
 				to: toAddress,
 				value: amountToSend,
 				gasLimit: gasLimit,
-				gasPrice: gasPrice,
-				nonce: currentNonce, // Especificar el nonce explícitamente
-			});
-
-			// Esperar a que se confirme la transacción
-			const receipt = await transaction.wait();
+			}, options);
 
 			return {
 				success: true,
-				hash: transaction.hash,
-				blockNumber: receipt.blockNumber,
+				...transaction,
 				tokenSymbol: 'ETH',
 			};
 		} catch(error) {
@@ -168,37 +420,24 @@ class CryptoService {
 	}
 
 	/**
-	 * Funds a wallet with MXNB and ETH.
-	 * @param walletAddress - Wallet address to fund
-	 * @return {Promise<{mxnb: *, eth: *}>} - Transaction details
+	 * Gets the treasury wallet, which pays the sponsorships of new users.
+	 * @return {{privateKey: string, address: string}} - Wallet object containing private key
+	 */
+	static get treasury() {
+		return {
+			privateKey: process.env.BASE_WALLET_PRIVATE_KEY,
+			address: process.env.BASE_WALLET_ADDRESS,
+		};
+	}
+
+	/**
+	 * Gets the Ether balance of a wallet.
+	 * @param {string} walletAddress - Wallet address to check
+	 * @returns {Promise<{balance: string, symbol: string}>} - Balance in ETH
 	 */
-	static async fundWallet(walletAddress) {
-
-		const mxnb = await this.sendToken(
-			{
-				privateKey: process.env.BASE_WALLET_PRIVATE_KEY,
-				address: process.env.BASE_WALLET_ADDRESS,
-			},
-			'0x82b9e52b26a2954e113f94ff26647754d5a4247d',
-			walletAddress,
-			50,
-			6,
-		);
-
-		console.log('Transacción MXNB', mxnb);
-
-		const eth = await this.sendEther(
-			{
-				privateKey: process.env.BASE_WALLET_PRIVATE_KEY,
-				address: process.env.BASE_WALLET_ADDRESS,
-			},
-			walletAddress,
-			0.01,
-		);
-
-		console.log('Transacción SETH', eth);
-
-		return { mxnb, eth };
+	static async getEtherBalance(walletAddress) {
+		const balance = await this.provider.getBalance(walletAddress);
+		return { balance: ethers.utils.formatEther(balance), symbol: 'ETH' };
 	}
 
 	/**
@@ -0,0 +1,75 @@
+import primate from '@thewebchimp/primate';
+
+/**
+ * Remembers the WhatsApp messages already handled, so the webhook retries of WAHA
+ * do not run onboarding or tools twice for the same message.
+ */
+class DedupService {
+
+	/**
+	 * Claims a message for processing.
+	 *
+	 * The first delivery of a message wins the claim. Later deliveries are rejected, unless
+	 * the previous processing failed, in which case the retry is allowed to claim it again.
+	 *
+	 * @param {string} messageId - The WAHA message ID (payload.id).
+	 * @param {Object} [data={}] - Additional data to store (idWa, event).
+	 * @returns {Promise<boolean>} - Whether the message was claimed by this delivery.
+	 */
+	static async claim(messageId, data = {}) {
+		try {
+			await primate.prisma.processedMessage.create({
+				data: {
+					messageId,
+					idWa: data.idWa || null,
+					event: data.event || 'message.any',
+					status: 'Processing',
+				},
+			});
+
+			return true;
+		} catch(e) {
+			// P2002: unique constraint, the message was already delivered
+			if(e.code !== 'P2002') throw e;
+
+			const retry = await primate.prisma.processedMessage.updateMany({
+				where: { messageId, status: 'Failed' },
+				data: { status: 'Processing' },
+			});
+
+			return retry.count === 1;
+		}
+	}
+
+	/**
+	 * Marks a claimed message as processed.
+	 *
+	 * @param {string} messageId - The WAHA message ID.
+	 * @returns {Promise<Object>} - The updated record.
+	 */
+	static async markProcessed(messageId) {
+		return primate.prisma.processedMessage.update({
+			where: { messageId },
+			data: { status: 'Processed' },
+		});
+	}
+
+	/**
+	 * Marks a claimed message as failed, so a new delivery can process it again.
+	 *
+	 * @param {string} messageId - The WAHA message ID.
+	 * @param {string} [error] - The error that stopped the processing.
+	 * @returns {Promise<Object>} - The updated record.
+	 */
+	static async markFailed(messageId, error) {
+		return primate.prisma.processedMessage.update({
+			where: { messageId },
+			data: {
+				status: 'Failed',
+				metas: { error },
+			},
+		});
+	}
+}
+
+export default DedupService;
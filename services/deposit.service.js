@@ -0,0 +1,363 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import JunoBitsoService from '#services/juno-bitso.service.js';
+import QueueService from '#services/queue.service.js';
+import WalletService from '#services/wallet.service.js';
+import WahaService from '#services/waha.service.js';
+import AlertService from '#services/alert.service.js';
+import Poller from '#utils/poller.js';
+import { buildStep, updateWithStep } from '#utils/steps.js';
+
+/**
+ * Deposit statuses that no longer need any work.
+ * @type {string[]}
+ */
+const SETTLED_STATUSES = [ 'Withdrawn', 'Credited', 'Unmatched' ];
+
+/**
+ * Statuses of a Juno withdrawal that mean the MXNB was never sent.
+ * @type {string[]}
+ */
+const FAILED_WITHDRAWAL_STATUSES = [ 'FAILED', 'CANCELLED', 'REJECTED' ];
+
+/**
+ * Credits the SPEI deposits received on the Juno CLABEs of the users as MXNB in their WAPA wallets.
+ *
+ * Deposits arrive from the Juno webhooks or from the poller, which lists them every
+ * JUNO_DEPOSITS_INTERVAL ms (60000 by default). Each one is stored in the `deposit` table once per
+ * tracking code (clave de rastreo), matched to its user by the receiving CLABE and, once Juno reports
+ * it COMPLETE, credited by the `deposit.credit` queue: the MXNB issued by Juno is withdrawn to the wallet
+ * of the user, with the tracking code as idempotency key. Every step is appended to metas.steps.
+ *
+ * Statuses: Received -> Withdrawing -> Withdrawn -> Credited (the MXNB reached the wallet, see
+ * ChainWatcherService), or Unmatched when no user owns the CLABE and Failed when the withdrawal fails
+ * (retried by the queue) or the user is no longer active (alerted, not retried).
+ *
+ * Besides their personal CLABE, users may pay to the CLABE of a one-time payment reference
+ * (see createPaymentReference), which is matched to them through the `payment_reference` table.
+ */
+class DepositService {
+
+	static #poller = new Poller('Juno deposits', () => DepositService.#poll());
+
+	/**
+	 * Records a deposit reported by Juno and queues its credit if it is complete.
+	 * Reporting the same deposit again only updates its provider status.
+	 *
+	 * @param {Object} data - The deposit, as returned by listJunoDeposits or sent by the webhook.
+	 * @param {string} [source='poller'] - Where the deposit came from (poller or webhook).
+	 * @returns {Promise<Object|null>} - The stored deposit, or null if it has no tracking code.
+	 */
+	static async record(data, source = 'poller') {
+		const trackingCode = data.details?.clave_rastreo || data.tracking_code || data.clave_rastreo;
+
+		if(!trackingCode) {
+			console.warn('Deposit without tracking code ignored:', data.fid || data.deposit_id);
+			return null;
+		}
+
+		let deposit = await primate.prisma.deposit.findUnique({ where: { trackingCode } });
+
+		if(!deposit) {
+			const reference = await primate.prisma.paymentReference.findFirst({
+				where: { clabe: data.receiver_clabe, status: 'Pending' },
+				include: { user: true },
+			});
+
+			// a user merged into another one (see UserService.mergeDuplicates) can no longer receive deposits
+			const user = reference?.user || await primate.prisma.user.findFirst({
+				where: { clabeJuno: data.receiver_clabe, status: { not: 'Merged' } },
+			});
+
+			try {
+				deposit = await primate.prisma.deposit.create({
+					data: {
+						idUser: user?.id || null,
+						trackingCode,
+						depositId: data.deposit_id?.toString() || data.fid || null,
+						receiverClabe: data.receiver_clabe,
+						senderClabe: data.sender_clabe || null,
+						senderName: data.details?.sender_name || data.sender_name || null,
+						amount: data.amount.toString(),
+						currency: data.currency || 'mxn',
+						providerStatus: data.status || null,
+						status: user ? 'Received' : 'Unmatched',
+						metas: {
+							steps: [ buildStep(user ? 'Matched' : 'Unmatched', { source, idUser: user?.id, paymentId: reference?.paymentId }) ],
+						},
+					},
+				});
+			} catch(e) {
+				// P2002: the webhook and the poller reported it at the same time
+				if(e.code !== 'P2002') throw e;
+				deposit = await primate.prisma.deposit.findUnique({ where: { trackingCode } });
+			}
+
+			if(reference) {
+				await primate.prisma.paymentReference.update({
+					where: { id: reference.id },
+					data: { status: 'Paid', idDeposit: deposit.id },
+				});
+			}
+
+			if(!user) await AlertService.notify('Deposit to an unknown CLABE', { trackingCode, receiverClabe: data.receiver_clabe, amount: data.amount });
+		} else if(data.status && data.status !== deposit.providerStatus) {
+			deposit = await DepositService.#update(deposit, { providerStatus: data.status }, 'ProviderStatus', { source, status: data.status });
+		}
+
+		if(DepositService.isCreditable(deposit)) {
+			await QueueService.enqueue('deposit.credit', { idDeposit: deposit.id }, { key: `deposit:${ deposit.trackingCode }` });
+		}
+
+		return deposit;
+	}
+
+	/**
+	 * Records a deposit sent by the Juno webhook. Handler of the juno `deposit` events of ProviderEventService.
+	 *
+	 * @param {Object} data - The deposit.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async recordFromWebhook(data) {
+		const deposit = await DepositService.record(data, 'webhook');
+		return { message: deposit ? `Deposit ${ deposit.trackingCode } ${ deposit.status }` : 'Deposit without tracking code ignored' };
+	}
+
+	/**
+	 * Follows the withdrawal of a deposit to the wallet of its user. Handler of the juno `withdrawal`
+	 * events of ProviderEventService. A rejected withdrawal leaves the deposit Failed and alerts the
+	 * operators, since its MXNB will never reach the wallet.
+	 *
+	 * @param {Object} data - The withdrawal.
+	 * @returns {Promise<{message: string}>}
+	 */
+	static async withdrawalUpdated(data) {
+		const withdrawalId = data.id?.toString();
+		if(!withdrawalId) return { message: 'Withdrawal without ID ignored' };
+
+		const deposit = await primate.prisma.deposit.findFirst({ where: { withdrawalId } });
+		if(!deposit) return { message: 'Withdrawal not linked to a deposit' };
+
+		const status = (data.summary_status || data.status || '').toUpperCase();
+
+		if(FAILED_WITHDRAWAL_STATUSES.includes(status) && deposit.status === 'Withdrawn') {
+			await DepositService.#update(deposit, { status: 'Failed' }, 'WithdrawalRejected', { status });
+			await AlertService.notify('Deposit withdrawal rejected', { idDeposit: deposit.id, trackingCode: deposit.trackingCode, withdrawalId, status });
+
+			return { message: `Deposit ${ deposit.trackingCode } Failed` };
+		}
+
+		await DepositService.#update(deposit, {}, 'WithdrawalStatus', { status });
+
+		return { message: `Deposit ${ deposit.trackingCode } withdrawal ${ status }` };
+	}
+
+	/**
+	 * Whether a new deposit is ready to be credited to its user.
+	 * Failed deposits are retried by the queue, not queued again.
+	 *
+	 * @param {Object} deposit - The stored deposit.
+	 * @returns {boolean}
+	 */
+	static isCreditable(deposit) {
+		return !!deposit.idUser &&
+			deposit.providerStatus?.toUpperCase() === 'COMPLETE' &&
+			deposit.status === 'Received';
+	}
+
+	/**
+	 * Withdraws the MXNB of a deposit to the wallet of its user. Handler of the `deposit.credit` queue.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idDeposit - The ID of the deposit.
+	 * @returns {Promise<void>}
+	 */
+	static async credit(payload) {
+		let deposit = await primate.prisma.deposit.findUnique({ where: { id: payload.idDeposit }, include: { user: true } });
+		if(!deposit) throw new Error('Deposit not found');
+		if(SETTLED_STATUSES.includes(deposit.status)) return;
+
+		// retries find the deposit Failed or Withdrawing (interrupted), which is safe thanks to the idempotency key
+		if(!deposit.idUser || deposit.providerStatus?.toUpperCase() !== 'COMPLETE') return;
+
+		const { user } = deposit;
+
+		// the MXNB of a user that is no longer active would land in a wallet nobody uses
+		if(user.status !== 'Active') {
+			await DepositService.#update(deposit, { status: 'Failed' }, 'UserInactive', { idUser: user.id, userStatus: user.status });
+			await AlertService.notify('Deposit to an inactive user', { idDeposit: deposit.id, trackingCode: deposit.trackingCode, idUser: user.id, status: user.status });
+			return;
+		}
+
+		let walletAddress = user.metas?.wallet?.address;
+		if(!walletAddress) walletAddress = (await WalletService.createForUser(user)).address;
+
+		deposit = await DepositService.#update(deposit, {
+			status: 'Withdrawing',
+			walletAddress,
+			attempts: deposit.attempts + 1,
+		}, 'Withdrawing', { walletAddress });
+
+		let withdrawal;
+
+		try {
+			// the same tracking code always sends the same idempotency key, so a retry never pays twice
+			withdrawal = await JunoBitsoService.createJunoWithdrawal({
+				address: walletAddress,
+				amount: deposit.amount.toString(),
+				asset: 'MXNB',
+				blockchain: 'ARBITRUM',
+				compliance: {},
+			}, `deposit-${ deposit.trackingCode }`);
+		} catch(e) {
+			await DepositService.#update(deposit, { status: 'Failed' }, 'WithdrawalFailed', { error: e.message });
+			throw e;
+		}
+
+		await DepositService.#update(deposit, {
+			status: 'Withdrawn',
+			withdrawalId: withdrawal?.payload?.id?.toString() || null,
+		}, 'Withdrawn', { withdrawal: withdrawal?.payload });
+
+		if(user.idWa) {
+			try {
+				await WahaService.sendText(user.idWa,
+					`🏦 Recibimos tu depósito SPEI de $${ deposit.amount.toString() } MXN. ` +
+					`En unos minutos verás ${ deposit.amount.toString() } MXNB en tu billetera, te aviso en cuanto lleguen.`);
+			} catch(e) {
+				console.error('Error notifying deposit:', e.message);
+			}
+		}
+	}
+
+	/**
+	 * Finds the withdrawn deposit that an incoming MXNB transfer pays, oldest first.
+	 *
+	 * @param {string} walletAddress - The wallet receiving the MXNB.
+	 * @param {string} amount - The amount received.
+	 * @returns {Promise<Object|null>} - The deposit, or null if the transfer is not a top-up.
+	 */
+	static async findWithdrawn(walletAddress, amount) {
+		return primate.prisma.deposit.findFirst({
+			where: { walletAddress, amount, status: 'Withdrawn' },
+			orderBy: { id: 'asc' },
+		});
+	}
+
+	/**
+	 * Marks a deposit as Credited once its MXNB reached the wallet of the user.
+	 *
+	 * @param {Object} deposit - The withdrawn deposit.
+	 * @param {Object} transfer - The incoming transfer recorded by the chain watcher.
+	 * @returns {Promise<Object>} - The credited deposit.
+	 */
+	static async markCredited(deposit, transfer) {
+		return DepositService.#update(deposit, { status: 'Credited' }, 'Credited', { idTransfer: transfer.id, txHash: transfer.txHash });
+	}
+
+	/**
+	 * Gets the personal Juno CLABE of a user, creating it the first time.
+	 *
+	 * @param {Object} user - The user.
+	 * @returns {Promise<string>} - The CLABE.
+	 */
+	static async clabeFor(user) {
+		if(user.clabeJuno) return user.clabeJuno;
+
+		const response = await JunoBitsoService.createJunoClabe();
+		if(!response?.success || !response.payload?.clabe) throw new Error('Failed to create Juno CLABE from provider');
+
+		await primate.prisma.user.update({ where: { id: user.id }, data: { clabeJuno: response.payload.clabe } });
+
+		return response.payload.clabe;
+	}
+
+	/**
+	 * Creates a one-time SPEI payment reference for a top-up of a given amount.
+	 * The deposit made to its CLABE is credited to the user like the ones to their personal CLABE.
+	 *
+	 * @param {Object} user - The user topping up.
+	 * @param {number} amount - The amount in MXN.
+	 * @returns {Promise<Object>} - The stored payment reference.
+	 */
+	static async createPaymentReference(user, amount) {
+		const paymentId = `topup-${ user.uid }-${ Date.now() }`;
+
+		const response = await JunoBitsoService.createOneTimePayment({
+			amount: Number(amount).toFixed(2),
+			payer_name: user.nicename || user.idWa,
+			payment_id: paymentId,
+		});
+
+		if(!response?.success || !response.payload?.clabe) throw new Error('Failed to create the payment reference');
+
+		const payment = response.payload;
+
+		return primate.prisma.paymentReference.create({
+			data: {
+				idUser: user.id,
+				paymentId,
+				clabe: payment.clabe,
+				amount: payment.amount?.toString() || Number(amount).toFixed(2),
+				expires: payment.expiration_date ? new Date(`${ payment.expiration_date }T23:59:59`) : null,
+				metas: { beneficiary: payment.beneficiary, providerStatus: payment.status },
+			},
+		});
+	}
+
+	/**
+	 * Alerts the operators about a deposit that could not be credited after every retry.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {Object} job - The dead job.
+	 * @param {Error} error - The last error.
+	 * @returns {Promise<void>}
+	 */
+	static async creditDead(payload, job, error) {
+		await AlertService.notify('Deposit could not be credited', { idDeposit: payload.idDeposit, error: error?.message });
+	}
+
+	/**
+	 * Starts polling the Juno deposits.
+	 */
+	static start() {
+		const interval = parseInt(process.env.JUNO_DEPOSITS_INTERVAL) || 60000;
+		if(!DepositService.#poller.start(interval)) return;
+
+		console.info('Juno deposits poller started');
+	}
+
+	/**
+	 * Stops polling the Juno deposits.
+	 */
+	static stop() {
+		DepositService.#poller.stop();
+	}
+
+	/**
+	 * Records the deposits listed by Juno.
+	 * @private
+	 */
+	static async #poll() {
+		const response = await JunoBitsoService.listJunoDeposits();
+
+		for(const data of response?.payload?.response || []) {
+			try {
+				await DepositService.record(data, 'poller');
+			} catch(e) {
+				console.error(`Error recording deposit ${ data.fid || data.deposit_id }:`, e.message);
+			}
+		}
+	}
+
+	/**
+	 * Updates a deposit and appends a step to its history.
+	 * @private
+	 */
+	static async #update(deposit, fields, step, details = {}) {
+		const updated = await updateWithStep(primate.prisma.deposit, deposit, fields, step, details);
+		return deposit.user ? { ...updated, user: deposit.user } : updated;
+	}
+}
+
+export default DepositService;
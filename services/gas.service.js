@@ -0,0 +1,150 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import CryptoService from '#services/crypto.service.js';
+import AlertService from '#services/alert.service.js';
+
+/**
+ * Pays the gas of the token transfers of the users, so their wallets never need ETH.
+ *
+ * Tokens that implement EIP-2612 are relayed: the user signs a permit and the treasury submits the
+ * transfer and pays the gas (disabled with GAS_RELAY=false). For any other token the ETH of the
+ * sender is topped up from the treasury with GAS_TOPUP_AMOUNT (0.005 by default) when it drops below
+ * GAS_TOPUP_THRESHOLD (0.002 by default), at most GAS_TOPUP_DAILY_MAX times (3 by default) per wallet
+ * in 24 hours. Every top-up is recorded in the `gas_top_up` table.
+ */
+class GasService {
+
+	/**
+	 * Whether each token supports permit, so the contract is asked only once.
+	 * @type {Map<string, boolean>}
+	 */
+	static permitSupport = new Map();
+
+	/**
+	 * Top-ups in flight by wallet address, so concurrent transfers do not top up twice.
+	 * @type {Map<string, Promise>}
+	 */
+	static #pending = new Map();
+
+	/**
+	 * Sends tokens from a user's wallet without requiring ETH in it.
+	 *
+	 * @param {Object} walletObject - Stored Wallet record of the sender.
+	 * @param {string} tokenAddress - Address of the token contract.
+	 * @param {string} toAddress - Address of the recipient.
+	 * @param {string|number} amount - Amount of tokens to send.
+	 * @param {number} decimals - Decimals of the token.
+	 * @param {Object} [options={}] - Send options, see CryptoService.sendToken.
+	 * @returns {Promise<Object>} - Transaction details, with `relayed` set when the treasury paid the gas.
+	 */
+	static async sendToken(walletObject, tokenAddress, toAddress, amount, decimals = 18, options = {}) {
+		if(await GasService.canRelay(tokenAddress)) {
+			const transaction = await CryptoService.sendTokenWithPermit(walletObject, CryptoService.treasury, tokenAddress, toAddress, amount, decimals, options);
+			return { ...transaction, relayed: true };
+		}
+
+		await GasService.ensureGas(walletObject.address);
+
+		const transaction = await CryptoService.sendToken(walletObject, tokenAddress, toAddress, amount, decimals, options);
+		return { ...transaction, relayed: false };
+	}
+
+	/**
+	 * Whether the transfers of a token are relayed with a permit.
+	 *
+	 * @param {string} tokenAddress - Address of the token contract.
+	 * @returns {Promise<boolean>}
+	 */
+	static async canRelay(tokenAddress) {
+		if(process.env.GAS_RELAY === 'false') return false;
+
+		const key = tokenAddress.toLowerCase();
+
+		if(!GasService.permitSupport.has(key)) {
+			GasService.permitSupport.set(key, await CryptoService.supportsPermit(tokenAddress));
+		}
+
+		return GasService.permitSupport.get(key);
+	}
+
+	/**
+	 * Tops up the ETH of a wallet from the treasury if it is below the threshold.
+	 *
+	 * @param {string} walletAddress - The wallet that will pay gas.
+	 * @returns {Promise<Object|null>} - The top-up record, or null if the wallet had enough ETH.
+	 * @throws {Error} - If the wallet reached the daily top-ups or the treasury could not send the ETH.
+	 */
+	static async ensureGas(walletAddress) {
+		const key = walletAddress.toLowerCase();
+
+		// a transfer that arrives while a top-up is running waits for it instead of sending another one
+		if(GasService.#pending.has(key)) return GasService.#pending.get(key);
+
+		const promise = GasService.#topUp(walletAddress).finally(() => GasService.#pending.delete(key));
+		GasService.#pending.set(key, promise);
+
+		return promise;
+	}
+
+	/**
+	 * Checks the balance of a wallet and sends the top-up.
+	 * @private
+	 */
+	static async #topUp(walletAddress) {
+		const threshold = GasService.#number('GAS_TOPUP_THRESHOLD', 0.002);
+		const amount = GasService.#number('GAS_TOPUP_AMOUNT', 0.005);
+		const dailyMax = GasService.#number('GAS_TOPUP_DAILY_MAX', 3);
+
+		const balance = parseFloat((await CryptoService.getEtherBalance(walletAddress)).balance);
+		if(balance >= threshold) return null;
+
+		// a wallet that keeps burning gas is not refilled forever
+		const recent = await primate.prisma.gasTopUp.count({
+			where: {
+				walletAddress,
+				status: 'Completed',
+				created: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+			},
+		});
+
+		if(recent >= dailyMax) {
+			await AlertService.notify('Gas top-up limit reached', { walletAddress, balance, recent });
+			throw new Error('Gas top-up limit reached');
+		}
+
+		let topUp = await primate.prisma.gasTopUp.create({
+			data: { walletAddress, amount: amount.toString(), balance: balance.toString() },
+		});
+
+		try {
+			// the token transfer cannot be sent until the ETH is in the wallet
+			const transaction = await CryptoService.sendEther(CryptoService.treasury, walletAddress, amount, { wait: true });
+
+			topUp = await primate.prisma.gasTopUp.update({
+				where: { id: topUp.id },
+				data: { status: 'Completed', txHash: transaction.hash, metas: { blockNumber: transaction.blockNumber } },
+			});
+		} catch(e) {
+			await primate.prisma.gasTopUp.update({
+				where: { id: topUp.id },
+				data: { status: 'Failed', metas: { error: e.message } },
+			});
+
+			await AlertService.notify('Gas top-up failed', { walletAddress, amount, error: e.message });
+			throw e;
+		}
+
+		return topUp;
+	}
+
+	/**
+	 * Reads a numeric setting from the environment.
+	 * @private
+	 */
+	static #number(name, fallback) {
+		const value = parseFloat(process.env[name]);
+		return Number.isNaN(value) ? fallback : value;
+	}
+}
+
+export default GasService;
@@ -0,0 +1,978 @@
+import { createHmac, randomBytes, randomUUID, timingSafeEqual } from 'crypto';
+import { buildClabe } from '#utils/clabe.js';
+
+/**
+ * Hosts of the sandbox, used as base URLs by JunoBitsoService when JUNO_ENVIRONMENT is 'local'.
+ * @type {{juno: string, bitso: string}}
+ */
+const HOSTS = {
+	juno: 'http://juno.sandbox',
+	bitso: 'http://bitso.sandbox',
+};
+
+/**
+ * Prices of the books of the sandbox, in the minor currency per unit of the major one.
+ * @type {Object<string, number>}
+ */
+const BOOKS = {
+	btc_mxn: 2020000,
+	eth_mxn: 60000,
+	xrp_mxn: 42.8,
+	usd_mxn: 18.5,
+	btc_usd: 109000,
+};
+
+/**
+ * Balances of a new sandbox.
+ * @type {{juno: Object<string, number>, bitso: Object<string, number>}}
+ */
+const DEFAULT_BALANCES = {
+	juno: { mxnb: 0 },
+	bitso: { mxn: 100000, usd: 1000, btc: 0.05, eth: 1, xrp: 1000 },
+};
+
+/**
+ * Status texts of the answers of the sandbox.
+ * @type {Object<number, string>}
+ */
+const STATUS_TEXTS = {
+	400: 'Bad Request',
+	401: 'Unauthorized',
+	404: 'Not Found',
+};
+
+/**
+ * How long a conversion quote can be executed, in milliseconds.
+ * @type {number}
+ */
+const QUOTE_TTL = 30000;
+
+/**
+ * Error answered by the sandbox with an HTTP status and the error body of the providers.
+ */
+class SandboxError extends Error {
+	constructor(status, code, message) {
+		super(message);
+		this.status = status;
+		this.code = code;
+	}
+}
+
+/**
+ * In-process fake of the Juno and Bitso APIs for local development and tests, selected with
+ * JUNO_ENVIRONMENT=local. JunoBitsoService sends its requests to `JunoBitsoSandbox.fetch` instead
+ * of the network, so the whole signed request contract is exercised: the `Bitso key:nonce:signature`
+ * header is verified with the same HMAC, and a nonce lower than the last one of the key is rejected.
+ *
+ * The keys are the ones of the .env file, or the `sandbox` defaults when they are not set.
+ *
+ * The state (balances, CLABEs, deposits, withdrawals, redemptions, orders, conversions, contacts) lives
+ * in memory and is shared by every call until `reset()`, so a whole flow can be run without network:
+ * a mock deposit to a Juno CLABE issues MXNB, the withdrawal of that MXNB to a wallet and its redemption
+ * to a registered bank account debit it, and the transactions report COMPLETED. With `autoSettle = false`
+ * withdrawals and redemptions stay PENDING until `settle()` is called, to test the intermediate states.
+ *
+ * Endpoints that are not simulated answer 404.
+ */
+class JunoBitsoSandbox {
+
+	/**
+	 * Whether withdrawals and redemptions complete as soon as they are created.
+	 * @type {boolean}
+	 */
+	static autoSettle = true;
+
+	static #state = null;
+
+	/**
+	 * Routes of the sandbox, matched in order.
+	 * @type {{method: string, pattern: RegExp, keys: string[], handler: Function}[]}
+	 */
+	static #routes = [];
+
+	/**
+	 * Base URLs of the sandbox by API.
+	 * @type {{juno: string, bitso: string}}
+	 */
+	static hosts = HOSTS;
+
+	/**
+	 * The keys the sandbox accepts for an API.
+	 *
+	 * @param {string} api - The API (juno, or bitso and spei, which share the Bitso keys).
+	 * @returns {{key: string, secret: string}}
+	 */
+	static credentials(api) {
+		if(api === 'juno') {
+			return { key: process.env.JUNO_API_KEY || 'sandbox-juno', secret: process.env.JUNO_API_SECRET || 'sandbox-juno-secret' };
+		}
+
+		return { key: process.env.BITSO_API_KEY || 'sandbox-bitso', secret: process.env.BITSO_API_SECRET || 'sandbox-bitso-secret' };
+	}
+
+	/**
+	 * The current state, created on first use.
+	 * @type {Object}
+	 */
+	static get state() {
+		if(!JunoBitsoSandbox.#state) JunoBitsoSandbox.reset();
+		return JunoBitsoSandbox.#state;
+	}
+
+	/**
+	 * Drops every record and starts again with the default or the given balances.
+	 *
+	 * @param {Object} [options]
+	 * @param {Object<string, number>} [options.juno] - Balances of the Juno account by asset.
+	 * @param {Object<string, number>} [options.bitso] - Balances of the Bitso account by currency.
+	 * @param {boolean} [options.autoSettle=true] - Whether withdrawals and redemptions complete at once.
+	 */
+	static reset({ juno, bitso, autoSettle = true } = {}) {
+		JunoBitsoSandbox.autoSettle = autoSettle;
+
+		JunoBitsoSandbox.#state = {
+			sequence: 0,
+			nonces: new Map(),
+			idempotency: new Map(),
+			balances: {
+				juno: { ...DEFAULT_BALANCES.juno, ...juno },
+				bitso: { ...DEFAULT_BALANCES.bitso, ...bitso },
+			},
+			clabes: [],
+			deposits: [],
+			payments: [],
+			bankAccounts: [],
+			transactions: [],
+			fundings: [],
+			withdrawals: [],
+			contacts: [],
+			orders: [],
+			trades: [],
+			conversions: [],
+		};
+	}
+
+	/**
+	 * Registers a bank account for redemptions, as the operators do in the Juno portal.
+	 *
+	 * @param {Object} data
+	 * @param {string} data.clabe - The CLABE of the account.
+	 * @param {string} data.recipient_legal_name - The holder of the account.
+	 * @param {string} [data.tag] - The name of the account in the portal.
+	 * @returns {Object} - The bank account, with the ID used as destination_bank_account_id.
+	 */
+	static registerBankAccount({ clabe, recipient_legal_name, tag = null }) {
+		const account = {
+			id: JunoBitsoSandbox.#uuid(),
+			tag: tag || `Sandbox-${ clabe.slice(-4) }`,
+			recipient_legal_name,
+			clabe,
+			ownership: 'THIRD_PARTY',
+		};
+
+		JunoBitsoSandbox.state.bankAccounts.push(account);
+		return account;
+	}
+
+	/**
+	 * Moves a Juno transaction or a Bitso withdrawal to a final status. A failed one returns the funds.
+	 *
+	 * @param {string} id - The ID of the Juno transaction or the wid of the Bitso withdrawal.
+	 * @param {string} [status='COMPLETED'] - COMPLETED or FAILED (complete or failed for Bitso).
+	 * @returns {Object} - The updated record.
+	 * @throws {Error} - If there is no record with the ID.
+	 */
+	static settle(id, status = 'COMPLETED') {
+		const { state } = JunoBitsoSandbox;
+		const failed = /fail|reject|cancel/i.test(status);
+
+		const transaction = state.transactions.find(t => t.id === id);
+
+		if(transaction) {
+			if(failed && transaction.summary_status !== 'FAILED' && transaction.transaction_type !== 'DEPOSIT') {
+				JunoBitsoSandbox.#credit('juno', transaction.currency, transaction.amount);
+			}
+
+			transaction.summary_status = status.toUpperCase();
+			transaction.updated_at = JunoBitsoSandbox.#now();
+			return transaction;
+		}
+
+		const withdrawal = state.withdrawals.find(w => w.wid === id);
+
+		if(withdrawal) {
+			if(failed && withdrawal.status !== 'failed') JunoBitsoSandbox.#credit('bitso', withdrawal.currency, withdrawal.amount);
+
+			withdrawal.status = status.toLowerCase();
+			return withdrawal;
+		}
+
+		throw new Error(`Sandbox record ${ id } not found`);
+	}
+
+	/**
+	 * Drop-in replacement of `fetch` for the requests of JunoBitsoService.
+	 *
+	 * @param {string} url - The URL of the request, on one of the sandbox hosts.
+	 * @param {Object} [options] - The method, headers and body, as given to fetch.
+	 * @returns {Promise<{ok: boolean, status: number, statusText: string, json: Function}>} - A Response-like object.
+	 */
+	static async fetch(url, options = {}) {
+		const { host, pathname, search, searchParams } = new URL(url);
+		const api = host === new URL(HOSTS.juno).host ? 'juno' : 'bitso';
+		const method = (options.method || 'GET').toUpperCase();
+		const headers = Object.fromEntries(Object.entries(options.headers || {}).map(([ key, value ]) => [ key.toLowerCase(), value ]));
+		const rawBody = options.body || '';
+
+		let status = 200;
+		let data;
+
+		try {
+			JunoBitsoSandbox.#authenticate(api, headers.authorization, `${ method }${ pathname }${ search }${ rawBody }`);
+
+			const body = JunoBitsoSandbox.#parse(rawBody);
+			const path = pathname.length > 1 ? pathname.replace(/\/$/, '') : pathname;
+			const query = Object.fromEntries(searchParams);
+
+			const payload = await JunoBitsoSandbox.#dispatch({ api, method, path, query, body, headers });
+			data = { success: true, payload };
+		} catch(e) {
+			if(!(e instanceof SandboxError)) throw e;
+
+			status = e.status;
+			data = { success: false, error: { code: e.code, message: e.message } };
+		}
+
+		return {
+			ok: status < 400,
+			status,
+			statusText: STATUS_TEXTS[status] || 'OK',
+			json: async () => JSON.parse(JSON.stringify(data)),
+		};
+	}
+
+	/**
+	 * Verifies the `Bitso key:nonce:signature` header of a request.
+	 *
+	 * @param {string} api - The API of the request.
+	 * @param {string} header - The Authorization header.
+	 * @param {string} signed - The method, path and body that were signed after the nonce.
+	 * @throws {SandboxError} - 401 if the key, the nonce or the signature are not valid.
+	 */
+	static #authenticate(api, header, signed) {
+		const match = /^Bitso ([^:]+):(\d+):([0-9a-f]+)$/i.exec(header || '');
+		if(!match) throw new SandboxError(401, '0201', 'Invalid Authorization header');
+
+		const [ , key, nonce, signature ] = match;
+		const credentials = JunoBitsoSandbox.credentials(api);
+		if(key !== credentials.key) throw new SandboxError(401, '0201', 'Invalid API key');
+
+		const expected = createHmac('sha256', credentials.secret).update(`${ nonce }${ signed }`).digest();
+		const received = Buffer.from(signature, 'hex');
+
+		if(received.length !== expected.length || !timingSafeEqual(received, expected)) {
+			throw new SandboxError(401, '0201', 'Invalid signature');
+		}
+
+		// requests signed in the same millisecond share the nonce, only an older one is a replay
+		const { nonces } = JunoBitsoSandbox.state;
+		if(Number(nonce) < (nonces.get(key) || 0)) throw new SandboxError(401, '0202', 'Invalid nonce');
+		nonces.set(key, Number(nonce));
+	}
+
+	/**
+	 * Finds the route of a request and runs its handler, replaying the answer of a known idempotency key.
+	 *
+	 * @param {Object} request - The api, method, path, query, body and lowercase headers.
+	 * @returns {Promise<Object>} - The payload of the answer.
+	 * @throws {SandboxError} - 404 if the endpoint is not simulated.
+	 */
+	static async #dispatch(request) {
+		if(!JunoBitsoSandbox.#routes.length) JunoBitsoSandbox.#defineRoutes();
+
+		for(const route of JunoBitsoSandbox.#routes) {
+			if(route.method !== request.method) continue;
+
+			const match = route.pattern.exec(request.path);
+			if(!match) continue;
+
+			const params = Object.fromEntries(route.keys.map((key, index) => [ key, decodeURIComponent(match[index + 1]) ]));
+			const idempotencyKey = request.headers['x-idempotency-key'];
+			const { idempotency } = JunoBitsoSandbox.state;
+
+			if(idempotencyKey) {
+				const cacheKey = `${ request.method } ${ request.path } ${ idempotencyKey }`;
+				if(idempotency.has(cacheKey)) return idempotency.get(cacheKey);
+
+				const payload = route.handler({ ...request, params });
+				idempotency.set(cacheKey, payload);
+				return payload;
+			}
+
+			return route.handler({ ...request, params });
+		}
+
+		throw new SandboxError(404, '0404', `${ request.method } ${ request.path } is not available in the sandbox`);
+	}
+
+	/**
+	 * Adds a route. Path segments starting with ':' are parameters.
+	 *
+	 * @param {string} method - The HTTP method.
+	 * @param {string} path - The path, e.g. /spei/v1/clabes/:clabe.
+	 * @param {Function} handler - Receives the request with its params and returns the payload.
+	 */
+	static #route(method, path, handler) {
+		const keys = [];
+		const source = path.replace(/:(\w+)/g, (match, key) => {
+			keys.push(key);
+			return '([^/]+)';
+		});
+
+		JunoBitsoSandbox.#routes.push({ method, pattern: new RegExp(`^${ source }$`), keys, handler });
+	}
+
+	static #defineRoutes() {
+		const S = JunoBitsoSandbox;
+
+		// --- JUNO ---
+
+		S.#route('GET', '/mint_platform/v1/balances', () => ({
+			balances: Object.entries(S.state.balances.juno).map(([ asset, amount ]) => ({
+				asset, total: amount, on_hold: 0, available: amount, locked: 0,
+			})),
+		}));
+
+		S.#route('GET', '/mint_platform/v1/accounts/banks', () => S.state.bankAccounts);
+
+		S.#route('POST', '/mint_platform/v1/clabes', () => {
+			const clabe = S.#createClabe('AUTO_PAYMENT', 'juno');
+			return { clabe: clabe.clabe, type: clabe.type };
+		});
+
+		S.#route('POST', '/mint_platform/v1/withdrawals', ({ body }) => {
+			if(!body.address) throw new SandboxError(400, '0400', 'address is required');
+			if((body.asset || '').toLowerCase() !== 'mxnb') throw new SandboxError(400, '0400', 'Only MXNB withdrawals are supported');
+
+			const transaction = S.#transact('WITHDRAWAL', body.amount, 'ON_CHAIN', { address: body.address, blockchain: body.blockchain });
+
+			return {
+				id: transaction.id,
+				amount: transaction.amount,
+				asset: 'MXNB',
+				blockchain: body.blockchain || 'ARBITRUM',
+				address: body.address,
+				status: transaction.summary_status,
+				created_at: transaction.created_at,
+			};
+		});
+
+		S.#route('POST', '/mint_platform/v1/redemptions', ({ body }) => {
+			const account = S.state.bankAccounts.find(a => a.id === body.destination_bank_account_id);
+			if(!account) throw new SandboxError(400, '0400', 'Destination bank account not found');
+
+			const transaction = S.#transact('REDEMPTION', body.amount, 'SPEI', { destination_bank_account_id: account.id, clabe: account.clabe });
+
+			return {
+				id: transaction.id,
+				amount: transaction.amount,
+				destination_bank_account_id: account.id,
+				asset: 'mxn',
+				status: transaction.summary_status,
+				created_at: transaction.created_at,
+			};
+		});
+
+		S.#route('GET', '/mint_platform/v1/transactions', ({ query }) => {
+			const size = Number(query.size) || 10;
+			const page = Number(query.page) || 0;
+			const items = S.state.transactions.slice().reverse();
+			const content = items.slice(page * size, (page + 1) * size);
+			const totalPages = Math.max(Math.ceil(items.length / size), 1);
+
+			return {
+				content,
+				pageable: { page_number: page, page_size: size, offset: page * size, paged: true, unpaged: false },
+				total_pages: totalPages,
+				total_elements: items.length,
+				last: page >= totalPages - 1,
+				first: page === 0,
+				size,
+				number: page,
+				number_of_elements: content.length,
+				empty: !content.length,
+			};
+		});
+
+		S.#route('GET', '/mint_platform/v1/transactions/:id', ({ params }) => {
+			const transaction = S.state.transactions.find(t => t.id === params.id);
+			if(!transaction) throw new SandboxError(404, '0404', 'Transaction not found');
+
+			return transaction;
+		});
+
+		S.#route('POST', '/spei/test/deposits', ({ body }) => S.#deposit(body));
+
+		S.#route('GET', '/spei/v1/deposits', ({ api, query }) => S.#page(S.state.deposits.filter(d => d.owner === api), query));
+
+		// --- SPEI (CLABEs and payments of both accounts) ---
+
+		S.#route('GET', '/spei/v1/clabes', ({ api, query }) => {
+			const clabes = S.state.clabes.filter(c => c.owner === api && (!query.clabe_type || c.type === query.clabe_type));
+			return S.#page(clabes, query);
+		});
+
+		S.#route('POST', '/spei/v1/clabes', () => S.#view(S.#createClabe('INDIVIDUAL', 'bitso')));
+
+		S.#route('GET', '/spei/v1/clabes/:clabe', ({ params }) => S.#view(S.#findClabe(params.clabe)));
+
+		S.#route('GET', '/spei/v1/clabes/:clabe/limits', ({ params }) => {
+			const clabe = S.#findClabe(params.clabe);
+			return { clabe: clabe.clabe, deposit_minimum_amount: clabe.deposit_minimum_amount, deposit_maximum_amounts: clabe.deposit_maximum_amounts };
+		});
+
+		S.#route('PUT', '/spei/v1/clabes/:clabe/limits', ({ params, body }) => {
+			const clabe = S.#findClabe(params.clabe);
+
+			if('deposit_minimum_amount' in body) clabe.deposit_minimum_amount = body.deposit_minimum_amount;
+			if(body.deposit_maximum_amounts) clabe.deposit_maximum_amounts = { ...clabe.deposit_maximum_amounts, ...body.deposit_maximum_amounts };
+			clabe.updated_at = S.#now();
+
+			return S.#view(clabe);
+		});
+
+		S.#route('PUT', '/spei/v1/clabes/:clabe/status', ({ params, body }) => {
+			const clabe = S.#findClabe(params.clabe);
+
+			clabe.status = body.status;
+			clabe.updated_at = S.#now();
+
+			return S.#view(clabe);
+		});
+
+		S.#route('POST', '/spei/v1/payments', ({ body }) => {
+			if(!body.payment_id || !body.amount) throw new SandboxError(400, '0400', 'payment_id and amount are required');
+			if(S.state.payments.some(p => p.payment_id === body.payment_id)) throw new SandboxError(400, '0409', 'payment_id already exists');
+
+			// the payment CLABEs belong to the Juno account, their deposits issue MXNB
+			const clabe = S.#createClabe('ONE_TIME', 'juno');
+			const payment = {
+				payment_id: body.payment_id,
+				amount: S.#fixed(body.amount),
+				payer_name: body.payer_name || null,
+				expiration_date: new Date(Date.now() + 3 * 24 * 3600000).toISOString().slice(0, 10),
+				clabe: clabe.clabe,
+				beneficiary: 'Sandbox',
+				status: 'PENDING',
+				details: { fid: null, tracking_key: null, payer_clabe: null },
+				created_at: S.#now(),
+			};
+
+			S.state.payments.push(payment);
+
+			const { details, created_at, ...created } = payment;
+			return created;
+		});
+
+		S.#route('GET', '/spei/v1/payments', ({ query }) => S.#page(S.state.payments, query));
+
+		S.#route('GET', '/spei/v1/payments/:id', ({ params }) => {
+			const payment = S.state.payments.find(p => p.payment_id === params.id);
+			if(!payment) throw new SandboxError(404, '0404', 'Payment not found');
+
+			return payment;
+		});
+
+		S.#route('GET', '/spei/v1/withdrawals', ({ query }) => {
+			return S.#page(S.state.withdrawals.filter(w => w.method === 'sp'), query);
+		});
+
+		// --- BITSO ---
+
+		S.#route('GET', '/api/v3/balance', ({ query }) => ({
+			balances: Object.entries(S.state.balances.bitso)
+				.filter(([ currency ]) => !query.currency || currency === query.currency)
+				.map(([ currency, amount ]) => ({
+					currency,
+					available: amount.toFixed(8),
+					locked: '0.00000000',
+					total: amount.toFixed(8),
+				})),
+		}));
+
+		S.#route('GET', '/api/v3/fundings', ({ query }) => S.#limit(S.state.fundings, query));
+
+		S.#route('GET', '/api/v3/fundings/:fid', ({ params }) => S.#find(S.state.fundings, 'fid', params.fid, 'Funding'));
+
+		S.#route('POST', '/api/v3/withdrawals', ({ body }) => {
+			const currency = (body.currency || body.asset || '').toLowerCase();
+			const amount = Number(body.amount);
+			if(!currency || !(amount > 0)) throw new SandboxError(400, '0400', 'currency and a positive amount are required');
+
+			S.#debit('bitso', currency, amount);
+
+			const withdrawal = {
+				wid: S.#id(),
+				status: S.autoSettle ? 'complete' : 'pending',
+				created_at: S.#now(),
+				currency,
+				method: body.method || (currency === 'mxn' ? 'sp' : currency),
+				amount: S.#fixed(amount, currency),
+				details: body.clabe
+					? { beneficiary_name: body.recipient_given_names || body.beneficiary || null, beneficiary_clabe: body.clabe, clave_de_rastreo: S.#trackingCode(), numeric_ref: body.numeric_ref || null }
+					: { address: body.address || null, destination_tag: body.destination_tag || null, network: body.network || null },
+			};
+
+			S.state.withdrawals.push(withdrawal);
+			return withdrawal;
+		});
+
+		S.#route('GET', '/api/v3/withdrawals', ({ query }) => S.#limit(S.state.withdrawals, query));
+
+		S.#route('GET', '/api/v3/withdrawals/:wid', ({ params }) => S.#find(S.state.withdrawals, 'wid', params.wid, 'Withdrawal'));
+
+		S.#route('POST', '/api/v3/consumer-contacts', ({ body }) => {
+			const contact = {
+				contact_id: ++S.state.sequence,
+				alias: body.alias || null,
+				currency: body.currency || 'mxn',
+				taxonomy: body.taxonomy || null,
+				details: S.#details(body.details),
+				created: S.#now(),
+			};
+
+			S.state.contacts.push(contact);
+			return contact;
+		});
+
+		S.#route('GET', '/api/v3/consumer-contacts', () => S.state.contacts);
+
+		S.#route('PATCH', '/api/v3/consumer-contacts/:id', ({ params, body }) => {
+			const contact = S.#find(S.state.contacts, 'contact_id', Number(params.id), 'Contact');
+
+			if(body.alias !== undefined) contact.alias = body.alias;
+			if(body.details) contact.details = S.#details(body.details);
+
+			return contact;
+		});
+
+		S.#route('DELETE', '/api/v3/consumer-contacts/:id', ({ params }) => {
+			const contact = S.#find(S.state.contacts, 'contact_id', Number(params.id), 'Contact');
+			S.state.contacts.splice(S.state.contacts.indexOf(contact), 1);
+
+			return {};
+		});
+
+		S.#route('GET', '/api/v3/available_books', () => Object.keys(BOOKS).map(book => ({
+			book,
+			minimum_amount: '0.00001',
+			maximum_amount: '1000000',
+			minimum_price: '0.01',
+			maximum_price: '100000000',
+			minimum_value: '10',
+			maximum_value: '100000000',
+			tick_size: '0.01',
+		})));
+
+		S.#route('GET', '/api/v3/ticker', ({ query }) => {
+			const price = S.#price(query.book);
+
+			return {
+				book: query.book,
+				last: String(price),
+				high: String(price),
+				low: String(price),
+				bid: String(price),
+				ask: String(price),
+				volume: '0',
+				created_at: S.#now(),
+			};
+		});
+
+		S.#route('GET', '/api/v3/order_book', ({ query }) => {
+			const price = S.#price(query.book);
+
+			return {
+				updated_at: S.#now(),
+				sequence: String(S.state.sequence),
+				bids: [ { book: query.book, price: String(price), amount: '1000' } ],
+				asks: [ { book: query.book, price: String(price), amount: '1000' } ],
+			};
+		});
+
+		S.#route('GET', '/api/v3/fees', () => ({
+			fees: Object.keys(BOOKS).map(book => ({ book, fee_percent: '0.0000', fee_decimal: '0.0000' })),
+			deposit_fees: [],
+			withdrawal_fees: {},
+		}));
+
+		S.#route('POST', '/api/v3/orders', ({ body }) => S.#placeOrder(body));
+
+		S.#route('GET', '/api/v3/open_orders', ({ query }) => {
+			return S.state.orders.filter(o => o.status === 'open' && (!query.book || o.book === query.book));
+		});
+
+		S.#route('GET', '/api/v3/orders', ({ query }) => {
+			const oids = (query.oids || '').split(',').filter(Boolean);
+			return S.state.orders.filter(o => oids.includes(o.oid));
+		});
+
+		S.#route('DELETE', '/api/v3/orders/:oids', ({ params }) => {
+			const oids = params.oids === 'all' ? null : params.oids.split(',');
+			const cancelled = S.state.orders.filter(o => o.status === 'open' && (!oids || oids.includes(o.oid)));
+
+			cancelled.forEach(order => order.status = 'cancelled');
+			return cancelled.map(order => order.oid);
+		});
+
+		S.#route('GET', '/api/v3/user_trades', ({ query }) => {
+			return S.#limit(S.state.trades.filter(t => !query.book || t.book === query.book), query);
+		});
+
+		S.#route('POST', '/api/v4/currency_conversions', ({ body }) => {
+			const from = (body.from_currency || '').toLowerCase();
+			const to = (body.to_currency || '').toLowerCase();
+			const rate = S.#rate(from, to);
+
+			const spend = body.spend_amount !== undefined ? Number(body.spend_amount) : Number(body.receive_amount) / rate;
+			if(!(spend > 0)) throw new SandboxError(400, '0400', 'spend_amount or receive_amount is required');
+
+			const created = Date.now();
+			const quote = {
+				id: S.#id(),
+				from_amount: spend.toFixed(8),
+				from_currency: from,
+				to_amount: (spend * rate).toFixed(8),
+				to_currency: to,
+				created,
+				expires: created + QUOTE_TTL,
+				rate: String(rate >= 1 ? rate : 1 / rate),
+				plain_rate: String(rate >= 1 ? rate : 1 / rate),
+				status: 'open',
+			};
+
+			S.state.conversions.push(quote);
+
+			const { status, ...payload } = quote;
+			return payload;
+		});
+
+		S.#route('PUT', '/api/v4/currency_conversions/:id', ({ params }) => {
+			const quote = S.#find(S.state.conversions, 'id', params.id, 'Quote');
+			if(quote.status !== 'open') throw new SandboxError(400, '0400', `Quote is ${ quote.status }`);
+			if(Date.now() > quote.expires) throw new SandboxError(400, '0400', 'Quote expired');
+
+			S.#debit('bitso', quote.from_currency, Number(quote.from_amount));
+			S.#credit('bitso', quote.to_currency, Number(quote.to_amount));
+			quote.status = 'completed';
+
+			return { oid: quote.id };
+		});
+
+		S.#route('GET', '/api/v4/currency_conversions/:id', ({ params }) => S.#find(S.state.conversions, 'id', params.id, 'Conversion'));
+	}
+
+	/**
+	 * Simulates a SPEI transfer to a CLABE of the sandbox. A deposit to a Juno CLABE issues MXNB,
+	 * a deposit to a Bitso CLABE is a funding in MXN, and a deposit to the CLABE of a pending
+	 * one-time payment also pays it.
+	 *
+	 * @param {Object} body - The amount, receiver_clabe, receiver_name, sender_name and sender_clabe.
+	 * @returns {{amount: string, tracking_code: string, receiver_clabe: string, created_at: string}}
+	 */
+	static #deposit(body) {
+		const S = JunoBitsoSandbox;
+		const amount = Number(body.amount);
+		if(!(amount > 0)) throw new SandboxError(400, '0400', 'A positive amount is required');
+
+		const clabe = S.#findClabe(body.receiver_clabe);
+		if(clabe.status !== 'ENABLED') throw new SandboxError(400, '0400', 'The CLABE is disabled');
+
+		const created_at = S.#now();
+		const tracking_code = S.#trackingCode();
+		const fid = S.#id();
+
+		const deposit = {
+			fid,
+			deposit_id: String(++S.state.sequence),
+			sender_clabe: body.sender_clabe || '646180110400000007',
+			receiver_clabe: clabe.clabe,
+			status: 'COMPLETE',
+			amount: S.#fixed(amount),
+			currency: 'mxn',
+			details: {
+				sender_name: body.sender_name || 'SANDBOX SENDER',
+				sender_bank: (body.sender_clabe || '646').slice(0, 3),
+				clave: String(S.state.sequence),
+				clave_rastreo: tracking_code,
+				numeric_reference: body.numeric_reference || '0000000',
+				concepto: body.concept || 'Sandbox deposit',
+				cep_link: null,
+			},
+			created_at,
+			updated_at: created_at,
+			owner: clabe.owner,
+		};
+
+		S.state.deposits.push(deposit);
+
+		if(clabe.owner === 'juno') {
+			S.#credit('juno', 'mxnb', amount);
+			S.#record('DEPOSIT', amount, 'SPEI', 'COMPLETED', { clave_rastreo: tracking_code, receiver_clabe: clabe.clabe });
+		} else {
+			S.#credit('bitso', 'mxn', amount);
+			S.state.fundings.push({
+				fid,
+				status: 'complete',
+				created_at,
+				currency: 'mxn',
+				method: 'praxis',
+				method_name: 'SPEI',
+				amount: S.#fixed(amount),
+				details: { sender_name: deposit.details.sender_name, sender_clabe: deposit.sender_clabe, receive_clabe: clabe.clabe, clave_rastreo: tracking_code },
+			});
+		}
+
+		const payment = S.state.payments.find(p => p.clabe === clabe.clabe && p.status === 'PENDING');
+
+		if(payment) {
+			payment.status = 'PAID';
+			payment.details = { fid, tracking_key: tracking_code, payer_clabe: deposit.sender_clabe };
+		}
+
+		return { amount: deposit.amount, tracking_code, receiver_clabe: clabe.clabe, created_at };
+	}
+
+	/**
+	 * Places an order: market orders are filled at once at the price of the book, limit orders stay open.
+	 *
+	 * @param {Object} body - The book, side, type, and major or minor, and price for limit orders.
+	 * @returns {{oid: string}}
+	 */
+	static #placeOrder(body) {
+		const S = JunoBitsoSandbox;
+		const [ major, minor ] = (body.book || '').split('_');
+		const side = body.side;
+		const type = body.type || 'market';
+
+		if(![ 'buy', 'sell' ].includes(side)) throw new SandboxError(400, '0400', 'side must be buy or sell');
+
+		const price = type === 'limit' ? Number(body.price) : S.#price(body.book);
+		if(!(price > 0)) throw new SandboxError(400, '0400', 'A price is required for limit orders');
+
+		const majorAmount = body.major !== undefined ? Number(body.major) : Number(body.minor) / price;
+		if(!(majorAmount > 0)) throw new SandboxError(400, '0400', 'major or minor is required');
+
+		const minorAmount = majorAmount * price;
+		const order = {
+			oid: S.#id(),
+			book: body.book,
+			side,
+			type,
+			price: String(price),
+			original_amount: majorAmount.toFixed(8),
+			unfilled_amount: majorAmount.toFixed(8),
+			original_value: minorAmount.toFixed(2),
+			status: 'open',
+			created_at: S.#now(),
+			updated_at: S.#now(),
+		};
+
+		if(type === 'market') {
+			if(side === 'buy') {
+				S.#debit('bitso', minor, minorAmount);
+				S.#credit('bitso', major, majorAmount);
+			} else {
+				S.#debit('bitso', major, majorAmount);
+				S.#credit('bitso', minor, minorAmount);
+			}
+
+			order.status = 'completed';
+			order.unfilled_amount = '0.00000000';
+
+			S.state.trades.push({
+				tid: ++S.state.sequence,
+				oid: order.oid,
+				book: body.book,
+				side,
+				major: (side === 'buy' ? majorAmount : -majorAmount).toFixed(8),
+				minor: (side === 'buy' ? -minorAmount : minorAmount).toFixed(2),
+				price: String(price),
+				fees_amount: '0.00000000',
+				fees_currency: side === 'buy' ? major : minor,
+				created_at: order.created_at,
+			});
+		}
+
+		S.state.orders.push(order);
+		return { oid: order.oid };
+	}
+
+	/**
+	 * Debits the Juno account and records a transaction that completes at once, or stays pending without autoSettle.
+	 *
+	 * @param {string} type - WITHDRAWAL or REDEMPTION.
+	 * @param {number|string} amount - The amount of MXNB.
+	 * @param {string} method - ON_CHAIN or SPEI.
+	 * @param {Object} details - Details kept with the transaction.
+	 * @returns {Object} - The transaction.
+	 */
+	static #transact(type, amount, method, details) {
+		const value = Number(amount);
+		if(!(value > 0)) throw new SandboxError(400, '0400', 'A positive amount is required');
+
+		JunoBitsoSandbox.#debit('juno', 'mxnb', value);
+
+		return JunoBitsoSandbox.#record(type, value, method, JunoBitsoSandbox.autoSettle ? 'COMPLETED' : 'PENDING', details);
+	}
+
+	static #record(transaction_type, amount, method, summary_status, details) {
+		const now = JunoBitsoSandbox.#now();
+		const transaction = {
+			id: JunoBitsoSandbox.#uuid(),
+			amount: Number(amount),
+			currency: 'mxnb',
+			transaction_type,
+			method,
+			summary_status,
+			created_at: now,
+			updated_at: now,
+			details,
+		};
+
+		JunoBitsoSandbox.state.transactions.push(transaction);
+		return transaction;
+	}
+
+	static #createClabe(type, owner) {
+		const { state } = JunoBitsoSandbox;
+		const serial = String(state.clabes.length + 1).padStart(11, '0');
+
+		const clabe = {
+			clabe: buildClabe(`710969${ serial }`),
+			type,
+			status: 'ENABLED',
+			deposit_minimum_amount: null,
+			deposit_maximum_amounts: { operation: null, daily: null, weekly: null, monthly: null },
+			created_at: JunoBitsoSandbox.#now(),
+			updated_at: null,
+			owner,
+		};
+
+		state.clabes.push(clabe);
+		return clabe;
+	}
+
+	static #findClabe(value) {
+		const clabe = JunoBitsoSandbox.state.clabes.find(c => c.clabe === value);
+		if(!clabe) throw new SandboxError(404, '0404', 'CLABE not found');
+
+		return clabe;
+	}
+
+	/**
+	 * A record without the fields the sandbox keeps for itself.
+	 */
+	static #view({ owner, ...record }) {
+		return record;
+	}
+
+	static #find(items, key, value, name) {
+		const item = items.find(i => i[key] === value);
+		if(!item) throw new SandboxError(404, '0404', `${ name } not found`);
+
+		return item;
+	}
+
+	static #credit(account, currency, amount) {
+		const { balances } = JunoBitsoSandbox.state;
+		balances[account][currency] = (balances[account][currency] || 0) + Number(amount);
+	}
+
+	static #debit(account, currency, amount) {
+		const { balances } = JunoBitsoSandbox.state;
+		if((balances[account][currency] || 0) < amount) throw new SandboxError(400, '0379', `Insufficient ${ currency } balance`);
+
+		balances[account][currency] -= amount;
+	}
+
+	static #price(book) {
+		if(!BOOKS[book]) throw new SandboxError(400, '0301', `Unknown book ${ book }`);
+		return BOOKS[book];
+	}
+
+	/**
+	 * Units of `to` received for one unit of `from`, through the book of the pair in either direction.
+	 */
+	static #rate(from, to) {
+		if(BOOKS[`${ from }_${ to }`]) return BOOKS[`${ from }_${ to }`];
+		if(BOOKS[`${ to }_${ from }`]) return 1 / BOOKS[`${ to }_${ from }`];
+
+		throw new SandboxError(400, '0301', `No book for ${ from } and ${ to }`);
+	}
+
+	/**
+	 * The paginated shape of the SPEI lists, newest first.
+	 */
+	static #page(items, query) {
+		const size = Number(query.limit || query.page_size) || 25;
+		const page = Number(query.page) || 1;
+		const sorted = items.slice().reverse();
+
+		return {
+			total_items: String(sorted.length),
+			total_pages: String(Math.max(Math.ceil(sorted.length / size), 1)),
+			current_page: String(page),
+			page_size: String(size),
+			response: sorted.slice((page - 1) * size, page * size).map(item => JunoBitsoSandbox.#view(item)),
+		};
+	}
+
+	/**
+	 * The plain lists of the Bitso API, newest first, with the `limit` parameter.
+	 */
+	static #limit(items, query) {
+		return items.slice().reverse().slice(0, Number(query.limit) || 25);
+	}
+
+	/**
+	 * Contact details as the list of { name, key, value } Bitso answers, from a list or an object.
+	 */
+	static #details(details = []) {
+		if(Array.isArray(details)) return details;
+
+		return Object.entries(details).map(([ key, value ]) => ({ name: key, key, value }));
+	}
+
+	static #parse(rawBody) {
+		if(!rawBody) return {};
+
+		try {
+			return JSON.parse(rawBody);
+		} catch(e) {
+			throw new SandboxError(400, '0400', 'Invalid JSON body');
+		}
+	}
+
+	static #fixed(amount, currency = 'mxn') {
+		return Number(amount).toFixed([ 'mxn', 'mxnb', 'usd' ].includes(currency) ? 2 : 8);
+	}
+
+	static #trackingCode() {
+		return `SANDBOX${ Date.now() }${ randomBytes(3).toString('hex').toUpperCase() }`;
+	}
+
+	static #id() {
+		return randomBytes(8).toString('hex');
+	}
+
+	static #uuid() {
+		return randomUUID();
+	}
+
+	static #now() {
+		return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+	}
+}
+
+export default JunoBitsoSandbox;
@@ -1,27 +1,39 @@
 import { createHmac } from 'crypto';
 import { v4 as uuidv4 } from 'uuid';
+import JunoBitsoSandbox from '#services/juno-bitso-sandbox.service.js';
 
 /**
  * @class JunoBitsoService
  * @description Provides static methods to interact with the Juno and Bitso APIs.
  * It handles authentication, request signing, and logging.
  * The API keys must be set in the .env file (JUNO_API_KEY, JUNO_API_SECRET, BITSO_API_KEY, BITSO_API_SECRET).
- * It also requires a JUNO_ENVIRONMENT variable set to 'stage' or 'production'.
+ * It also requires a JUNO_ENVIRONMENT variable set to 'stage', 'production' or 'local'.
+ * With 'local' the requests are answered in-process by JunoBitsoSandbox, and the keys default to the sandbox ones.
  */
 class JunoBitsoService {
-	static #junoApiKey = process.env.JUNO_API_KEY;
-	static #junoApiSecret = process.env.JUNO_API_SECRET;
-	static #bitsoApiKey = process.env.BITSO_API_KEY;
-	static #bitsoApiSecret = process.env.BITSO_API_SECRET;
+	static #local = process.env.JUNO_ENVIRONMENT === 'local';
 
-	static #junoBaseUrl = process.env.JUNO_ENVIRONMENT === 'production'
+	static #junoApiKey = process.env.JUNO_API_KEY || (this.#local ? JunoBitsoSandbox.credentials('juno').key : undefined);
+	static #junoApiSecret = process.env.JUNO_API_SECRET || (this.#local ? JunoBitsoSandbox.credentials('juno').secret : undefined);
+	static #bitsoApiKey = process.env.BITSO_API_KEY || (this.#local ? JunoBitsoSandbox.credentials('bitso').key : undefined);
+	static #bitsoApiSecret = process.env.BITSO_API_SECRET || (this.#local ? JunoBitsoSandbox.credentials('bitso').secret : undefined);
+
+	static #junoBaseUrl = this.#local ? JunoBitsoSandbox.hosts.juno : process.env.JUNO_ENVIRONMENT === 'production'
 		? 'https://buildwithjuno.com'
 		: 'https://stage.buildwithjuno.com';
 
-	static #bitsoBaseUrl = process.env.JUNO_ENVIRONMENT === 'production'
+	static #bitsoBaseUrl = this.#local ? JunoBitsoSandbox.hosts.bitso : process.env.JUNO_ENVIRONMENT === 'production'
 		? 'https://bitso.com'
 		: 'https://stage.bitso.com';
 
+	/**
+	 * Whether the Juno keys are available, from the .env file or the local sandbox.
+	 * @type {boolean}
+	 */
+	static get configured() {
+		return !!(this.#junoApiKey && this.#junoApiSecret);
+	}
+
 	/**
 	 * Creates an HMAC-SHA256 signature for the request.
 	 * @param {string} apiSecret - The API secret key.
@@ -81,7 +93,7 @@ class JunoBitsoService {
 		}
 
 		try {
-			const response = await fetch(url, options);
+			const response = await (this.#local ? JunoBitsoSandbox.fetch(url, options) : fetch(url, options));
 			const responseData = await response.json();
 			console.log('API Response:', responseData);
 			if(!response.ok) {
@@ -1667,6 +1679,7 @@ class JunoBitsoService {
 	 * @param {string} withdrawalData.asset - The asset ticker (e.g., "MXNB").
 	 * @param {string} withdrawalData.blockchain - The blockchain network (e.g., "ARBITRUM").
 	 * @param {object} [withdrawalData.compliance] - Optional compliance information.
+	 * @param {string} [idempotencyKey] - Key that makes retries of the same withdrawal safe. A random one by default.
 	 * @returns {Promise<any>} A promise that resolves with the withdrawal confirmation details.
 	 * @example // How to call the function
 	 * const withdrawalDetails = await JunoBitsoService.createJunoWithdrawal({
@@ -1677,10 +1690,10 @@ class JunoBitsoService {
 	 * compliance: {}
 	 * });
 	 */
-	static async createJunoWithdrawal(withdrawalData) {
+	static async createJunoWithdrawal(withdrawalData, idempotencyKey = uuidv4()) {
 		// Using a UUID for the idempotency key is a good practice for POST requests
 		// to prevent accidental duplicate operations.
-		const headers = { 'X-Idempotency-Key': uuidv4() };
+		const headers = { 'X-Idempotency-Key': idempotencyKey };
 		return this.#sendRequest('juno', '/mint_platform/v1/withdrawals', 'POST', withdrawalData, headers);
 	}
 	/**
@@ -1915,10 +1928,11 @@ class JunoBitsoService {
 	 * @param {number} redemptionData.amount - The amount of MXNB to redeem.
 	 * @param {string} redemptionData.destination_bank_account_id - The Juno-provided bank account ID.
 	 * @param {string} [redemptionData.asset='mxn'] - The asset, must be 'mxn'.
+	 * @param {string} [idempotencyKey] - Key that makes retries of the same redemption safe. A random one by default.
 	 * @returns {Promise<any>} The result of the redemption request.
 	 */
-	static async redeemMxn(redemptionData) {
-		const headers = { 'X-Idempotency-Key': uuidv4() };
+	static async redeemMxn(redemptionData, idempotencyKey = uuidv4()) {
+		const headers = { 'X-Idempotency-Key': idempotencyKey };
 		return this.#sendRequest('juno', '/mint_platform/v1/redemptions', 'POST', { asset: 'mxn', ...redemptionData }, headers);
 	}
 
@@ -0,0 +1,135 @@
+import primate from '@thewebchimp/primate';
+
+/**
+ * WhatsApp acknowledgment codes as sent by WAHA.
+ * @type {Object<number, string>}
+ */
+const ACK_NAMES = {
+	'-1': 'ERROR',
+	0: 'PENDING',
+	1: 'SERVER',
+	2: 'DEVICE',
+	3: 'READ',
+	4: 'PLAYED',
+};
+
+/**
+ * Actions whose intents are keyed by the message that requested them (`<action>:<message ID>`),
+ * so revoking the message cancels them.
+ * @type {string[]}
+ */
+const REVOCABLE_ACTIONS = [ 'sendMoney', 'cashOut' ];
+
+/**
+ * Stores the messages the bot sends and keeps their delivery state up to date
+ * with the message.ack, message.reaction and message.revoked events.
+ */
+class MessageService {
+
+	/**
+	 * Gets the serialized ID of a WAHA message.
+	 * Depending on the engine, the ID comes as a string or as an object.
+	 * @param message {Object} - The WAHA message.
+	 * @return {string|null}
+	 */
+	static getId(message) {
+		if(!message?.id) return null;
+		return typeof message.id === 'string' ? message.id : message.id._serialized || null;
+	}
+
+	/**
+	 * Records an outbound message sent through WAHA.
+	 * @param chatId {string} - The chat the message was sent to.
+	 * @param body {string} - The text of the message.
+	 * @param response {Object} - The message returned by WAHA.
+	 * @return {Promise<Object|null>} - The stored message, or null if WAHA returned no ID.
+	 */
+	static async recordOutbound(chatId, body, response) {
+		const waId = MessageService.getId(response);
+		if(!waId) return null;
+
+		return primate.prisma.message.upsert({
+			where: { waId },
+			create: { waId, chatId, body, direction: 'Outbound' },
+			update: {},
+		});
+	}
+
+	/**
+	 * Handles a message.ack event, storing delivery and read receipts.
+	 * @param payload {Object} - The event payload.
+	 * @return {Promise<Object>} - The dispatch result.
+	 */
+	static async handleAck(payload) {
+		const waId = MessageService.getId(payload);
+		const message = waId && await primate.prisma.message.findUnique({ where: { waId } });
+		if(!message) return { message: 'Message not tracked' };
+
+		// acks can arrive out of order, never go back to a previous state
+		if(payload.ack <= message.ack) return { message: 'Ack already recorded' };
+
+		const ackName = payload.ackName || ACK_NAMES[payload.ack] || 'UNKNOWN';
+		const metas = { ...message.metas };
+		if(payload.ack >= 2 && !metas.deliveredAt) metas.deliveredAt = new Date();
+		if(payload.ack >= 3 && !metas.readAt) metas.readAt = new Date();
+
+		await primate.prisma.message.update({
+			where: { waId },
+			data: { ack: payload.ack, ackName, metas },
+		});
+
+		return { message: 'Ack recorded' };
+	}
+
+	/**
+	 * Handles a message.reaction event on one of our messages.
+	 * An empty reaction text means the reaction was removed.
+	 * @param payload {Object} - The event payload.
+	 * @return {Promise<Object>} - The dispatch result.
+	 */
+	static async handleReaction(payload) {
+		const waId = payload.reaction?.messageId;
+		const message = waId && await primate.prisma.message.findUnique({ where: { waId } });
+		if(!message) return { message: 'Message not tracked' };
+
+		const reactions = { ...message.metas?.reactions };
+		if(payload.reaction.text) reactions[payload.from] = payload.reaction.text;
+		else delete reactions[payload.from];
+
+		await primate.prisma.message.update({
+			where: { waId },
+			data: { metas: { ...message.metas, reactions } },
+		});
+
+		return { message: 'Reaction recorded' };
+	}
+
+	/**
+	 * Handles a message.revoked event.
+	 * A revoked inbound message also cancels the transfer or cash-out it requested, if it is still pending.
+	 * @param payload {Object} - The event payload.
+	 * @return {Promise<Object>} - The dispatch result.
+	 */
+	static async handleRevoked(payload) {
+		// depending on the engine the revoked ID is the short or the serialized one
+		const ids = [ payload.revokedMessageId, MessageService.getId(payload.before) ].filter(Boolean);
+		if(!ids.length) return { message: 'Revoked message not found' };
+
+		await primate.prisma.message.updateMany({
+			where: { waId: { in: ids } },
+			data: { revoked: true },
+		});
+
+		const cancelled = await primate.prisma.transferIntent.updateMany({
+			where: {
+				idempotencyKey: { in: ids.flatMap(id => REVOCABLE_ACTIONS.map(action => `${ action }:${ id }`)) },
+				status: 'Pending',
+			},
+			data: { status: 'Cancelled' },
+		});
+
+		return { message: 'Revoke recorded', data: { cancelledIntents: cancelled.count } };
+	}
+}
+
+export default MessageService;
@@ -0,0 +1,147 @@
+import 'dotenv/config';
+
+/**
+ * The networks WAPA can run on, with the ERC-20 tokens supported in each one.
+ * @type {Object<string, {name: string, chainId: number, rpcUrl: string, explorerUrl: string, nativeSymbol: string, tokens: Array<{symbol: string, address: string, decimals: number}>}>}
+ */
+const PROFILES = {
+	testnet: {
+		name: 'Arbitrum Sepolia',
+		chainId: 421614,
+		rpcUrl: 'https://sepolia-rollup.arbitrum.io/rpc',
+		explorerUrl: 'https://sepolia.arbiscan.io',
+		nativeSymbol: 'ETH',
+		tokens: [
+			{ symbol: 'MXNB', address: '0x82b9e52b26a2954e113f94ff26647754d5a4247d', decimals: 6 },
+			{ symbol: 'USDC', address: '0x75faf114eafb1BDbe2F0316DF893fd58CE46AA4d', decimals: 6 },
+		],
+	},
+	mainnet: {
+		name: 'Arbitrum One',
+		chainId: 42161,
+		rpcUrl: 'https://arb1.arbitrum.io/rpc',
+		explorerUrl: 'https://arbiscan.io',
+		nativeSymbol: 'ETH',
+		tokens: [
+			{ symbol: 'MXNB', address: '0xF197FFC28c23E0309B5559e7a166f2c6164C80aA', decimals: 6 },
+			{ symbol: 'USDC', address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', decimals: 6 },
+		],
+	},
+};
+
+/**
+ * Registry of the network and tokens in use.
+ *
+ * NETWORK selects the profile (testnet by default). NETWORK_RPC_URL and NETWORK_EXPLORER_URL override
+ * the endpoints of the profile, and NETWORK_TOKENS adds or replaces tokens with a JSON array
+ * (e.g. [{"symbol":"USDT","address":"0x...","decimals":6}]). NETWORK_DEFAULT_TOKEN is the token used
+ * when the user does not name one (MXNB by default).
+ */
+class NetworkService {
+
+	static #current = null;
+
+	/**
+	 * The network in use.
+	 * @return {{profile: string, name: string, chainId: number, rpcUrl: string, explorerUrl: string, nativeSymbol: string, tokens: Array<Object>}}
+	 */
+	static get current() {
+		if(!NetworkService.#current) NetworkService.#current = NetworkService.#load();
+		return NetworkService.#current;
+	}
+
+	/**
+	 * The tokens supported in the network in use.
+	 * @return {Array<{symbol: string, address: string, decimals: number}>}
+	 */
+	static get tokens() {
+		return NetworkService.current.tokens;
+	}
+
+	/**
+	 * The symbols of the supported tokens.
+	 * @return {Array<string>}
+	 */
+	static get symbols() {
+		return NetworkService.tokens.map(token => token.symbol);
+	}
+
+	/**
+	 * The token used when none is given.
+	 * @return {{symbol: string, address: string, decimals: number}}
+	 */
+	static get defaultToken() {
+		return NetworkService.getToken(process.env.NETWORK_DEFAULT_TOKEN || 'MXNB');
+	}
+
+	/**
+	 * Gets a supported token by its symbol, case insensitive.
+	 *
+	 * @param {string} [symbol] - The symbol of the token; the default token when empty.
+	 * @returns {{symbol: string, address: string, decimals: number}}
+	 * @throws {Error} - If the token is not supported.
+	 */
+	static getToken(symbol) {
+		if(!symbol) return NetworkService.defaultToken;
+
+		const token = NetworkService.tokens.find(item => item.symbol.toLowerCase() === symbol.toLowerCase());
+		if(!token) throw new Error(`Unsupported token ${ symbol }, the supported tokens are ${ NetworkService.symbols.join(', ') }`);
+
+		return token;
+	}
+
+	/**
+	 * Gets a supported token by its contract address.
+	 *
+	 * @param {string} address - The address of the token contract.
+	 * @returns {Object|null} - The token, or null if it is not supported.
+	 */
+	static findByAddress(address) {
+		if(!address) return null;
+		return NetworkService.tokens.find(token => token.address.toLowerCase() === address.toLowerCase()) || null;
+	}
+
+	/**
+	 * Builds the explorer link of a transaction.
+	 *
+	 * @param {string} hash - The transaction hash.
+	 * @returns {string}
+	 */
+	static txUrl(hash) {
+		return `${ NetworkService.current.explorerUrl }/tx/${ hash }`;
+	}
+
+	/**
+	 * Builds the network in use from its profile and the environment overrides.
+	 * @private
+	 */
+	static #load() {
+		const profile = process.env.NETWORK || 'testnet';
+		const base = PROFILES[profile];
+		if(!base) throw new Error(`Unknown NETWORK ${ profile }, use ${ Object.keys(PROFILES).join(' or ') }`);
+
+		const tokens = [ ...base.tokens ];
+
+		if(process.env.NETWORK_TOKENS) {
+			for(const token of JSON.parse(process.env.NETWORK_TOKENS)) {
+				if(!token.symbol || !token.address) throw new Error('Every token in NETWORK_TOKENS needs a symbol and an address');
+
+				const index = tokens.findIndex(item => item.symbol.toLowerCase() === token.symbol.toLowerCase());
+				const entry = { symbol: token.symbol, address: token.address, decimals: parseInt(token.decimals ?? 18) };
+
+				if(index >= 0) tokens[index] = entry;
+				else tokens.push(entry);
+			}
+		}
+
+		return {
+			...base,
+			profile,
+			rpcUrl: process.env.NETWORK_RPC_URL || base.rpcUrl,
+			explorerUrl: process.env.NETWORK_EXPLORER_URL || base.explorerUrl,
+			tokens,
+		};
+	}
+}
+
+export default NetworkService;
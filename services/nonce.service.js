@@ -0,0 +1,75 @@
+/**
+ * Assigns the nonces of the transactions sent by our wallets.
+ *
+ * Sends from the same address are serialized with a local lock, and the next nonce is tracked in
+ * memory from the pending transaction count, so two transactions sent at the same time (two
+ * sponsorships paid by the treasury, for instance) never get the same nonce. The lock is only held
+ * while the transaction is signed and broadcast, never while it is mined.
+ *
+ * The lock is per process: only one instance of the API may send from the treasury wallet.
+ */
+class NonceService {
+
+	/**
+	 * The next nonce of each address, once it has been used in this process.
+	 * @type {Map<string, number>}
+	 */
+	static nonces = new Map();
+
+	/**
+	 * The tail of the queue of sends of each address.
+	 * @type {Map<string, Promise>}
+	 */
+	static #locks = new Map();
+
+	/**
+	 * Runs a send with the next nonce of an address, one send at a time per address.
+	 *
+	 * The nonce is the highest of the one tracked locally and the pending transaction count of the
+	 * network. It is only consumed if the send succeeds; if it throws, the address is resynchronized
+	 * with the network on the next send.
+	 *
+	 * @param {ethers.providers.Provider} provider - The provider to read the pending transaction count.
+	 * @param {string} address - The address sending the transaction.
+	 * @param {Function} send - Receives the nonce and broadcasts the transaction.
+	 * @returns {Promise<*>} - The result of the send.
+	 */
+	static async withNonce(provider, address, send) {
+		const key = address.toLowerCase();
+		const previous = NonceService.#locks.get(key) || Promise.resolve();
+
+		let release;
+		const current = new Promise(resolve => release = resolve);
+		const tail = previous.then(() => current);
+		NonceService.#locks.set(key, tail);
+
+		await previous;
+
+		try {
+			const pending = await provider.getTransactionCount(address, 'pending');
+			const nonce = Math.max(pending, NonceService.nonces.get(key) ?? 0);
+
+			try {
+				const result = await send(nonce);
+				NonceService.nonces.set(key, nonce + 1);
+				return result;
+			} catch(e) {
+				NonceService.nonces.delete(key);
+				throw e;
+			}
+		} finally {
+			release();
+			if(NonceService.#locks.get(key) === tail) NonceService.#locks.delete(key);
+		}
+	}
+
+	/**
+	 * Forgets the nonce tracked for an address, so the next send reads it from the network.
+	 * @param {string} address - The address.
+	 */
+	static reset(address) {
+		NonceService.nonces.delete(address.toLowerCase());
+	}
+}
+
+export default NonceService;
@@ -0,0 +1,149 @@
+import primate from '@thewebchimp/primate';
+import QueueService from '#services/queue.service.js';
+import WahaService from '#services/waha.service.js';
+import NetworkService from '#services/network.service.js';
+
+/**
+ * Notifies the users over WhatsApp about the money they receive.
+ *
+ * Notifications go through the `notification.transfer` queue, so a WAHA outage never fails
+ * the transfer itself and the message is retried until it is delivered.
+ */
+class NotificationService {
+
+	/**
+	 * Queues the notification of an incoming transfer for its recipient.
+	 *
+	 * @param {Object} transfer - The completed transfer.
+	 * @param {Object} [options={}] - Notification options.
+	 * @param {boolean} [options.welcome=false] - Whether to welcome the recipient first (new users).
+	 * @returns {Promise<Object>} - The queued job.
+	 */
+	static async queueIncomingTransfer(transfer, options = {}) {
+		return QueueService.enqueue('notification.transfer', {
+			idTransfer: transfer.id,
+			welcome: !!options.welcome,
+		}, { key: `notification:${ transfer.idRecipient }` });
+	}
+
+	/**
+	 * Sends the notification of an incoming transfer. Handler of the `notification.transfer` queue.
+	 * A transfer is notified only once, even if the job is retried.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idTransfer - The ID of the transfer.
+	 * @param {boolean} payload.welcome - Whether to welcome the recipient first.
+	 * @returns {Promise<void>}
+	 */
+	static async sendIncomingTransfer(payload) {
+		const transfer = await primate.prisma.transfer.findUnique({
+			where: { id: payload.idTransfer },
+			include: { sender: true, recipient: true },
+		});
+
+		if(!transfer) throw new Error('Transfer not found');
+		if(transfer.metas?.notifiedAt) return;
+
+		const { recipient } = transfer;
+		if(!recipient.idWa) return;
+
+		if(payload.welcome && !transfer.metas?.welcomedAt) {
+			await WahaService.sendText(recipient.idWa, NotificationService.welcomeMessage(transfer));
+
+			// remember the welcome so a retry of the job does not send it twice
+			transfer.metas = { ...transfer.metas, welcomedAt: new Date() };
+			await primate.prisma.transfer.update({ where: { id: transfer.id }, data: { metas: transfer.metas } });
+		}
+
+		await WahaService.sendText(recipient.idWa, NotificationService.incomingTransferMessage(transfer));
+
+		await primate.prisma.transfer.update({
+			where: { id: transfer.id },
+			data: { metas: { ...transfer.metas, notifiedAt: new Date() } },
+		});
+	}
+
+	/**
+	 * Queues the notification of a transfer that failed on chain for its sender.
+	 *
+	 * @param {Object} transfer - The failed transfer.
+	 * @returns {Promise<Object>} - The queued job.
+	 */
+	static async queueFailedTransfer(transfer) {
+		return QueueService.enqueue('notification.transfer-failed', { idTransfer: transfer.id }, { key: `notification:${ transfer.idSender }` });
+	}
+
+	/**
+	 * Tells the sender that a transfer failed. Handler of the `notification.transfer-failed` queue.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idTransfer - The ID of the transfer.
+	 * @returns {Promise<void>}
+	 */
+	static async sendFailedTransfer(payload) {
+		const transfer = await primate.prisma.transfer.findUnique({
+			where: { id: payload.idTransfer },
+			include: { sender: true, recipient: true },
+		});
+
+		if(!transfer) throw new Error('Transfer not found');
+		if(transfer.metas?.failureNotifiedAt || !transfer.sender?.idWa) return;
+
+		const symbol = transfer.metas?.tokenSymbol || NetworkService.findByAddress(transfer.tokenAddress)?.symbol || 'tokens';
+		const name = transfer.metas?.contactName || transfer.recipient?.nicename || 'tu contacto';
+
+		await WahaService.sendText(transfer.sender.idWa,
+			`😔 Tu envío de ${ transfer.amount.toString() } ${ symbol } a ${ name } no se pudo completar en la red. ` +
+			'No se movió nada de tu saldo, puedes pedírmelo de nuevo.');
+
+		await primate.prisma.transfer.update({
+			where: { id: transfer.id },
+			data: { metas: { ...transfer.metas, failureNotifiedAt: new Date() } },
+		});
+	}
+
+	/**
+	 * Gets the name shown to the recipient for the sender of a transfer.
+	 *
+	 * @param {Object} transfer - The transfer, including its sender.
+	 * @returns {string}
+	 */
+	static senderName(transfer) {
+		if(transfer.sender) return transfer.sender.nicename || transfer.sender.idWa.split('@')[0];
+		if(transfer.metas?.idDeposit) return 'tu recarga SPEI';
+
+		const address = transfer.metas?.fromAddress;
+		return address ? `la dirección ${ address.slice(0, 6) }…${ address.slice(-4) }` : 'una billetera externa';
+	}
+
+	/**
+	 * Builds the message telling a user they received money.
+	 *
+	 * @param {Object} transfer - The transfer, including its sender.
+	 * @returns {string}
+	 */
+	static incomingTransferMessage(transfer) {
+		const symbol = transfer.metas?.tokenSymbol || NetworkService.findByAddress(transfer.tokenAddress)?.symbol || 'tokens';
+
+		return `💸 ¡Recibiste ${ transfer.amount.toString() } ${ symbol } de ${ NotificationService.senderName(transfer) }!\n\n` +
+			`Link: ${ NetworkService.txUrl(transfer.txHash) }`;
+	}
+
+	/**
+	 * Builds the welcome message for a user registered by an incoming transfer.
+	 *
+	 * @param {Object} transfer - The transfer, including its sender and recipient.
+	 * @returns {string}
+	 */
+	static welcomeMessage(transfer) {
+		const name = transfer.recipient.nicename ? ` ${ transfer.recipient.nicename }` : '';
+
+		return `👋 ¡Hola${ name }! Soy WAPA, tu billetera de MXNB en WhatsApp.\n\n` +
+			`${ NotificationService.senderName(transfer) } te acaba de enviar dinero y ya creamos una billetera a tu nombre 🎉 ` +
+			'No tienes que instalar nada ni guardar llaves: tu dinero ya está en tu billetera.\n\n' +
+			'Para reclamarlo solo contéstame este mensaje. Después podrás preguntarme tu saldo, ' +
+			'enviar dinero a tus contactos y revisar tus movimientos, todo desde este chat 🔐';
+	}
+}
+
+export default NotificationService;
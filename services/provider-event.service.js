@@ -0,0 +1,165 @@
+import primate from '@thewebchimp/primate';
+import QueueService from '#services/queue.service.js';
+import AlertService from '#services/alert.service.js';
+
+/**
+ * Log and registry of the handlers of the webhook events sent by Bitso and Juno.
+ *
+ * Every event is stored in the `provider_event` table once per provider and event ID, so a
+ * redelivered event is never processed twice, and handled by the `provider.event` queue with its
+ * retries; events of the same object (a deposit, a withdrawal...) are handled in order.
+ *
+ * Handlers receive (payload, event) and may return { message } to be kept with the event.
+ * New events are supported by registering a handler, without touching the controller.
+ * Events without a handler are stored as Ignored.
+ *
+ * Statuses: Received -> Processed, or Ignored; Failed while the queue retries it.
+ */
+class ProviderEventService {
+
+	/**
+	 * Registered handlers by provider and event type.
+	 * @type {Map<string, Function>}
+	 */
+	static handlers = new Map();
+
+	/**
+	 * Registers the handler of an event, replacing the previous one.
+	 *
+	 * @param {string} provider - The provider (bitso or juno).
+	 * @param {string} type - The event type, lowercase (e.g. deposit, funding).
+	 * @param {Function} handler - Async function receiving (payload, event).
+	 */
+	static register(provider, type, handler) {
+		ProviderEventService.handlers.set(`${ provider }:${ type }`, handler);
+	}
+
+	/**
+	 * Whether an event has a registered handler.
+	 *
+	 * @param {string} provider - The provider.
+	 * @param {string} type - The event type.
+	 * @returns {boolean}
+	 */
+	static has(provider, type) {
+		return ProviderEventService.handlers.has(`${ provider }:${ type }`);
+	}
+
+	/**
+	 * Stores an event received by a webhook and queues it if it has a handler.
+	 *
+	 * @param {string} provider - The provider that sent it.
+	 * @param {Object} body - The webhook body.
+	 * @returns {Promise<{event: Object, duplicate: boolean}>} - The stored event, and whether it was already received.
+	 * @throws {Error} - If the body has no event type.
+	 */
+	static async receive(provider, body) {
+		const { eventId, type, objectId, payload } = ProviderEventService.normalize(body);
+		if(!type) throw new Error('Event type not found');
+
+		let event;
+
+		try {
+			event = await primate.prisma.providerEvent.create({
+				data: {
+					provider,
+					eventId,
+					type,
+					objectId,
+					payload,
+					status: ProviderEventService.has(provider, type) ? 'Received' : 'Ignored',
+				},
+			});
+		} catch(e) {
+			// P2002: the provider delivered the event again
+			if(e.code !== 'P2002') throw e;
+
+			event = await primate.prisma.providerEvent.findUnique({ where: { provider_eventId: { provider, eventId } } });
+			return { event, duplicate: true };
+		}
+
+		if(event.status === 'Received') {
+			await QueueService.enqueue('provider.event', { idEvent: event.id }, { key: `provider:${ provider }:${ objectId || eventId }` });
+		}
+
+		return { event, duplicate: false };
+	}
+
+	/**
+	 * Reads the type, IDs and payload of a webhook body.
+	 *
+	 * Bitso sends { event, payload } where the payload is a funding (fid), withdrawal (wid), trade (tid)
+	 * or order (oid); Juno sends { event | type, id, payload | data }. A status change of the same object
+	 * is a new event, so the event ID includes the status when the provider does not send one.
+	 *
+	 * @param {Object} body - The webhook body.
+	 * @returns {{eventId: string, type: string|null, objectId: string|null, payload: Object}}
+	 */
+	static normalize(body = {}) {
+		const type = (body.event || body.type || body.event_type || '').toString().toLowerCase() || null;
+		const payload = body.payload || body.data || body;
+
+		const objectId = (payload.fid || payload.wid || payload.tid || payload.oid ||
+			payload.details?.clave_rastreo || payload.tracking_code || payload.deposit_id || payload.id || null)?.toString() || null;
+
+		const status = payload.summary_status || payload.status || '';
+		const eventId = (body.id || body.event_id || `${ type }:${ objectId }:${ status }`).toString();
+
+		return { eventId, type, objectId, payload };
+	}
+
+	/**
+	 * Runs the handler of a stored event. Handler of the `provider.event` queue.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idEvent - The ID of the event.
+	 * @returns {Promise<void>}
+	 */
+	static async process(payload) {
+		const event = await primate.prisma.providerEvent.findUnique({ where: { id: payload.idEvent } });
+		if(!event) throw new Error('Provider event not found');
+		if(event.status === 'Processed' || event.status === 'Ignored') return;
+
+		const handler = ProviderEventService.handlers.get(`${ event.provider }:${ event.type }`);
+
+		if(!handler) {
+			await primate.prisma.providerEvent.update({ where: { id: event.id }, data: { status: 'Ignored' } });
+			return;
+		}
+
+		try {
+			const result = await handler(event.payload, event);
+
+			await primate.prisma.providerEvent.update({
+				where: { id: event.id },
+				data: {
+					status: 'Processed',
+					attempts: event.attempts + 1,
+					error: null,
+					metas: { ...event.metas, result: result?.message || 'Event processed' },
+				},
+			});
+		} catch(e) {
+			await primate.prisma.providerEvent.update({
+				where: { id: event.id },
+				data: { status: 'Failed', attempts: event.attempts + 1, error: e.message },
+			});
+
+			throw e;
+		}
+	}
+
+	/**
+	 * Alerts the operators about an event that could not be handled after every retry.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {Object} job - The dead job.
+	 * @param {Error} error - The last error.
+	 * @returns {Promise<void>}
+	 */
+	static async processDead(payload, job, error) {
+		await AlertService.notify('Provider event could not be processed', { idEvent: payload.idEvent, error: error?.message });
+	}
+}
+
+export default ProviderEventService;
@@ -0,0 +1,229 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import os from 'os';
+import Poller from '#utils/poller.js';
+
+/**
+ * A job queue backed by the MySQL `job` table, so background work runs without extra infrastructure.
+ *
+ * - Jobs sharing an order key (e.g. a WhatsApp chat) run one at a time, in the order they were enqueued.
+ * - Failed jobs are retried with exponential backoff (QUEUE_BACKOFF_BASE ms, doubling on every attempt).
+ * - Jobs that exhaust their attempts are copied to the `dead_letter` table and marked as Dead.
+ *
+ * The worker polls every QUEUE_POLL_INTERVAL ms and runs up to QUEUE_CONCURRENCY jobs per tick.
+ */
+class QueueService {
+
+	/**
+	 * Registered handlers by queue name.
+	 * @type {Map<string, {handler: Function, onDead: ?Function}>}
+	 */
+	static handlers = new Map();
+
+	/**
+	 * Identifier of this worker, stored in the jobs it locks.
+	 * @type {string}
+	 */
+	static workerId = `${ os.hostname() }:${ process.pid }`;
+
+	static #poller = new Poller('queue', () => QueueService.#poll());
+
+	/**
+	 * Registers the handler of a queue.
+	 *
+	 * @param {string} queue - The queue name.
+	 * @param {Function} handler - Async function receiving (payload, job).
+	 * @param {Object} [options={}] - Handler options.
+	 * @param {Function} [options.onDead] - Called with (payload, job, error) when a job is dead-lettered.
+	 */
+	static register(queue, handler, options = {}) {
+		QueueService.handlers.set(queue, { handler, onDead: options.onDead || null });
+	}
+
+	/**
+	 * Adds a job to a queue.
+	 *
+	 * @param {string} queue - The queue name.
+	 * @param {Object} payload - The data passed to the handler.
+	 * @param {Object} [options={}] - Job options.
+	 * @param {string} [options.key] - Order key; jobs with the same key run sequentially.
+	 * @param {number} [options.maxAttempts=5] - Attempts before the job is dead-lettered.
+	 * @param {Date} [options.runAt] - Earliest date to run the job.
+	 * @returns {Promise<Object>} - The created job.
+	 */
+	static async enqueue(queue, payload, options = {}) {
+		return primate.prisma.job.create({
+			data: {
+				queue,
+				payload,
+				orderKey: options.key || null,
+				maxAttempts: options.maxAttempts || 5,
+				runAt: options.runAt || new Date(),
+			},
+		});
+	}
+
+	/**
+	 * Starts polling the job table.
+	 */
+	static start() {
+		const interval = parseInt(process.env.QUEUE_POLL_INTERVAL) || 1000;
+		if(!QueueService.#poller.start(interval)) return;
+
+		console.info(`Queue worker ${ QueueService.workerId } started`);
+	}
+
+	/**
+	 * Stops polling the job table. Jobs already running are not interrupted.
+	 */
+	static stop() {
+		QueueService.#poller.stop();
+	}
+
+	/**
+	 * Claims and runs the jobs that are due.
+	 * @private
+	 */
+	static async #poll() {
+		await QueueService.#releaseStaleLocks();
+
+		const jobs = await QueueService.#claimDueJobs();
+		await Promise.all(jobs.map(job => QueueService.#run(job)));
+	}
+
+	/**
+	 * Puts back in the queue the jobs locked by a worker that stopped before finishing them.
+	 * @private
+	 */
+	static async #releaseStaleLocks() {
+		const timeout = parseInt(process.env.QUEUE_LOCK_TIMEOUT) || 5 * 60 * 1000;
+
+		await primate.prisma.job.updateMany({
+			where: {
+				status: 'Processing',
+				lockedAt: { lt: new Date(Date.now() - timeout) },
+			},
+			data: { status: 'Pending', lockedAt: null, lockedBy: null },
+		});
+	}
+
+	/**
+	 * Locks the next due jobs, at most one per order key.
+	 * A job is skipped while an older job with the same key is still pending or running.
+	 * @returns {Promise<Array>}
+	 * @private
+	 */
+	static async #claimDueJobs() {
+		const concurrency = parseInt(process.env.QUEUE_CONCURRENCY) || 5;
+
+		const candidates = await primate.prisma.job.findMany({
+			where: { status: 'Pending', runAt: { lte: new Date() } },
+			orderBy: { id: 'asc' },
+			take: concurrency * 4,
+		});
+
+		const claimed = [];
+		const keys = new Set();
+
+		for(const job of candidates) {
+			if(claimed.length >= concurrency) break;
+
+			if(job.orderKey) {
+				if(keys.has(job.orderKey)) continue;
+				keys.add(job.orderKey);
+
+				const blocking = await primate.prisma.job.count({
+					where: {
+						orderKey: job.orderKey,
+						id: { lt: job.id },
+						status: { in: [ 'Pending', 'Processing' ] },
+					},
+				});
+
+				if(blocking) continue;
+			}
+
+			// the status condition makes the lock safe against other workers
+			const lock = await primate.prisma.job.updateMany({
+				where: { id: job.id, status: 'Pending' },
+				data: { status: 'Processing', lockedAt: new Date(), lockedBy: QueueService.workerId },
+			});
+
+			if(lock.count === 1) claimed.push(job);
+		}
+
+		return claimed;
+	}
+
+	/**
+	 * Runs a claimed job and stores its outcome.
+	 * @param {Object} job - The claimed job.
+	 * @private
+	 */
+	static async #run(job) {
+		const registered = QueueService.handlers.get(job.queue);
+		const attempts = job.attempts + 1;
+
+		try {
+			if(!registered) throw new Error(`No handler registered for queue ${ job.queue }`);
+
+			await registered.handler(job.payload, job);
+
+			await primate.prisma.job.update({
+				where: { id: job.id },
+				data: { status: 'Completed', attempts, lockedAt: null, lockedBy: null },
+			});
+		} catch(error) {
+			console.error(`Job ${ job.id } (${ job.queue }) failed on attempt ${ attempts }:`, error.message);
+
+			if(registered && attempts < job.maxAttempts) {
+				const base = parseInt(process.env.QUEUE_BACKOFF_BASE) || 2000;
+				const delay = Math.min(base * 2 ** (attempts - 1), 10 * 60 * 1000);
+
+				await primate.prisma.job.update({
+					where: { id: job.id },
+					data: {
+						status: 'Pending',
+						attempts,
+						runAt: new Date(Date.now() + delay),
+						lastError: error.message,
+						lockedAt: null,
+						lockedBy: null,
+					},
+				});
+
+				return;
+			}
+
+			await QueueService.#deadLetter(job, attempts, error);
+			if(registered?.onDead) await registered.onDead(job.payload, job, error);
+		}
+	}
+
+	/**
+	 * Moves a job that exhausted its attempts to the dead letter table.
+	 * @private
+	 */
+	static async #deadLetter(job, attempts, error) {
+		await primate.prisma.$transaction([
+			primate.prisma.deadLetter.create({
+				data: {
+					idJob: job.id,
+					queue: job.queue,
+					orderKey: job.orderKey,
+					payload: job.payload,
+					attempts,
+					error: error.message,
+				},
+			}),
+			primate.prisma.job.update({
+				where: { id: job.id },
+				data: { status: 'Dead', attempts, lastError: error.message, lockedAt: null, lockedBy: null },
+			}),
+		]);
+
+		console.warn(`Job ${ job.id } (${ job.queue }) moved to the dead letter table`);
+	}
+}
+
+export default QueueService;
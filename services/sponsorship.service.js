@@ -0,0 +1,267 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import CryptoService from '#services/crypto.service.js';
+import QueueService from '#services/queue.service.js';
+import WahaService from '#services/waha.service.js';
+import AlertService from '#services/alert.service.js';
+import NetworkService from '#services/network.service.js';
+
+/**
+ * Sponsorship statuses that count as granted: the tokens were sent or are about to be.
+ * @type {string[]}
+ */
+const GRANTED_STATUSES = [ 'Pending', 'Submitted', 'Completed' ];
+
+/**
+ * Decides which new users get tokens from the treasury and sends them, recording every decision
+ * in the `sponsorship` table.
+ *
+ * Policy, configured with environment variables:
+ * - SPONSORSHIP_ENABLED: set to false to stop every sponsorship.
+ * - SPONSORSHIP_MXNB_AMOUNT / SPONSORSHIP_ETH_AMOUNT: amount of each token (50 and 0 by default, 0 disables it).
+ *   ETH is not needed to send tokens, GasService pays the gas.
+ * - SPONSORSHIP_REQUIRE_ONBOARDING: the user must have given their name and email (true by default).
+ * - SPONSORSHIP_REQUIRE_VERIFIED_EMAIL: the email must be verified, metas.emailVerifiedAt (false by default).
+ * - SPONSORSHIP_MAX_PER_PHONE: lifetime sponsorships of each token per phone number (1 by default).
+ * - SPONSORSHIP_TREASURY_RESERVE_<TOKEN>: balance the treasury always keeps (0 by default).
+ *
+ * Users that are not eligible yet are evaluated again on their next message. The tokens are sent
+ * by the `sponsorship.grant` queue, so the conversation never waits for the transactions.
+ */
+class SponsorshipService {
+
+	/**
+	 * Whether sponsorships are enabled.
+	 * @return {boolean}
+	 */
+	static get enabled() {
+		return process.env.SPONSORSHIP_ENABLED !== 'false';
+	}
+
+	/**
+	 * The tokens sponsored and their amounts.
+	 * @return {Array<{symbol: string, address: ?string, decimals: number, amount: number}>}
+	 */
+	static get tokens() {
+		return [
+			{
+				...NetworkService.getToken('MXNB'),
+				amount: SponsorshipService.#number('SPONSORSHIP_MXNB_AMOUNT', 50),
+			},
+			{
+				symbol: 'ETH',
+				address: null,
+				decimals: 18,
+				amount: SponsorshipService.#number('SPONSORSHIP_ETH_AMOUNT', 0),
+			},
+		].filter(token => token.amount > 0);
+	}
+
+	/**
+	 * Checks whether a user meets the eligibility rules of the policy.
+	 *
+	 * @param {Object} user - The user.
+	 * @returns {{eligible: boolean, reason: ?string}}
+	 */
+	static checkEligibility(user) {
+		if(!user.idWa) return { eligible: false, reason: 'NoPhone' };
+		if(!user.metas?.wallet?.address) return { eligible: false, reason: 'NoWallet' };
+
+		// users registered by a transfer get their WhatsApp ID as email until they give a real one
+		const hasEmail = !!user.email && user.email !== user.idWa && user.email.includes('@') && !user.email.endsWith('@c.us');
+
+		if(process.env.SPONSORSHIP_REQUIRE_ONBOARDING !== 'false' && (!user.nicename || !hasEmail)) {
+			return { eligible: false, reason: 'OnboardingIncomplete' };
+		}
+
+		if(process.env.SPONSORSHIP_REQUIRE_VERIFIED_EMAIL === 'true' && !user.metas?.emailVerifiedAt) {
+			return { eligible: false, reason: 'EmailNotVerified' };
+		}
+
+		return { eligible: true, reason: null };
+	}
+
+	/**
+	 * Evaluates the policy for a user and queues the tokens they are entitled to.
+	 * Safe to call on every message: users already sponsored, or not eligible yet, are skipped.
+	 *
+	 * @param {Object} user - The user.
+	 * @returns {Promise<Array<Object>>} - The sponsorships created (pending or rejected).
+	 */
+	static async requestFor(user) {
+		if(!SponsorshipService.enabled) return [];
+		if(!SponsorshipService.checkEligibility(user).eligible) return [];
+
+		const maxPerPhone = SponsorshipService.#number('SPONSORSHIP_MAX_PER_PHONE', 1);
+		const created = [];
+
+		for(const token of SponsorshipService.tokens) {
+			const previous = await primate.prisma.sponsorship.findFirst({
+				where: {
+					idUser: user.id,
+					token: token.symbol,
+					OR: [ { status: { in: GRANTED_STATUSES } }, { status: 'Rejected', reason: 'PhoneCapReached' } ],
+				},
+			});
+
+			if(previous) continue;
+
+			// the cap follows the phone number, so registering again does not grant more tokens
+			const granted = await primate.prisma.sponsorship.count({
+				where: { idWa: user.idWa, token: token.symbol, status: { in: GRANTED_STATUSES } },
+			});
+
+			const capReached = granted >= maxPerPhone;
+
+			created.push(await primate.prisma.sponsorship.create({
+				data: {
+					idUser: user.id,
+					idWa: user.idWa,
+					walletAddress: user.metas.wallet.address,
+					token: token.symbol,
+					tokenAddress: token.address,
+					amount: token.amount.toString(),
+					status: capReached ? 'Rejected' : 'Pending',
+					reason: capReached ? 'PhoneCapReached' : null,
+				},
+			}));
+		}
+
+		if(created.some(sponsorship => sponsorship.status === 'Pending')) {
+			await QueueService.enqueue('sponsorship.grant', { idUser: user.id }, { key: `sponsorship:${ user.id }` });
+		}
+
+		return created;
+	}
+
+	/**
+	 * Sends the pending sponsorships of a user. Handler of the `sponsorship.grant` queue.
+	 *
+	 * A sponsorship the treasury cannot pay is rejected and alerted; one whose transaction fails
+	 * is marked as Failed and requested again on the next message of the user. Sent sponsorships stay
+	 * Submitted until TransactionTrackerService reports their transaction (see complete and fail).
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idUser - The ID of the user.
+	 * @returns {Promise<void>}
+	 */
+	static async grant(payload) {
+		const sponsorships = await primate.prisma.sponsorship.findMany({
+			where: { idUser: payload.idUser, status: 'Pending' },
+		});
+
+		for(const sponsorship of sponsorships) {
+			const token = SponsorshipService.tokens.find(item => item.symbol === sponsorship.token);
+			const amount = Number(sponsorship.amount);
+
+			if(!token) {
+				await SponsorshipService.#update(sponsorship, 'Rejected', { reason: 'TokenDisabled' });
+				continue;
+			}
+
+			const treasury = await SponsorshipService.treasuryBalance(token);
+			const reserve = SponsorshipService.#number(`SPONSORSHIP_TREASURY_RESERVE_${ token.symbol }`, 0);
+
+			if(treasury - amount < reserve) {
+				await SponsorshipService.#update(sponsorship, 'Rejected', { reason: 'TreasuryLow', metas: { treasury } });
+
+				await AlertService.notify(`Treasury too low to sponsor ${ token.symbol }`, {
+					token: token.symbol,
+					treasury,
+					reserve,
+					amount,
+					idUser: sponsorship.idUser,
+				});
+
+				continue;
+			}
+
+			try {
+				const transaction = token.address
+					? await CryptoService.sendToken(CryptoService.treasury, token.address, sponsorship.walletAddress, amount, token.decimals, { kind: 'sponsorship', referenceId: sponsorship.id })
+					: await CryptoService.sendEther(CryptoService.treasury, sponsorship.walletAddress, amount, { kind: 'sponsorship', referenceId: sponsorship.id });
+
+				await SponsorshipService.#update(sponsorship, 'Submitted', { txHash: transaction.hash });
+			} catch(e) {
+				console.error(`Error sending sponsorship ${ sponsorship.id }:`, e.message);
+				await SponsorshipService.#update(sponsorship, 'Failed', { metas: { error: e.message } });
+			}
+		}
+	}
+
+	/**
+	 * Completes a sponsorship once its transaction is mined and tells the user about the gift.
+	 * Handler of the 'sponsorship' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<void>}
+	 */
+	static async complete(transaction) {
+		const sponsorship = await primate.prisma.sponsorship.findUnique({ where: { id: transaction.referenceId }, include: { user: true } });
+		if(!sponsorship || sponsorship.status === 'Completed') return;
+
+		const { user, ...record } = sponsorship;
+
+		await SponsorshipService.#update(record, 'Completed', {
+			txHash: transaction.hash,
+			metas: { blockNumber: transaction.blockNumber },
+		});
+
+		// the ETH is only for gas, the user is told about the tokens they can use
+		if(sponsorship.tokenAddress && user.idWa) {
+			await WahaService.sendText(user.idWa, `🎁 ¡Te regalamos ${ Number(sponsorship.amount) } ${ sponsorship.token } para que pruebes WAPA! Ya están en tu billetera, pregúntame tu saldo cuando quieras.`);
+		}
+	}
+
+	/**
+	 * Marks a sponsorship as Failed when its transaction reverts or is dropped, so it is requested again.
+	 * Handler of the 'sponsorship' transactions of TransactionTrackerService.
+	 *
+	 * @param {Object} transaction - The chain transaction.
+	 * @returns {Promise<void>}
+	 */
+	static async fail(transaction) {
+		const sponsorship = await primate.prisma.sponsorship.findUnique({ where: { id: transaction.referenceId } });
+		if(!sponsorship || sponsorship.status !== 'Submitted') return;
+
+		await SponsorshipService.#update(sponsorship, 'Failed', { metas: { error: transaction.metas?.reason } });
+	}
+
+	/**
+	 * Gets the balance of the treasury in a sponsored token.
+	 *
+	 * @param {Object} token - The token, as listed in SponsorshipService.tokens.
+	 * @returns {Promise<number>}
+	 */
+	static async treasuryBalance(token) {
+		const balance = token.address
+			? await CryptoService.getTokenBalance(CryptoService.treasury.address, token.address, token.decimals)
+			: await CryptoService.getEtherBalance(CryptoService.treasury.address);
+
+		return parseFloat(balance.balance);
+	}
+
+	/**
+	 * Moves a sponsorship to a new status, merging the given metas.
+	 * @private
+	 */
+	static async #update(sponsorship, status, data = {}) {
+		const { metas, ...fields } = data;
+
+		return primate.prisma.sponsorship.update({
+			where: { id: sponsorship.id },
+			data: { ...fields, status, metas: { ...sponsorship.metas, ...metas } },
+		});
+	}
+
+	/**
+	 * Reads a numeric setting from the environment.
+	 * @private
+	 */
+	static #number(name, fallback) {
+		const value = parseFloat(process.env[name]);
+		return Number.isNaN(value) ? fallback : value;
+	}
+}
+
+export default SponsorshipService;
@@ -1,164 +1,103 @@
-import primate from '@thewebchimp/primate';
-import CryptoService from '#services/crypto.service.js';
 import UserService from '#entities/users/user.service.js';
 
+/**
+ * Authorization requirements a tool can declare.
+ * - user: the sender must be a registered user, it is passed to the handler as context.user.
+ * - wallet: the user must also have a custodial wallet.
+ * @type {string[]}
+ */
+const REQUIREMENTS = [ 'user', 'wallet' ];
+
+/**
+ * Registry of the tools the assistant can call.
+ *
+ * Each tool is a single module declaring everything about it:
+ * - name, description, parameters and strict: the function schema offered to the model.
+ * - requires: the authorization requirements checked before running it (see REQUIREMENTS).
+ * - handler: async function receiving (args, context) with context { idWa, idMessage, user }.
+ * - format: optional function reducing the handler result to the output returned to the model.
+ *
+ * New tools are supported by registering their module, without touching the AI service.
+ */
 class ToolService {
 
 	/**
-	 * Change the email of a user.
-	 * @param funcArgs {Object} - Function arguments containing user ID and new email.
-	 * @return {Promise<*>} - Updated user object.
+	 * Registered tools by name.
+	 * @type {Map<string, Object>}
 	 */
-	static async changeEmail(funcArgs) {
-		try {
-
-			const user = await primate.prisma.user.findFirst({ where: { idWa: funcArgs.idWa } });
-			if(!user) throw new Error('User not found');
-
-			// update user
-			return await primate.prisma.user.update({
-				where: { id: user.id },
-				data: {
-					email: funcArgs.email || user.email,
-				},
-			});
-
-		} catch(e) {
-			throw e;
-		}
-	}
+	static tools = new Map();
 
 	/**
-	 * Change the phone number of a user.
-	 * @param funcArgs {Object} - Function arguments containing user ID and new phone number.
-	 * @return {Promise<*>} - Updated user object.
+	 * Registers a tool, replacing a previous tool with the same name.
+	 * @param tool {Object} - The tool module.
 	 */
-	static async changeNicename(funcArgs) {
-		try {
-
-			const user = await primate.prisma.user.findFirst({ where: { idWa: funcArgs.idWa } });
-			if(!user) throw new Error('User not found');
-
-			// update user
-			return await primate.prisma.user.update({
-				where: { id: user.id },
-				data: {
-					nicename: funcArgs.nicename || user.nicename,
-				},
-			});
-
-		} catch(e) {
-			throw e;
-		}
+	static register(tool) {
+		if(!tool?.name) throw new Error('Tool name is required');
+		if(typeof tool.handler !== 'function') throw new Error(`Tool ${ tool.name } has no handler`);
+
+		const unknown = (tool.requires || []).filter(requirement => !REQUIREMENTS.includes(requirement));
+		if(unknown.length) throw new Error(`Tool ${ tool.name } has unknown requirements: ${ unknown.join(', ') }`);
+
+		ToolService.tools.set(tool.name, tool);
 	}
 
 	/**
-	 * Get the wallet balance of a user.
-	 * @param funcArgs {Object} - Function arguments containing user ID and wallet address.
-	 * @return {Promise<*>} - Wallet balance object.
+	 * Whether a tool is registered.
+	 * @param name {string} - The tool name.
+	 * @return {boolean}
 	 */
-	static async getWalletBalance(funcArgs) {
-		try {
-
-			const user = await primate.prisma.user.findFirst({ where: { idWa: funcArgs.idWa } });
-			if(!user) throw new Error('User not found');
-			return await CryptoService.getTokenBalance(funcArgs.walletAddress, '0x82b9e52b26a2954e113f94ff26647754d5a4247d', 6);
-
-		} catch(e) {
-			throw e;
-		}
+	static has(name) {
+		return ToolService.tools.has(name);
 	}
 
-	static async sendMoney(funcArgs) {
-
-		console.info('Send money function called with args:', funcArgs);
-
-		const amount = funcArgs.amount;
-		if(!amount) throw new Error('Amount is required');
-
-		const contact = funcArgs.contact;
-		if(!contact) throw new Error('Contact is required');
-		if(!contact.name && !contact.phoneNumber) throw new Error('Contact name and phone number are required');
-
-		const contactName = contact.name;
-		if(!contactName) throw new Error('Contact name is required');
-		console.info('Contact name:', contactName);
-
-		const contactNumber = contact.phoneNumber;
-		if(!contactNumber) throw new Error('Contact phone number is required');
-		console.info('Contact number:', contactNumber);
-
-		const user = await primate.prisma.user.findFirst({ where: { idWa: funcArgs.idWa } });
-		if(!user) throw new Error('User not found');
-
-		// get the balance of the user to check if it is enough
-		let balance = await CryptoService.getTokenBalance(user.metas.wallet.address, '0x82b9e52b26a2954e113f94ff26647754d5a4247d', 6);
-		if(balance.balance < amount) throw new Error('Insufficient balance');
-
-		console.info('User balance:', balance);
-
-		// Check if the recipient is a user
-		let recipient = await primate.prisma.user.findFirst({ where: { idWa: contactNumber } });
-		let recipientWalletAddress = null;
-
-		console.info('Recipient:', recipient);
-
-		if(!recipient) {
-			await UserService.registerUserForFirstTime(contactNumber, { nicename: contactName });
-
-			// generate a wallet for the new user
-			const wallet = await CryptoService.generateWallet();
-			console.log('New wallet:', wallet);
-
-			// fund the wallet
-			await CryptoService.fundWallet(wallet.address);
-
-			await UserService.updateUserWallet(contactNumber, { wallet });
-			recipientWalletAddress = wallet.address;
-		} else {
-			recipientWalletAddress = recipient.metas?.wallet?.address;
+	/**
+	 * Gets the function schemas of the registered tools, as expected by the Responses API.
+	 * @return {Array<Object>}
+	 */
+	static definitions() {
+		return [ ...ToolService.tools.values() ].map(tool => {
+			const definition = {
+				type: 'function',
+				name: tool.name,
+				description: tool.description,
+				parameters: tool.parameters,
+			};
+
+			if(tool.strict) definition.strict = true;
+
+			return definition;
+		});
+	}
 
-			if(!recipientWalletAddress) {
-				// generate a wallet for the new user
-				const wallet = await CryptoService.generateWallet();
-				console.log('New wallet:', wallet);
+	/**
+	 * Runs a registered tool after checking its authorization requirements.
+	 * @param name {string} - The tool name.
+	 * @param args {Object} - The arguments sent by the model.
+	 * @param context {Object} - The conversation context.
+	 * @param context.idWa {string} - The WhatsApp ID of the user talking to the assistant.
+	 * @param [context.idMessage] {string} - The ID of the message that triggered the call.
+	 * @return {Promise<Object>} - The formatted output for the model.
+	 */
+	static async call(name, args, context) {
+		const tool = ToolService.tools.get(name);
+		if(!tool) throw new Error(`Unknown tool ${ name }`);
 
-				// fund the wallet
-				await CryptoService.fundWallet(wallet.address);
+		const requires = tool.requires || [];
+		const toolContext = { ...context };
 
-				await UserService.updateUserWallet(contactNumber, { wallet });
-				recipientWalletAddress = wallet.address;
-			}
+		if(requires.includes('user') || requires.includes('wallet')) {
+			toolContext.user = await UserService.findByWaId(context.idWa);
+			if(!toolContext.user) throw new Error('User not found');
 		}
 
-		console.info('Recipient wallet address:', recipientWalletAddress);
-		let sendMoney;
-
-		try {
-
-			// send the money
-			sendMoney = await CryptoService.sendToken(
-				{
-					privateKey: user.metas.wallet.privateKey,
-					address: user.metas.wallet.address,
-				},
-				'0x82b9e52b26a2954e113f94ff26647754d5a4247d',
-				recipientWalletAddress,
-				amount,
-				6,
-			);
-		} catch(e) {
-			console.error('Error sending money:', e);
-			throw new Error('Error sending money');
+		if(requires.includes('wallet') && !toolContext.user.metas?.wallet?.address) {
+			throw new Error('Wallet not found');
 		}
 
-		console.info('Transaction result:', sendMoney);
-
-		// get the balance of the user to check if it is enough
-		balance = await CryptoService.getTokenBalance(user.metas.wallet.address, '0x82b9e52b26a2954e113f94ff26647754d5a4247d', 6);
+		const result = await tool.handler(args, toolContext);
 
-		return { transaction: sendMoney, amount, contactName, contactNumber, balance };
+		return tool.format ? tool.format(result) : { success: true };
 	}
 }
 
-export default ToolService;
\ No newline at end of file
+export default ToolService;
@@ -0,0 +1,327 @@
+import 'dotenv/config';
+import primate from '@thewebchimp/primate';
+import { ethers } from 'ethers';
+import CryptoService from '#services/crypto.service.js';
+import NonceService from '#services/nonce.service.js';
+import QueueService from '#services/queue.service.js';
+import AlertService from '#services/alert.service.js';
+import Poller from '#utils/poller.js';
+
+/**
+ * Follows the transactions sent by our wallets until they are mined.
+ *
+ * Every transaction broadcast by CryptoService is stored in the `chain_transaction` table and the
+ * tracker polls its receipt every TX_TRACKER_INTERVAL ms (5000 by default), so no request waits for
+ * a block. A transaction still pending after TX_REPLACE_AFTER seconds (120 by default) is sent again
+ * with the same nonce and TX_GAS_BUMP percent more gas (25 by default), at most TX_MAX_REPLACEMENTS
+ * times (3 by default). A transaction is only taken as dropped when its nonce has been used for
+ * TX_DROP_AFTER seconds (60 by default) and none of its broadcasts has a receipt.
+ *
+ * When a transaction settles, the `transaction.settled` queue runs the handlers registered for its
+ * kind (e.g. 'transfer'), with the retries of the queue.
+ */
+class TransactionTrackerService {
+
+	/**
+	 * The handlers of each kind of transaction.
+	 * @type {Map<string, {onConfirmed: Function, onFailed: Function}>}
+	 */
+	static handlers = new Map();
+
+	static #poller = new Poller('transaction tracker', () => TransactionTrackerService.#poll());
+
+	/**
+	 * Registers the handlers run when a kind of transaction is mined or fails.
+	 *
+	 * @param {string} kind - The kind of transaction.
+	 * @param {Object} handlers - The handlers, both receive the chain transaction record.
+	 * @param {Function} handlers.onConfirmed - Called when the transaction is mined successfully.
+	 * @param {Function} handlers.onFailed - Called when the transaction reverts or is dropped.
+	 */
+	static register(kind, handlers) {
+		TransactionTrackerService.handlers.set(kind, handlers);
+	}
+
+	/**
+	 * Stores a broadcast transaction to follow it.
+	 *
+	 * @param {Object} transaction - The transaction response of ethers.
+	 * @param {Object} [options={}] - What the transaction belongs to.
+	 * @param {string} [options.kind] - The kind of transaction, to run its handlers once settled.
+	 * @param {number} [options.referenceId] - The ID of the record the transaction belongs to (a transfer, a sponsorship...).
+	 * @returns {Promise<Object>} - The chain transaction record.
+	 */
+	static async track(transaction, options = {}) {
+		return primate.prisma.chainTransaction.create({
+			data: {
+				hash: transaction.hash,
+				fromAddress: transaction.from,
+				toAddress: transaction.to,
+				nonce: transaction.nonce,
+				data: transaction.data,
+				value: transaction.value.toString(),
+				gasLimit: transaction.gasLimit.toString(),
+				gasPrice: transaction.gasPrice.toString(),
+				kind: options.kind || null,
+				referenceId: options.referenceId || null,
+				metas: { hashes: [ transaction.hash ] },
+			},
+		});
+	}
+
+	/**
+	 * Gets the hash of the transaction of a record after its send threw, if it was broadcast anyway.
+	 *
+	 * A tracked transaction is followed as usual. A transaction broadcast but not tracked (its hash is in
+	 * the error, see CryptoService) has no one to follow it, so the operators are alerted.
+	 *
+	 * @param {string} kind - The kind of transaction.
+	 * @param {number} referenceId - The ID of the record the transaction belongs to.
+	 * @param {Error} error - The error thrown by the send.
+	 * @returns {Promise<string|null>} - The hash, or null if nothing was broadcast.
+	 */
+	static async broadcastHash(kind, referenceId, error) {
+		const record = await primate.prisma.chainTransaction.findFirst({ where: { kind, referenceId }, orderBy: { id: 'desc' } });
+		if(record) return record.hash;
+
+		if(!error?.hash) return null;
+
+		await AlertService.notify('Transaction broadcast but not tracked', { kind, referenceId, hash: error.hash, error: error.message });
+		return error.hash;
+	}
+
+	/**
+	 * Waits until a transaction settles. Used by the sends that cannot continue before the
+	 * transaction is mined, such as a gas top-up.
+	 *
+	 * @param {number} id - The ID of the chain transaction.
+	 * @param {number} [timeout=300000] - Milliseconds to wait.
+	 * @returns {Promise<Object>} - The confirmed chain transaction.
+	 * @throws {Error} - If the transaction fails or does not settle in time.
+	 */
+	static async waitFor(id, timeout = 300000) {
+		const deadline = Date.now() + timeout;
+
+		while(Date.now() < deadline) {
+			let record = await primate.prisma.chainTransaction.findUnique({ where: { id } });
+			if(record.status === 'Pending') record = await TransactionTrackerService.check(record);
+
+			if(record.status === 'Confirmed') return record;
+			if(record.status === 'Failed') throw new Error(`Transaction ${ record.hash } failed: ${ record.metas?.reason }`);
+
+			await new Promise(resolve => setTimeout(resolve, 2000));
+		}
+
+		throw new Error(`Transaction ${ id } was not mined in ${ timeout / 1000 } seconds`);
+	}
+
+	/**
+	 * Starts polling the pending transactions.
+	 */
+	static start() {
+		const interval = parseInt(process.env.TX_TRACKER_INTERVAL) || 5000;
+		if(!TransactionTrackerService.#poller.start(interval)) return;
+
+		console.info('Transaction tracker started');
+	}
+
+	/**
+	 * Stops polling the pending transactions.
+	 */
+	static stop() {
+		TransactionTrackerService.#poller.stop();
+	}
+
+	/**
+	 * Checks every pending transaction.
+	 * @private
+	 */
+	static async #poll() {
+		const pending = await primate.prisma.chainTransaction.findMany({
+			where: { status: 'Pending' },
+			orderBy: { id: 'asc' },
+			take: 50,
+		});
+
+		for(const record of pending) {
+			try {
+				await TransactionTrackerService.check(record);
+			} catch(e) {
+				console.error(`Error checking transaction ${ record.hash }:`, e.message);
+			}
+		}
+	}
+
+	/**
+	 * Checks a pending transaction: records its receipt if any of its broadcasts was mined,
+	 * marks it as dropped if its nonce was used by another transaction, or replaces it if it is stuck.
+	 *
+	 * @param {Object} record - The chain transaction.
+	 * @returns {Promise<Object>} - The updated chain transaction.
+	 */
+	static async check(record) {
+		const provider = CryptoService.provider;
+
+		let settled = await TransactionTrackerService.#settleMined(record);
+		if(settled) return settled;
+
+		const mined = await provider.getTransactionCount(record.fromAddress, 'latest');
+
+		if(mined > record.nonce) {
+			// one of our broadcasts may have been mined after its receipt was asked for, or the receipt
+			// was asked to a node that is behind: ask again before taking the nonce as used by another transaction
+			settled = await TransactionTrackerService.#settleMined(record);
+			if(settled) return settled;
+
+			// only a nonce used for a while without a receipt of ours is a dropped transaction
+			const dropAfter = (parseInt(process.env.TX_DROP_AFTER) || 60) * 1000;
+			const consumedAt = record.metas?.nonceConsumedAt;
+
+			if(!consumedAt) {
+				return primate.prisma.chainTransaction.update({
+					where: { id: record.id },
+					data: { metas: { ...record.metas, nonceConsumedAt: new Date().toISOString() } },
+				});
+			}
+
+			if(Date.now() - new Date(consumedAt).getTime() < dropAfter) return record;
+
+			NonceService.reset(record.fromAddress);
+			return TransactionTrackerService.#settle(record, 'Failed', { metas: { reason: 'Dropped' } });
+		}
+
+		const replaceAfter = (parseInt(process.env.TX_REPLACE_AFTER) || 120) * 1000;
+		const maxReplacements = parseInt(process.env.TX_MAX_REPLACEMENTS ?? 3);
+
+		if(Date.now() - record.broadcasted.getTime() < replaceAfter) return record;
+
+		if(record.replacements >= maxReplacements) {
+			if(!record.metas?.alerted) {
+				await AlertService.notify('Transaction stuck', { hash: record.hash, from: record.fromAddress, nonce: record.nonce });
+				return primate.prisma.chainTransaction.update({
+					where: { id: record.id },
+					data: { metas: { ...record.metas, alerted: true } },
+				});
+			}
+
+			return record;
+		}
+
+		return TransactionTrackerService.#replace(record);
+	}
+
+	/**
+	 * Runs the handler of a settled transaction. Handler of the `transaction.settled` queue.
+	 *
+	 * @param {Object} payload - The job payload.
+	 * @param {number} payload.idTransaction - The ID of the chain transaction.
+	 * @returns {Promise<void>}
+	 */
+	static async settle(payload) {
+		const record = await primate.prisma.chainTransaction.findUnique({ where: { id: payload.idTransaction } });
+		if(!record) throw new Error('Chain transaction not found');
+
+		const handlers = TransactionTrackerService.handlers.get(record.kind);
+		if(!handlers) return;
+
+		if(record.status === 'Confirmed') await handlers.onConfirmed(record);
+		else if(record.status === 'Failed') await handlers.onFailed(record);
+	}
+
+	/**
+	 * Sends a stuck transaction again with the same nonce and more gas.
+	 * @private
+	 */
+	static async #replace(record) {
+		const bump = parseInt(process.env.TX_GAS_BUMP) || 25;
+		const networkPrice = await CryptoService.provider.getGasPrice();
+		const bumped = ethers.BigNumber.from(record.gasPrice).mul(100 + bump).div(100);
+		const gasPrice = bumped.gt(networkPrice) ? bumped : networkPrice;
+
+		const walletObject = await TransactionTrackerService.#walletFor(record.fromAddress);
+
+		let transaction;
+
+		try {
+			transaction = await CryptoService.replaceTransaction(walletObject, {
+				to: record.toAddress,
+				data: record.data,
+				value: record.value,
+				gasLimit: record.gasLimit,
+				nonce: record.nonce,
+			}, gasPrice);
+		} catch(e) {
+			// the original was mined in the meantime, the next check finds its receipt
+			console.warn(`Could not replace transaction ${ record.hash }:`, e.message);
+			return record;
+		}
+
+		console.info(`Replaced transaction ${ record.hash } with ${ transaction.hash }`);
+
+		return primate.prisma.chainTransaction.update({
+			where: { id: record.id },
+			data: {
+				hash: transaction.hash,
+				gasPrice: gasPrice.toString(),
+				replacements: record.replacements + 1,
+				broadcasted: new Date(),
+				metas: { ...record.metas, hashes: [ ...(record.metas?.hashes || [ record.hash ]), transaction.hash ] },
+			},
+		});
+	}
+
+	/**
+	 * Settles a transaction with the receipt of the first of its broadcasts that was mined.
+	 * @private
+	 */
+	static async #settleMined(record) {
+		for(const hash of record.metas?.hashes || [ record.hash ]) {
+			const receipt = await CryptoService.provider.getTransactionReceipt(hash);
+			if(receipt) return TransactionTrackerService.#settle(record, receipt.status === 1 ? 'Confirmed' : 'Failed', {
+				hash: receipt.transactionHash,
+				blockNumber: receipt.blockNumber,
+				metas: { gasUsed: receipt.gasUsed.toString(), reason: receipt.status === 1 ? null : 'Reverted' },
+			});
+		}
+
+		return null;
+	}
+
+	/**
+	 * Moves a pending transaction to its final status and queues its handlers.
+	 * Only the first call settles it, so the tick and a waitFor can check the same transaction.
+	 * @private
+	 */
+	static async #settle(record, status, data = {}) {
+		const { metas, ...fields } = data;
+
+		const result = await primate.prisma.chainTransaction.updateMany({
+			where: { id: record.id, status: 'Pending' },
+			data: { ...fields, status, metas: { ...record.metas, ...metas } },
+		});
+
+		const settled = await primate.prisma.chainTransaction.findUnique({ where: { id: record.id } });
+
+		if(result.count === 1 && settled.kind) {
+			await QueueService.enqueue('transaction.settled', { idTransaction: settled.id }, { key: `transaction:${ settled.kind }:${ settled.referenceId }` });
+		}
+
+		return settled;
+	}
+
+	/**
+	 * Gets the wallet that signs the transactions of an address: the treasury or a stored wallet.
+	 * @private
+	 */
+	static async #walletFor(address) {
+		const treasury = CryptoService.treasury;
+		if(treasury.address && treasury.address.toLowerCase() === address.toLowerCase()) return treasury;
+
+		const wallet = await primate.prisma.wallet.findFirst({ where: { address } });
+		if(!wallet) throw new Error(`No wallet can sign for ${ address }`);
+
+		return wallet;
+	}
+}
+
+export default TransactionTrackerService;
@@ -0,0 +1,70 @@
+import 'dotenv/config';
+import OpenAI, { toFile } from 'openai';
+
+/**
+ * Transcribes the voice notes sent by the users.
+ *
+ * Audio is sent to an OpenAI-compatible transcription endpoint: TRANSCRIPTION_BASE_URL
+ * (OpenAI by default), TRANSCRIPTION_API_KEY (OPENAI_API_KEY by default) and TRANSCRIPTION_MODEL
+ * (whisper-1 by default). With TRANSCRIPTION_PROVIDER=stub no request is made and the text in
+ * TRANSCRIPTION_STUB_TEXT is returned, for local development and tests.
+ */
+class TranscriptionService {
+
+	static #client = null;
+
+	/**
+	 * Whether the local stub is used instead of the transcription endpoint.
+	 * @return {boolean}
+	 */
+	static get isStub() {
+		return process.env.TRANSCRIPTION_PROVIDER === 'stub';
+	}
+
+	/**
+	 * Transcribes an audio file.
+	 * @param buffer {Buffer} - The audio content.
+	 * @param options {Object} - The audio details.
+	 * @param options.filename {string} - The name of the file, its extension tells the format to the endpoint.
+	 * @param options.mimetype {string} - The MIME type of the audio.
+	 * @return {Promise<string>} - The transcribed text, empty if nothing was understood.
+	 */
+	static async transcribe(buffer, options = {}) {
+		if(TranscriptionService.isStub) {
+			return process.env.TRANSCRIPTION_STUB_TEXT || '';
+		}
+
+		try {
+			const file = await toFile(buffer, options.filename || 'audio.ogg', { type: options.mimetype });
+
+			const transcription = await TranscriptionService.#getClient().audio.transcriptions.create({
+				file,
+				model: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+				language: process.env.TRANSCRIPTION_LANGUAGE || 'es',
+			});
+
+			return (transcription.text || '').trim();
+		} catch(error) {
+			console.error('Error transcribing audio:', error.message);
+			throw error;
+		}
+	}
+
+	/**
+	 * Gets the client of the transcription endpoint.
+	 * @return {OpenAI}
+	 * @private
+	 */
+	static #getClient() {
+		if(!TranscriptionService.#client) {
+			TranscriptionService.#client = new OpenAI({
+				apiKey: process.env.TRANSCRIPTION_API_KEY || process.env.OPENAI_API_KEY,
+				baseURL: process.env.TRANSCRIPTION_BASE_URL || undefined,
+			});
+		}
+
+		return TranscriptionService.#client;
+	}
+}
+
+export default TranscriptionService;
@@ -22,6 +22,9 @@ const EXT_MAP = {
 	'image/gif': '.gif',
 	'audio/mpeg': '.mp3',
 	'audio/mp3': '.mp3',
+	'audio/ogg': '.ogg',
+	'audio/mp4': '.m4a',
+	'audio/aac': '.aac',
 };
 
 function truncateName(originalName) {
@@ -0,0 +1,53 @@
+/**
+ * Registry of the handlers of WAHA webhook events.
+ *
+ * Handlers receive (payload, body) and may return { message, data } for the webhook response.
+ * New events are supported by registering a handler, without touching the controller.
+ */
+class WahaEventService {
+
+	/**
+	 * Registered handlers by event name.
+	 * @type {Map<string, Function>}
+	 */
+	static handlers = new Map();
+
+	/**
+	 * Registers the handler of an event, replacing the previous one.
+	 * @param event {string} - The WAHA event name (e.g. message.ack).
+	 * @param handler {Function} - Async function receiving (payload, body).
+	 */
+	static register(event, handler) {
+		WahaEventService.handlers.set(event, handler);
+	}
+
+	/**
+	 * Whether an event has a registered handler.
+	 * @param event {string} - The WAHA event name.
+	 * @return {boolean}
+	 */
+	static has(event) {
+		return WahaEventService.handlers.has(event);
+	}
+
+	/**
+	 * Runs the handler of an event.
+	 * @param event {string} - The WAHA event name.
+	 * @param payload {Object} - The event payload.
+	 * @param body {WhatsAppEvent} - The whole webhook body.
+	 * @return {Promise<{message: string, data: *}>}
+	 */
+	static async dispatch(event, payload, body = {}) {
+		const handler = WahaEventService.handlers.get(event);
+		if(!handler) throw new Error(`No handler registered for event ${ event }`);
+
+		const result = await handler(payload, body);
+
+		return {
+			message: result?.message || 'Event processed',
+			data: result?.data,
+		};
+	}
+}
+
+export default WahaEventService;
@@ -1,5 +1,6 @@
 import 'dotenv/config';
 import axios from 'axios';
+import MessageService from '#services/message.service.js';
 
 class WahaService {
 
@@ -18,6 +19,14 @@ class WahaService {
 			const headers = { 'X-Api-Key': process.env.WAHA_API_KEY };
 
 			const response = await axios.post(url, payload, { headers });
+
+			// keep track of the message to store its delivery receipts
+			try {
+				await MessageService.recordOutbound(to, message, response.data);
+			} catch(error) {
+				console.error('Error recording outbound message:', error.message);
+			}
+
 			return response.data;
 		} catch(error) {
 			console.error('Error sending WhatsApp message:', error);
@@ -74,6 +83,30 @@ class WahaService {
 		}
 	}
 
+	/**
+	 * Downloads the media of a message from WAHA.
+	 * @param media {Object} - The media of the message payload (url, mimetype, filename).
+	 * @return {Promise<{buffer: Buffer, mimetype: string, filename: ?string}>}
+	 */
+	static async downloadMedia(media) {
+		try {
+			if(!media?.url) throw new Error('Media URL not available');
+
+			const headers = { 'X-Api-Key': process.env.WAHA_API_KEY };
+
+			const response = await axios.get(media.url, { headers, responseType: 'arraybuffer' });
+
+			return {
+				buffer: Buffer.from(response.data),
+				mimetype: media.mimetype || response.headers['content-type'] || '',
+				filename: media.filename || null,
+			};
+		} catch(error) {
+			console.error('Error downloading WhatsApp media:', error.message);
+			throw error;
+		}
+	}
+
 	static async sendImage(to, imageUrl, caption) {
 		try {
 			const url = process.env.WAHA_API_URL + '/sendImage';
@@ -0,0 +1,96 @@
+import primate from '@thewebchimp/primate';
+import CryptoService from '#services/crypto.service.js';
+
+class WalletService {
+
+	/**
+	 * Generates a custodial wallet for a user and stores it encrypted.
+	 * Only the address is kept in the user metas.
+	 *
+	 * @param {Object} user - The user that will own the wallet.
+	 * @returns {Promise<Object>} - The stored wallet.
+	 */
+	static async createForUser(user) {
+		try {
+			const sealed = await CryptoService.generateWallet();
+
+			const wallet = await primate.prisma.wallet.create({
+				data: { idUser: user.id, ...sealed },
+			});
+
+			await primate.prisma.user.update({
+				where: { id: user.id },
+				data: {
+					metas: {
+						...user.metas,
+						wallet: { address: wallet.address },
+					},
+				},
+			});
+
+			return wallet;
+		} catch(e) {
+			throw e;
+		}
+	}
+
+	/**
+	 * Gets the stored wallet of a user.
+	 *
+	 * @param {number} idUser - The ID of the user.
+	 * @returns {Promise<Object>} - The stored wallet.
+	 */
+	static async findByUser(idUser) {
+		const wallet = await primate.prisma.wallet.findUnique({ where: { idUser } });
+		if(!wallet) throw new Error('Wallet not found');
+
+		return wallet;
+	}
+
+	/**
+	 * Moves the plain text wallets stored in the user metas to the encrypted Wallet table.
+	 *
+	 * Users whose wallet is already stored only get the secrets removed from their metas.
+	 *
+	 * @returns {Promise<{migrated: number, cleaned: number}>} - The number of wallets encrypted and of metas cleaned.
+	 */
+	static async migrateFromMetas() {
+		const summary = { migrated: 0, cleaned: 0 };
+
+		const users = await primate.prisma.user.findMany();
+
+		for(const user of users) {
+			const wallet = user.metas?.wallet;
+			if(!wallet || (!wallet.privateKey && !wallet.mnemonic)) continue;
+
+			const stored = await primate.prisma.wallet.findUnique({ where: { idUser: user.id } });
+
+			await primate.prisma.$transaction(async (tx) => {
+				if(!stored) {
+					await tx.wallet.create({
+						data: { idUser: user.id, ...CryptoService.sealWallet(wallet) },
+					});
+				}
+
+				await tx.user.update({
+					where: { id: user.id },
+					data: {
+						metas: {
+							...user.metas,
+							wallet: { address: stored?.address || wallet.address },
+						},
+					},
+				});
+			});
+
+			if(stored) summary.cleaned++;
+			else summary.migrated++;
+
+			console.info(`Wallet of user ${ user.id } ${ stored ? 'cleaned' : 'encrypted' }`);
+		}
+
+		return summary;
+	}
+}
+
+export default WalletService;
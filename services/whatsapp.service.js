@@ -1,21 +1,143 @@
 import 'dotenv/config';
+import primate from '@thewebchimp/primate';
 import AIService from '#services/ai.service.js';
 import WahaService from '#services/waha.service.js';
 import UserService from '#entities/users/user.service.js';
 import userService from '#entities/users/user.service.js';
-import CryptoService from '#services/crypto.service.js';
+import SponsorshipService from '#services/sponsorship.service.js';
+import NetworkService from '#services/network.service.js';
+import WalletService from '#services/wallet.service.js';
+import ConfirmationService from '#services/confirmation.service.js';
+import TransferService from '#entities/transfers/transfer.service.js';
+import CashOutService, { CashOutError } from '#entities/cashouts/cashout.service.js';
+import DedupService from '#services/dedup.service.js';
+import QueueService from '#services/queue.service.js';
+import AlertService from '#services/alert.service.js';
+import UploadService from '#services/upload.service.js';
+import TranscriptionService from '#services/transcription.service.js';
+import ContactService from '#services/contact.service.js';
+import { normalizeWaId } from '#utils/phone.js';
+import { SpendingLimitError } from '#entities/limits/limit.service.js';
+
+/**
+ * Replies to a pending intent, by action.
+ * @type {Object<string, {expired: string, cancelled: string, unavailable: string, failed: string}>}
+ */
+const INTENT_TEXTS = {
+	sendMoney: {
+		expired: '⌛ La transferencia expiró antes de ser confirmada. Si aún quieres enviarla, pídemela de nuevo.',
+		cancelled: '👌 Listo, cancelé la transferencia. No se movió nada de tu saldo.',
+		unavailable: '⌛ La transferencia ya no está disponible para confirmar. Si aún quieres enviarla, pídemela de nuevo.',
+		failed: '😔 No pude completar la transferencia. Por favor intenta de nuevo más tarde.',
+	},
+	cashOut: {
+		expired: '⌛ El retiro expiró antes de ser confirmado. Si aún quieres hacerlo, pídemelo de nuevo.',
+		cancelled: '👌 Listo, cancelé el retiro. No se movió nada de tu saldo.',
+		unavailable: '⌛ El retiro ya no está disponible para confirmar. Si aún quieres hacerlo, pídemelo de nuevo.',
+		failed: '😔 No pude completar el retiro. Por favor intenta de nuevo más tarde.',
+	},
+};
 
 class WhatsappService {
 
+	/**
+	 * Handles a message.any webhook event.
+	 * Inbound messages are deduplicated and queued, to be processed in order per chat.
+	 * @param payload {Object} - The WAHA message payload.
+	 * @return {Promise<{message: string, data?: Object}>} - The dispatch result.
+	 */
+	static async receiveMessage(payload) {
+
+		// our own outbound messages are not processed
+		if(payload?.fromMe) return { message: 'Message ignored' };
+
+		// WAHA retries deliveries, each inbound message is processed only once
+		const messageId = payload?.id;
+
+		const idWa = normalizeWaId(payload.from) || payload.from;
+
+		if(messageId && !await DedupService.claim(messageId, { idWa, event: 'message.any' })) {
+			return { message: 'Message already processed' };
+		}
+
+		let job;
+
+		try {
+			job = await QueueService.enqueue('whatsapp.message', payload, { key: idWa });
+		} catch(error) {
+			if(messageId) await DedupService.markFailed(messageId, error.message);
+			throw error;
+		}
+
+		return { message: 'Message queued', data: { idJob: job.id } };
+	}
+
+	/**
+	 * Handles a session.status webhook event, alerting when the WAHA session stops working.
+	 * @param payload {Object} - The session status payload.
+	 * @param body {Object} - The whole webhook body.
+	 * @return {Promise<{message: string}>} - The dispatch result.
+	 */
+	static async handleSessionStatus(payload, body = {}) {
+		const status = payload?.status;
+		console.info(`WAHA session ${ payload?.name || body.session } is ${ status }`);
+
+		if([ 'STOPPED', 'FAILED', 'SCAN_QR_CODE' ].includes(status)) {
+			await AlertService.notify(`WAHA session ${ payload?.name || body.session } is ${ status }`, {
+				session: payload?.name || body.session,
+				status,
+				me: body.me,
+				timestamp: body.timestamp,
+			});
+		}
+
+		return { message: 'Session status recorded' };
+	}
+
+	/**
+	 * Handles a message.any event taken from the queue.
+	 * @param payload {Object} - The WAHA message payload.
+	 * @return {Promise<void>}
+	 */
+	static async processQueuedMessage(payload) {
+		await WhatsappService.webhookResponse(payload);
+		if(payload.id) await DedupService.markProcessed(payload.id);
+	}
+
+	/**
+	 * Releases a message whose job exhausted its attempts, so a new delivery can process it again.
+	 * @param payload {Object} - The WAHA message payload.
+	 * @param job {Object} - The dead job.
+	 * @param error {Error} - The last error.
+	 * @return {Promise<void>}
+	 */
+	static async releaseDeadMessage(payload, job, error) {
+		if(payload.id) await DedupService.markFailed(payload.id, error.message);
+	}
+
 	static async webhookResponse(payload) {
-		const from = payload.from;
-		const message = payload.body;
+		// replies go to the chat as WAHA sent it, the user is stored under the canonical ID
+		const chatId = payload.from;
+		const from = normalizeWaId(chatId) || chatId;
+		let message = payload.body;
 
 		try {
 			if(!payload.fromMe) {
 
 				console.info('Received message from:', from);
 
+					// voice notes are transcribed and handled as if the user had typed them
+					if(WhatsappService.isVoiceNote(payload)) {
+						await WahaService.startTyping(chatId);
+						message = await WhatsappService.transcribeVoiceNote(payload);
+
+						if(!message) {
+							await WahaService.sendText(chatId, '🎧 No logré entender tu nota de voz. ¿Me la puedes repetir o escribir?');
+							await WahaService.stopTyping(chatId);
+							return null;
+						}
+					}
+
 					console.info('Message from authorized number', process.env.WHATSAPP_NUMBER);
 
 					// Check if the user exists and store it
@@ -33,31 +155,40 @@ class WhatsappService {
 
 					// check if the user has a wallet in the metas
 					if(!user.metas.wallet) {
-						const wallet = await CryptoService.generateWallet();
+						await WalletService.createForUser(user);
+						user = await UserService.verifyUserExistence(from);
+					}
 
-						// fund the wallet
-						await CryptoService.fundWallet(wallet.address);
+					// contacts shared as vCards are saved so they can be used as transfer recipients
+					if(payload.vCards?.length) {
+						const contacts = await ContactService.saveFromVCards(user, payload.vCards);
 
-						await userService.updateUserWallet(from, { wallet });
+						// a message with only the card carries the raw vCard as its body
+						if(contacts.length && (!message || message.trim().startsWith('BEGIN:VCARD'))) {
+							message = ContactService.describeShared(contacts);
+						}
 					}
 
 					// prepare the user data for context
 					let userData = {
 						nicename: user.nicename,
 						email: user.email,
-						wallet: user.metas.wallet || '',
+						wallet: user.metas.wallet ? { address: user.metas.wallet.address } : '',
 					};
 
 					// If we dont have nicename or email, we go to the onboarding service
 					if(!userData.nicename || !userData.email) {
 						console.warn('User data is missing, going to onboarding service');
 
-						await WahaService.startTyping(from);
+						await WahaService.startTyping(chatId);
 						const onboardingResponse = await AIService.onboardingConversation(message, userData);
 						console.log('onboardingResponse', onboardingResponse);
 
 						await userService.updateOnboardingData(from, onboardingResponse);
-						await WahaService.sendText(from, onboardingResponse.continue_conversation);
+						await WahaService.sendText(chatId, onboardingResponse.continue_conversation);
+
+						// the onboarding may have just made the user eligible for a sponsorship
+						await WhatsappService.requestSponsorship(await UserService.verifyUserExistence(from));
 
 						return null;
 					}
@@ -66,6 +197,13 @@ class WhatsappService {
 					// If we have the user data, we go to the AI services that use the function calling
 					// =================================================================================================
 
+					// users that were not eligible when they signed up may be now
+					await WhatsappService.requestSponsorship(user);
+
+					// A pending transfer is only executed when the user explicitly confirms it
+					const intent = await ConfirmationService.findPending(from);
+					if(intent && await WhatsappService.handleIntentReply(from, message, intent, chatId)) return null;
+
 					// Prepare new user context
 					userData = {
 						nicename: userData.nicename,
@@ -73,15 +211,35 @@ class WhatsappService {
 						wallet: userData.wallet,
 					};
 
+					// the contacts shared recently are the candidates for "this contact"
+					const sharedContacts = await ContactService.recentlyShared(user.id);
+					if(sharedContacts.length) userData.sharedContacts = sharedContacts;
+
+					if(intent && intent.status === 'Pending' && intent.action === 'cashOut') {
+						userData.pendingCashOut = {
+							amount: intent.args.amount,
+							token: intent.args.token,
+							bankAccount: intent.args.bankAccount,
+							expires: intent.expires,
+						};
+					} else if(intent && intent.status === 'Pending') {
+						userData.pendingTransfer = {
+							amount: intent.args.amount,
+							token: intent.args.token,
+							contactName: intent.args.contactName,
+							expires: intent.expires,
+						};
+					}
+
 					// first we get the conversation history
-					const history = await WahaService.getConversationHistory(from);
+					const history = await WahaService.getConversationHistory(chatId);
 
-					await WahaService.startTyping(from);
-					const tooledResponse = await AIService.tooledConversation(from, message, userData, history);
+					await WahaService.startTyping(chatId);
+					const tooledResponse = await AIService.tooledConversation(from, message, userData, history, { idMessage: payload.id });
 					console.log('tooledResponse', tooledResponse);
 
-					await WahaService.sendText(from, tooledResponse);
-					await WahaService.stopTyping(from);
+					await WahaService.sendText(chatId, tooledResponse);
+					await WahaService.stopTyping(chatId);
 
 					/*
 					await WahaService.startTyping(from);
@@ -92,10 +250,139 @@ class WhatsappService {
 
 		} catch(error) {
 			console.error('Error in webhookResponse:', error);
-			await WahaService.stopTyping(from);
+			await WahaService.stopTyping(chatId);
 			throw error;
 		}
 	}
+
+	/**
+	 * Requests the sponsorship of a user without interrupting the conversation if it fails.
+	 * @param user {Object} - The user.
+	 * @return {Promise<void>}
+	 */
+	static async requestSponsorship(user) {
+		try {
+			await SponsorshipService.requestFor(user);
+		} catch(e) {
+			console.error('Error requesting sponsorship:', e.message);
+		}
+	}
+
+	/**
+	 * Whether a message is a voice note or any other audio.
+	 * @param payload {Object} - The WAHA message payload.
+	 * @return {boolean}
+	 */
+	static isVoiceNote(payload) {
+		return !!payload.hasMedia && (payload.media?.mimetype || '').startsWith('audio/');
+	}
+
+	/**
+	 * Downloads a voice note from WAHA, stores it as an attachment and transcribes it.
+	 * The transcript is kept in the attachment metas, so a retry of the same message does not transcribe it again.
+	 * @param payload {Object} - The WAHA message payload.
+	 * @return {Promise<string>} - The transcribed text, empty if nothing was understood.
+	 */
+	static async transcribeVoiceNote(payload) {
+		if(payload.id) {
+			const previous = await primate.prisma.attachment.findFirst({
+				where: { metas: { path: '$.messageId', equals: payload.id } },
+			});
+
+			if(typeof previous?.metas?.transcript === 'string') return previous.metas.transcript;
+		}
+
+		const media = await WahaService.downloadMedia(payload.media);
+
+		// WhatsApp sends the codec along with the type (audio/ogg; codecs=opus)
+		const mimetype = media.mimetype.split(';')[0].trim();
+
+		const attachment = await UploadService.createAttachment({
+			originalname: media.filename || `voice-note-${ Date.now() }`,
+			mimetype,
+			buffer: media.buffer,
+			size: media.buffer.length,
+		}, {
+			acl: 'private',
+			metas: { idWa: normalizeWaId(payload.from) || payload.from, messageId: payload.id, type: 'voiceNote' },
+		});
+
+		const transcript = await TranscriptionService.transcribe(media.buffer, { filename: attachment.slug, mimetype });
+		console.info('Voice note transcript:', transcript);
+
+		await primate.prisma.attachment.update({
+			where: { id: attachment.id },
+			data: { metas: { ...attachment.metas, transcript } },
+		});
+
+		return transcript;
+	}
+
+	/**
+	 * Handles the reply of a user to a pending transfer intent.
+	 * Confirmations execute the transfer, cancellations discard it, and any other message is left
+	 * to the tooled conversation.
+	 * @param from {string} - The WhatsApp ID of the user.
+	 * @param message {string} - The message sent by the user.
+	 * @param intent {Object} - The latest pending intent of the user.
+	 * @param [chatId] {string} - The chat to reply to, when it differs from the canonical ID of the user.
+	 * @return {Promise<boolean>} - Whether the message was handled as a reply to the intent.
+	 */
+	static async handleIntentReply(from, message, intent, chatId = from) {
+		const reply = ConfirmationService.parseReply(intent, message);
+		if(!reply) return false;
+
+		const texts = INTENT_TEXTS[intent.action] || INTENT_TEXTS.sendMoney;
+
+		if(intent.status === 'Expired') {
+			if(reply === 'confirm') {
+				await WahaService.sendText(chatId, texts.expired);
+				return true;
+			}
+
+			return false;
+		}
+
+		if(reply === 'cancel') {
+			// the intent may have been confirmed by a concurrent delivery
+			const cancelled = await ConfirmationService.cancel(intent);
+			await WahaService.sendText(chatId, cancelled ? texts.cancelled : texts.unavailable);
+			return true;
+		}
+
+		// only one delivery of the confirmation can execute the intent
+		if(!await ConfirmationService.claim(intent)) {
+			await WahaService.sendText(chatId, texts.unavailable);
+			return true;
+		}
+
+		await WahaService.startTyping(chatId);
+
+		try {
+			if(intent.action === 'cashOut') {
+				const cashOut = await CashOutService.execute(intent.idUser, intent.args, { idempotencyKey: CashOutService.keyFor(intent) });
+				await ConfirmationService.complete(intent, { metas: { idCashOut: cashOut.id } });
+
+				await WahaService.sendText(chatId, `✅ ¡Listo! Tu retiro de ${ cashOut.amount.toString() } MXNB a ${ CashOutService.describeAccount(cashOut.bankAccount) } va en camino, te aviso cuando el dinero llegue a tu banco.`);
+			} else {
+				const result = await TransferService.send(from, intent.args, { idempotencyKey: intent.idempotencyKey });
+				await ConfirmationService.complete(intent, { idTransfer: result.transfer.id });
+
+				await WahaService.sendText(chatId, `✅ ¡Listo! Tu envío de ${ result.amount } ${ result.token } a ${ result.contactName } va en camino, te aviso si algo falla.\n\nLink: ${ NetworkService.txUrl(result.transaction.hash) }`);
+			}
+		} catch(e) {
+			console.error('Error executing confirmed intent:', e);
+			await ConfirmationService.complete(intent, { metas: { error: e.message } });
+
+			// a blocked transfer or cash-out tells the user what stopped it
+			if(e instanceof SpendingLimitError) await WahaService.sendText(chatId, `🚫 ${ intent.action === 'cashOut' ? 'No hice el retiro' : 'No envié la transferencia' }. ${ e.message }`);
+			else if(e instanceof CashOutError) await WahaService.sendText(chatId, `🚫 No hice el retiro. ${ e.message }`);
+			else await WahaService.sendText(chatId, texts.failed);
+		}
+
+		await WahaService.stopTyping(chatId);
+		return true;
+	}
 }
 
 export default WhatsappService;
\ No newline at end of file
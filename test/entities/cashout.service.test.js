@@ -0,0 +1,80 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import CryptoService from '#services/crypto.service.js';
+import GasService from '#services/gas.service.js';
+import WalletService from '#services/wallet.service.js';
+import AlertService from '#services/alert.service.js';
+import CashOutService from '#entities/cashouts/cashout.service.js';
+
+let user;
+let account;
+
+/**
+ * Executes a cash-out of 10 MXNB of the user.
+ * @returns {Promise<Object>}
+ */
+function execute() {
+	return CashOutService.execute(user.id, { amount: 10, idBankAccount: account.id });
+}
+
+beforeEach(async () => {
+	process.env.JUNO_REDEMPTION_ADDRESS = '0x3333333333333333333333333333333333333333';
+
+	primate.prisma = createPrisma({
+		cashOut: { unique: [ [ 'idempotencyKey' ] ], defaults: { status: 'Pending' } },
+		chainTransaction: { defaults: { status: 'Pending' } },
+	});
+
+	user = await primate.prisma.user.create({ data: { status: 'Active', metas: { wallet: { address: '0x1111111111111111111111111111111111111111' } } } });
+	account = await primate.prisma.bankAccount.create({ data: { idUser: user.id, clabe: '646180157000000004', status: 'Active' } });
+
+	mock.method(CryptoService, 'getTokenBalance', async () => ({ balance: '100', rawBalance: '100000000' }));
+	mock.method(WalletService, 'findByUser', async () => ({ address: user.metas.wallet.address }));
+	mock.method(AlertService, 'notify', async () => {});
+});
+
+afterEach(() => {
+	delete process.env.JUNO_REDEMPTION_ADDRESS;
+	mock.restoreAll();
+});
+
+describe('CashOutService.execute when the send throws', () => {
+	it('marks the cash-out as Failed when nothing was broadcast', async () => {
+		mock.method(GasService, 'sendToken', async () => {
+			throw new Error('Error sending tokens: insufficient funds for gas');
+		});
+
+		await assert.rejects(execute(), /Error sending the cash-out/);
+
+		const [ cashOut ] = primate.prisma.cashOut.rows;
+		assert.equal(cashOut.status, 'Failed');
+		assert.equal(cashOut.metas.steps.at(-1).step, 'TransferFailed');
+	});
+
+	it('leaves a tracked transaction to the tracker', async () => {
+		mock.method(GasService, 'sendToken', async (wallet, tokenAddress, to, amount, decimals, options) => {
+			await primate.prisma.chainTransaction.create({ data: { hash: '0xtracked', kind: options.kind, referenceId: options.referenceId } });
+			throw new Error('Error sending tokens: timeout');
+		});
+
+		const cashOut = await execute();
+
+		assert.equal(cashOut.status, 'Transferring');
+		assert.equal(cashOut.txHash, '0xtracked');
+		assert.equal(cashOut.metas.steps.at(-1).step, 'Broadcast');
+	});
+
+	it('keeps the hash of a broadcast that could not be tracked and alerts', async () => {
+		mock.method(GasService, 'sendToken', async () => {
+			throw Object.assign(new Error('Error sending tokens: database unavailable'), { hash: '0xuntracked' });
+		});
+
+		const cashOut = await execute();
+
+		assert.equal(cashOut.status, 'Transferring');
+		assert.equal(cashOut.txHash, '0xuntracked');
+		assert.equal(AlertService.notify.mock.callCount(), 1);
+	});
+});
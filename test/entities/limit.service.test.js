@@ -0,0 +1,149 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import NetworkService from '#services/network.service.js';
+import LimitService, { SpendingLimitError } from '#entities/limits/limit.service.js';
+
+const ENV = [ 'SPENDING_MAX_PER_TRANSFER', 'SPENDING_DAILY_TOTAL', 'SPENDING_MONTHLY_TOTAL', 'SPENDING_MAX_NEW_RECIPIENTS_PER_DAY', 'LIMITS_RATES' ];
+
+const user = { id: 1 };
+const token = NetworkService.getToken('MXNB');
+
+/**
+ * Records a transfer of the user.
+ * @param {Object} [data={}] - The fields that differ from a transfer of 10 MXNB sent today.
+ * @returns {Promise<Object>}
+ */
+function seedTransfer(data = {}) {
+	return primate.prisma.transfer.create({
+		data: { idSender: user.id, idRecipient: 2, amount: '10', tokenAddress: token.address, status: 'Completed', ...data },
+	});
+}
+
+beforeEach(() => {
+	for(const name of ENV) delete process.env[name];
+
+	primate.prisma = createPrisma({
+		spendingLimit: { unique: [ [ 'idUser' ] ] },
+		user: { unique: [ [ 'idWa' ] ] },
+	});
+});
+
+describe('LimitService.getEffective', () => {
+	it('takes the limits of the user, then the global ones, then the environment', async () => {
+		process.env.SPENDING_MONTHLY_TOTAL = '5000';
+		await LimitService.set(null, { maxPerTransfer: 100, dailyTotal: 1000 });
+		await LimitService.set(user.id, { maxPerTransfer: 50 });
+
+		const limits = await LimitService.getEffective(user.id);
+
+		assert.equal(limits.maxPerTransfer, 50);
+		assert.equal(limits.dailyTotal, 1000);
+		assert.equal(limits.monthlyTotal, 5000);
+		assert.equal(limits.maxNewRecipientsPerDay, null);
+	});
+
+	it('exempts a user from a global limit set to null for them', async () => {
+		process.env.SPENDING_DAILY_TOTAL = '2000';
+		await LimitService.set(null, { dailyTotal: 1000 });
+		await LimitService.set(user.id, { dailyTotal: null });
+
+		assert.equal((await LimitService.getEffective(user.id)).dailyTotal, null);
+		assert.equal((await LimitService.getEffective(2)).dailyTotal, 1000);
+	});
+
+	it('does not fall back to the environment for a global limit set to null', async () => {
+		process.env.SPENDING_DAILY_TOTAL = '2000';
+		await LimitService.set(null, { dailyTotal: null });
+
+		assert.equal((await LimitService.getEffective(user.id)).dailyTotal, null);
+	});
+
+	it('enforces a removed limit again once it is set', async () => {
+		await LimitService.set(null, { dailyTotal: 1000 });
+		await LimitService.set(user.id, { dailyTotal: null });
+		await LimitService.set(user.id, { dailyTotal: 300 });
+
+		assert.equal((await LimitService.getEffective(user.id)).dailyTotal, 300);
+	});
+
+	it('inherits the global limits again after a reset', async () => {
+		await LimitService.set(null, { dailyTotal: 1000 });
+		await LimitService.set(user.id, { dailyTotal: null });
+		await LimitService.reset(user.id);
+
+		assert.equal((await LimitService.getEffective(user.id)).dailyTotal, 1000);
+	});
+});
+
+describe('LimitService.check', () => {
+	it('allows any transfer without limits', async () => {
+		await LimitService.check(user, { amount: 1000000, token: 'MXNB' });
+	});
+
+	it('refuses a transfer over the maximum per transfer', async () => {
+		await LimitService.set(null, { maxPerTransfer: 100 });
+
+		await assert.rejects(LimitService.check(user, { amount: 101, token: 'MXNB' }),
+			error => error instanceof SpendingLimitError && error.limit === 'maxPerTransfer');
+
+		await LimitService.check(user, { amount: 100, token: 'MXNB' });
+	});
+
+	it('adds up the transfers and cash-outs of the day, but not the failed ones', async () => {
+		await LimitService.set(null, { dailyTotal: 50 });
+		await seedTransfer({ amount: '10', status: 'Completed' });
+		await seedTransfer({ amount: '10', status: 'Pending' });
+		await seedTransfer({ amount: '100', status: 'Failed' });
+		await primate.prisma.cashOut.create({ data: { idUser: user.id, amount: '20', tokenAddress: token.address, status: 'Redeeming' } });
+
+		await LimitService.check(user, { amount: 10, token: 'MXNB' });
+		await assert.rejects(LimitService.check(user, { amount: 11, token: 'MXNB' }),
+			error => error.limit === 'dailyTotal' && error.message.includes('Hoy ya enviaste 40 MXNB'));
+	});
+
+	it('does not count a recorded transfer twice', async () => {
+		await LimitService.set(null, { dailyTotal: 50 });
+		await seedTransfer({ amount: '20' });
+		await seedTransfer({ amount: '30', status: 'Pending' });
+
+		await LimitService.check(user, { amount: 30, token: 'MXNB', recorded: true });
+	});
+
+	it('refuses a recorded transfer that another one sent at the same time took over the limit', async () => {
+		await LimitService.set(null, { dailyTotal: 50 });
+		await seedTransfer({ amount: '30', status: 'Pending' });
+		await seedTransfer({ amount: '30', status: 'Pending' });
+
+		await assert.rejects(LimitService.check(user, { amount: 30, token: 'MXNB', recorded: true }),
+			error => error.limit === 'dailyTotal' && error.message.includes('Hoy ya enviaste 30 MXNB'));
+	});
+
+	it('refuses a token without a rate while an amount limit is set', async () => {
+		await LimitService.set(null, { dailyTotal: 50 });
+
+		await assert.rejects(LimitService.check(user, { amount: 1, token: 'USDC' }), error => error.limit === 'rate');
+
+		process.env.LIMITS_RATES = '{"USDC": 20}';
+		await assert.rejects(LimitService.check(user, { amount: 3, token: 'USDC' }), error => error.limit === 'dailyTotal');
+		await LimitService.check(user, { amount: 2, token: 'USDC' });
+	});
+
+	it('limits the new recipients of the day', async () => {
+		await LimitService.set(null, { maxNewRecipientsPerDay: 1 });
+		const known = await primate.prisma.user.create({ data: { idWa: '5215500000002@c.us' } });
+		const stranger = await primate.prisma.user.create({ data: { idWa: '5215500000003@c.us' } });
+		await seedTransfer({ idRecipient: known.id });
+
+		// the recipient of today can receive again, a second new one cannot
+		await LimitService.check(user, { amount: 1, token: 'MXNB', contactNumber: known.idWa });
+		await assert.rejects(LimitService.check(user, { amount: 1, token: 'MXNB', contactNumber: stranger.idWa }),
+			error => error.limit === 'maxNewRecipientsPerDay');
+
+		// recorded at the same time as the first one, the second new recipient is over the limit
+		await seedTransfer({ idRecipient: stranger.id, status: 'Pending' });
+		await assert.rejects(LimitService.check(user, { amount: 1, token: 'MXNB', contactNumber: stranger.idWa, recorded: true }),
+			error => error.limit === 'maxNewRecipientsPerDay');
+	});
+});
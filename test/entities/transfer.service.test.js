@@ -0,0 +1,148 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import CryptoService from '#services/crypto.service.js';
+import GasService from '#services/gas.service.js';
+import WalletService from '#services/wallet.service.js';
+import ContactService from '#services/contact.service.js';
+import NetworkService from '#services/network.service.js';
+import AlertService from '#services/alert.service.js';
+import TransferService from '#entities/transfers/transfer.service.js';
+
+const token = NetworkService.getToken('MXNB');
+const sender = { idWa: '5215500000001@c.us', status: 'Active', metas: { wallet: { address: '0x1111111111111111111111111111111111111111' } } };
+const recipient = { idWa: '5215500000002@c.us', status: 'Active', metas: { wallet: { address: '0x2222222222222222222222222222222222222222' } } };
+
+/**
+ * Mocks the balance of the sender.
+ * @param {string} rawBalance - The balance in base units of the token.
+ */
+function mockBalance(rawBalance) {
+	mock.method(CryptoService, 'getTokenBalance', async () => ({
+		balance: (Number(rawBalance) / 10 ** token.decimals).toString(),
+		rawBalance,
+	}));
+}
+
+/**
+ * Sends money from the sender to the recipient.
+ * @param {number|string} amount - The amount of MXNB.
+ * @returns {Promise<Object>}
+ */
+function send(amount) {
+	return TransferService.send(sender.idWa, { amount, token: 'MXNB', contactName: 'Ana', contactNumber: recipient.idWa });
+}
+
+beforeEach(async () => {
+	primate.prisma = createPrisma({
+		user: { unique: [ [ 'idWa' ] ] },
+		transfer: { unique: [ [ 'idempotencyKey' ] ] },
+		chainTransaction: { defaults: { status: 'Pending' } },
+	});
+
+	await primate.prisma.user.create({ data: sender });
+	await primate.prisma.user.create({ data: recipient });
+
+	mock.method(WalletService, 'findByUser', async () => ({ address: sender.metas.wallet.address }));
+	mock.method(ContactService, 'recordUsage', async () => null);
+	mock.method(GasService, 'sendToken', async () => ({ success: true, hash: '0xabc', blockNumber: null, relayed: false }));
+});
+
+afterEach(() => {
+	mock.restoreAll();
+});
+
+describe('TransferService.send', () => {
+	it('compares the balance and the amount as amounts, not as text', async () => {
+		// '100.0' < '9' as text
+		mockBalance('100000000');
+
+		const { transfer } = await send('9');
+
+		assert.equal(transfer.status, 'Processing');
+		assert.equal(transfer.txHash, '0xabc');
+	});
+
+	it('refuses an amount over the balance, down to the last unit', async () => {
+		mockBalance('9999999');
+
+		await assert.rejects(send(10), /Insufficient balance/);
+		assert.equal(GasService.sendToken.mock.callCount(), 0);
+		assert.equal(primate.prisma.transfer.rows.length, 0);
+	});
+
+	it('sends the whole balance', async () => {
+		mockBalance('10000000');
+
+		await send(10);
+
+		assert.equal(GasService.sendToken.mock.callCount(), 1);
+	});
+
+	it('refuses an amount with more decimals than the token', async () => {
+		mockBalance('10000000');
+
+		await assert.rejects(send('1.0000001'), /Invalid amount/);
+	});
+});
+
+describe('TransferService.send when the send throws', () => {
+	beforeEach(() => {
+		mockBalance('100000000');
+		mock.method(AlertService, 'notify', async () => {});
+	});
+
+	it('marks the transfer as Failed when nothing was broadcast', async () => {
+		GasService.sendToken.mock.mockImplementation(async () => {
+			throw new Error('Error sending tokens: insufficient funds for gas');
+		});
+
+		await assert.rejects(send(10), /Error sending money/);
+
+		const [ transfer ] = primate.prisma.transfer.rows;
+		assert.equal(transfer.status, 'Failed');
+		assert.equal(transfer.txHash, undefined);
+	});
+
+	it('leaves a tracked transaction to the tracker', async () => {
+		GasService.sendToken.mock.mockImplementation(async (wallet, tokenAddress, to, amount, decimals, options) => {
+			await primate.prisma.chainTransaction.create({ data: { hash: '0xtracked', kind: options.kind, referenceId: options.referenceId } });
+			throw new Error('Error sending tokens: timeout');
+		});
+
+		const { transfer, transaction } = await send(10);
+
+		assert.equal(transaction.hash, '0xtracked');
+		assert.equal(transfer.status, 'Processing');
+		assert.equal(transfer.txHash, '0xtracked');
+		assert.equal(AlertService.notify.mock.callCount(), 0);
+	});
+
+	it('keeps the hash of a broadcast that could not be tracked and alerts', async () => {
+		GasService.sendToken.mock.mockImplementation(async () => {
+			throw Object.assign(new Error('Error sending tokens: database unavailable'), { hash: '0xuntracked' });
+		});
+
+		const { transfer } = await send(10);
+
+		assert.equal(transfer.status, 'Processing');
+		assert.equal(transfer.txHash, '0xuntracked');
+		assert.equal(AlertService.notify.mock.callCount(), 1);
+	});
+
+	it('lets the same key find the broadcast transfer instead of refusing it', async () => {
+		GasService.sendToken.mock.mockImplementation(async () => {
+			throw Object.assign(new Error('Error sending tokens: database unavailable'), { hash: '0xuntracked' });
+		});
+
+		const options = { idempotencyKey: 'sendMoney:abc' };
+		const data = { amount: 10, token: 'MXNB', contactName: 'Ana', contactNumber: recipient.idWa };
+
+		await TransferService.send(sender.idWa, data, options);
+		const again = await TransferService.send(sender.idWa, data, options);
+
+		assert.equal(again.transaction.hash, '0xuntracked');
+		assert.equal(GasService.sendToken.mock.callCount(), 1);
+	});
+});
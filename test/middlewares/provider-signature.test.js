@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import verifyProviderSignature from '#middlewares/provider-signature.js';
+
+const secret = 'juno-secret';
+const body = { event: 'deposit', id: 'evt_1', payload: { deposit_id: 'dep_1', status: 'complete' } };
+
+/**
+ * Builds a webhook request as the raw-body middleware leaves it.
+ * @param {Object} headers - The headers.
+ * @param {Buffer} [rawBody] - The bytes received, the JSON of the body by default.
+ * @returns {Object}
+ */
+function createRequest(headers, rawBody = Buffer.from(JSON.stringify(body))) {
+	return { body, rawBody, ip: '127.0.0.1', get: name => headers[name.toLowerCase()] };
+}
+
+/**
+ * Signs the JSON of the body.
+ * @param {string} [key=secret] - The secret.
+ * @returns {string} - The hex digest.
+ */
+function sign(key = secret) {
+	return createHmac('sha256', key).update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Runs the middleware of a provider.
+ * @param {string} provider - The provider.
+ * @param {Object} req - The request.
+ * @returns {{passed: boolean, response: ?Object}}
+ */
+function verify(provider, req) {
+	const result = { passed: false, response: null };
+	const res = { respond: response => result.response = response };
+
+	verifyProviderSignature(provider)(req, res, () => result.passed = true);
+	return result;
+}
+
+beforeEach(() => {
+	process.env.JUNO_WEBHOOK_SECRET = secret;
+	process.env.BITSO_WEBHOOK_SECRET = 'bitso-secret';
+	mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+	delete process.env.JUNO_WEBHOOK_SECRET;
+	delete process.env.BITSO_WEBHOOK_SECRET;
+	mock.restoreAll();
+});
+
+describe('verifyProviderSignature', () => {
+	it('accepts a body signed with the secret of the provider', () => {
+		assert.equal(verify('juno', createRequest({ 'x-juno-signature': sign() })).passed, true);
+		assert.equal(verify('bitso', createRequest({ 'x-bitso-signature': sign('bitso-secret') })).passed, true);
+	});
+
+	it('accepts the sha256= prefix', () => {
+		assert.equal(verify('juno', createRequest({ 'x-juno-signature': `sha256=${ sign() }` })).passed, true);
+	});
+
+	it('rejects the signature of the other provider', () => {
+		const { passed, response } = verify('bitso', createRequest({ 'x-bitso-signature': sign() }));
+
+		assert.equal(passed, false);
+		assert.equal(response.status, 401);
+	});
+
+	it('rejects a body changed after it was signed', () => {
+		const rawBody = Buffer.from(JSON.stringify({ ...body, payload: { ...body.payload, amount: '1000000' } }));
+
+		assert.equal(verify('juno', createRequest({ 'x-juno-signature': sign() }, rawBody)).passed, false);
+	});
+
+	it('rejects a request without signature, raw body or secret', () => {
+		assert.equal(verify('juno', createRequest({})).passed, false);
+		assert.equal(verify('juno', { ...createRequest({ 'x-juno-signature': sign() }), rawBody: undefined }).passed, false);
+
+		delete process.env.JUNO_WEBHOOK_SECRET;
+		assert.equal(verify('juno', createRequest({ 'x-juno-signature': sign() })).passed, false);
+	});
+
+	it('rejects a signature that is not hex', () => {
+		assert.equal(verify('juno', createRequest({ 'x-juno-signature': 'not a signature' })).passed, false);
+	});
+
+	it('refuses an unknown provider', () => {
+		assert.throws(() => verifyProviderSignature('stripe'), /Unknown webhook provider/);
+	});
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import verifyWahaSignature from '#middlewares/waha-signature.js';
+
+const secret = 'waha-secret';
+
+/**
+ * Builds a webhook request as the raw-body middleware leaves it.
+ * @param {Object} body - The JSON body.
+ * @param {Object|null} [headers=null] - The headers; a valid sha512 signature when null.
+ * @returns {Object}
+ */
+function createRequest(body, headers = null) {
+	const rawBody = Buffer.from(JSON.stringify(body));
+	const signed = headers || { 'x-webhook-hmac': createHmac('sha512', secret).update(rawBody).digest('hex') };
+
+	return { body, rawBody, ip: '127.0.0.1', get: name => signed[name.toLowerCase()] };
+}
+
+/**
+ * Runs the middleware.
+ * @param {Object} req - The request.
+ * @returns {{passed: boolean, response: ?Object}}
+ */
+function verify(req) {
+	const result = { passed: false, response: null };
+	const res = { respond: response => result.response = response };
+
+	verifyWahaSignature(req, res, () => result.passed = true);
+	return result;
+}
+
+beforeEach(() => {
+	process.env.WAHA_WEBHOOK_SECRET = secret;
+	mock.method(console, 'warn', () => {});
+});
+
+afterEach(() => {
+	delete process.env.WAHA_WEBHOOK_SECRET;
+	delete process.env.WAHA_WEBHOOK_TOLERANCE;
+	mock.restoreAll();
+});
+
+describe('verifyWahaSignature', () => {
+	it('accepts a recent event signed with the secret', () => {
+		assert.equal(verify(createRequest({ event: 'message', timestamp: Date.now() })).passed, true);
+	});
+
+	it('accepts a sha256 signature', () => {
+		const body = { event: 'message', timestamp: Date.now() };
+		const signature = createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+
+		const req = createRequest(body, { 'x-webhook-hmac': signature, 'x-webhook-hmac-algorithm': 'SHA256' });
+
+		assert.equal(verify(req).passed, true);
+	});
+
+	it('rejects a body changed after it was signed', () => {
+		const req = createRequest({ event: 'message', timestamp: Date.now(), payload: { body: 'hola' } });
+		req.rawBody = Buffer.from(req.rawBody.toString().replace('hola', 'adiós'));
+
+		const { passed, response } = verify(req);
+
+		assert.equal(passed, false);
+		assert.equal(response.status, 401);
+	});
+
+	it('checks the raw body, not the parsed one', () => {
+		// the same JSON with other spacing, as WAHA may send it
+		const body = { event: 'message', timestamp: Date.now() };
+		const rawBody = Buffer.from(JSON.stringify(body, null, 2));
+		const signature = createHmac('sha512', secret).update(rawBody).digest('hex');
+
+		const req = { ...createRequest(body, { 'x-webhook-hmac': signature }), rawBody };
+
+		assert.equal(verify(req).passed, true);
+	});
+
+	it('rejects a signature made with another secret', () => {
+		const body = { event: 'message', timestamp: Date.now() };
+		const signature = createHmac('sha512', 'other').update(JSON.stringify(body)).digest('hex');
+
+		assert.equal(verify(createRequest(body, { 'x-webhook-hmac': signature })).passed, false);
+	});
+
+	it('rejects a request without signature, raw body or secret', () => {
+		const body = { event: 'message', timestamp: Date.now() };
+
+		assert.equal(verify(createRequest(body, {})).passed, false);
+		assert.equal(verify({ ...createRequest(body), rawBody: undefined }).passed, false);
+
+		delete process.env.WAHA_WEBHOOK_SECRET;
+		assert.equal(verify(createRequest(body)).passed, false);
+	});
+
+	it('rejects an unsupported algorithm', () => {
+		const body = { event: 'message', timestamp: Date.now() };
+		const signature = createHmac('md5', secret).update(JSON.stringify(body)).digest('hex');
+
+		assert.equal(verify(createRequest(body, { 'x-webhook-hmac': signature, 'x-webhook-hmac-algorithm': 'md5' })).passed, false);
+	});
+
+	it('rejects a signed body without timestamp', () => {
+		assert.equal(verify(createRequest({ event: 'message' })).passed, false);
+	});
+
+	it('rejects a replayed event outside the tolerance', () => {
+		assert.equal(verify(createRequest({ event: 'message', timestamp: Date.now() - 301 * 1000 })).passed, false);
+		assert.equal(verify(createRequest({ event: 'message', timestamp: Date.now() + 301 * 1000 })).passed, false);
+
+		process.env.WAHA_WEBHOOK_TOLERANCE = '600';
+		assert.equal(verify(createRequest({ event: 'message', timestamp: Date.now() - 301 * 1000 })).passed, true);
+	});
+});
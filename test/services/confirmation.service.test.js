@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import ConfirmationService from '#services/confirmation.service.js';
+
+const user = { id: 1 };
+const idWa = '5215512345678@c.us';
+
+/**
+ * Creates an intent directly in the table.
+ * @param {Object} [data={}] - The fields that differ from a pending intent.
+ * @returns {Promise<Object>}
+ */
+function seedIntent(data = {}) {
+	return primate.prisma.transferIntent.create({
+		data: {
+			idUser: user.id,
+			idWa,
+			action: 'sendMoney',
+			args: { amount: 10 },
+			code: '123456',
+			expires: new Date(Date.now() + 60000),
+			...data,
+		},
+	});
+}
+
+beforeEach(() => {
+	primate.prisma = createPrisma({ transferIntent: { defaults: { status: 'Pending', codeAttempts: 0 } } });
+});
+
+afterEach(() => {
+	delete process.env.TRANSFER_CONFIRMATION_MODE;
+});
+
+describe('ConfirmationService.parseReply', () => {
+	const intent = { code: '123456' };
+
+	it('confirms with the code anywhere in the message', () => {
+		assert.equal(ConfirmationService.parseReply(intent, 'el código es 123456'), 'confirm');
+	});
+
+	it('accepts a plain yes without accents or punctuation', () => {
+		assert.equal(ConfirmationService.parseReply(intent, '¡Sí!'), 'confirm');
+		assert.equal(ConfirmationService.parseReply(intent, 'Confirmo'), 'confirm');
+	});
+
+	it('cancels with no', () => {
+		assert.equal(ConfirmationService.parseReply(intent, 'No'), 'cancel');
+		assert.equal(ConfirmationService.parseReply(intent, 'cancelar'), 'cancel');
+	});
+
+	it('ignores other messages and other codes', () => {
+		assert.equal(ConfirmationService.parseReply(intent, 'sí, pero a Juan'), null);
+		assert.equal(ConfirmationService.parseReply(intent, '654321'), null);
+		assert.equal(ConfirmationService.parseReply(intent, ''), null);
+	});
+
+	it('only accepts the code in code mode', () => {
+		process.env.TRANSFER_CONFIRMATION_MODE = 'code';
+
+		assert.equal(ConfirmationService.parseReply(intent, 'sí'), null);
+		assert.equal(ConfirmationService.parseReply(intent, '123456'), 'confirm');
+		assert.equal(ConfirmationService.parseReply(intent, 'no'), 'cancel');
+	});
+});
+
+describe('ConfirmationService.create', () => {
+	it('replaces the pending intent of the chat', async () => {
+		const first = await ConfirmationService.create(user, idWa, 'sendMoney', { amount: 10 });
+		const second = await ConfirmationService.create(user, idWa, 'sendMoney', { amount: 20 });
+
+		const stored = await primate.prisma.transferIntent.findUnique({ where: { id: first.id } });
+		assert.equal(stored.status, 'Cancelled');
+		assert.equal(second.status, 'Pending');
+		assert.match(second.code, /^\d{6}$/);
+	});
+
+	it('returns the pending intent of the same idempotency key', async () => {
+		const first = await ConfirmationService.create(user, idWa, 'sendMoney', { amount: 10 }, 'sendMoney:abc');
+		const again = await ConfirmationService.create(user, idWa, 'sendMoney', { amount: 10 }, 'sendMoney:abc');
+
+		assert.equal(again.id, first.id);
+		assert.equal(primate.prisma.transferIntent.rows.length, 1);
+	});
+});
+
+describe('ConfirmationService.claim', () => {
+	it('confirms an intent only once', async () => {
+		const intent = await seedIntent();
+
+		const results = await Promise.all([ ConfirmationService.claim(intent), ConfirmationService.claim(intent) ]);
+
+		assert.deepEqual(results.sort(), [ false, true ]);
+		assert.equal((await primate.prisma.transferIntent.findUnique({ where: { id: intent.id } })).status, 'Confirmed');
+	});
+
+	it('does not confirm an expired intent', async () => {
+		const intent = await seedIntent({ expires: new Date(Date.now() - 1000) });
+
+		assert.equal(await ConfirmationService.claim(intent), false);
+	});
+
+	it('does not confirm a cancelled intent', async () => {
+		const intent = await seedIntent({ status: 'Cancelled' });
+
+		assert.equal(await ConfirmationService.claim(intent), false);
+	});
+});
+
+describe('ConfirmationService.cancel', () => {
+	it('cancels a pending intent', async () => {
+		const intent = await seedIntent();
+
+		assert.equal(await ConfirmationService.cancel(intent), true);
+		assert.equal((await primate.prisma.transferIntent.findUnique({ where: { id: intent.id } })).status, 'Cancelled');
+	});
+
+	it('never overwrites an intent that was already confirmed', async () => {
+		const intent = await seedIntent();
+		await ConfirmationService.claim(intent);
+		await ConfirmationService.complete(intent, { idTransfer: 7 });
+
+		assert.equal(await ConfirmationService.cancel(intent), false);
+
+		const stored = await primate.prisma.transferIntent.findUnique({ where: { id: intent.id } });
+		assert.equal(stored.status, 'Confirmed');
+		assert.equal(stored.idTransfer, 7);
+	});
+});
+
+describe('ConfirmationService.findPending', () => {
+	it('returns the latest pending intent of the chat', async () => {
+		await seedIntent({ status: 'Cancelled' });
+		const pending = await seedIntent();
+
+		assert.equal((await ConfirmationService.findPending(idWa)).id, pending.id);
+	});
+
+	it('expires an intent past its window', async () => {
+		const intent = await seedIntent({ expires: new Date(Date.now() - 1000) });
+
+		const found = await ConfirmationService.findPending(idWa);
+
+		assert.equal(found.id, intent.id);
+		assert.equal(found.status, 'Expired');
+	});
+
+	it('returns null without a pending intent', async () => {
+		await seedIntent({ status: 'Confirmed' });
+
+		assert.equal(await ConfirmationService.findPending(idWa), null);
+	});
+});
+
+describe('ConfirmationService.redact', () => {
+	const intent = { code: '482913' };
+
+	it('hides the code of the confirmation instructions', () => {
+		const text = `Vas a enviar 10 MXNB a Ana. ${ ConfirmationService.describe(intent) }`;
+		const redacted = ConfirmationService.redact(text);
+
+		assert.doesNotMatch(redacted, /482913/);
+		assert.match(redacted, /Vas a enviar 10 MXNB a Ana\./);
+	});
+
+	it('hides the code in code mode too', () => {
+		process.env.TRANSFER_CONFIRMATION_MODE = 'code';
+
+		assert.doesNotMatch(ConfirmationService.redact(ConfirmationService.describe(intent)), /482913/);
+	});
+
+	it('leaves other messages untouched', () => {
+		assert.equal(ConfirmationService.redact('Tu saldo es de 482913 MXNB'), 'Tu saldo es de 482913 MXNB');
+		assert.equal(ConfirmationService.redact(null), '');
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import DedupService from '#services/dedup.service.js';
+
+const messageId = 'false_5215512345678@c.us_3EB0A1B2C3';
+
+beforeEach(() => {
+	primate.prisma = createPrisma({ processedMessage: { unique: [ [ 'messageId' ] ] } });
+});
+
+describe('DedupService.claim', () => {
+	it('lets the first delivery claim the message', async () => {
+		assert.equal(await DedupService.claim(messageId, { idWa: '5215512345678@c.us' }), true);
+
+		const [ record ] = primate.prisma.processedMessage.rows;
+		assert.equal(record.status, 'Processing');
+		assert.equal(record.idWa, '5215512345678@c.us');
+		assert.equal(record.event, 'message.any');
+	});
+
+	it('rejects a new delivery of a message being processed or processed', async () => {
+		await DedupService.claim(messageId);
+		assert.equal(await DedupService.claim(messageId), false);
+
+		await DedupService.markProcessed(messageId);
+		assert.equal(await DedupService.claim(messageId), false);
+	});
+
+	it('lets only one of the deliveries made at the same time claim the message', async () => {
+		const results = await Promise.all([ 1, 2, 3 ].map(() => DedupService.claim(messageId)));
+
+		assert.deepEqual(results.sort(), [ false, false, true ]);
+	});
+
+	it('lets one retry claim a message whose processing failed', async () => {
+		await DedupService.claim(messageId);
+		await DedupService.markFailed(messageId, 'OpenAI timeout');
+
+		const [ record ] = primate.prisma.processedMessage.rows;
+		assert.equal(record.status, 'Failed');
+		assert.equal(record.metas.error, 'OpenAI timeout');
+
+		const results = await Promise.all([ DedupService.claim(messageId), DedupService.claim(messageId) ]);
+
+		assert.deepEqual(results.sort(), [ false, true ]);
+		assert.equal(primate.prisma.processedMessage.rows[0].status, 'Processing');
+	});
+
+	it('claims every message on its own', async () => {
+		assert.equal(await DedupService.claim(messageId), true);
+		assert.equal(await DedupService.claim('false_5215512345678@c.us_3EB0D4E5F6'), true);
+	});
+
+	it('throws the errors that are not a duplicate', async () => {
+		primate.prisma.processedMessage.create = async () => {
+			throw Object.assign(new Error('Connection lost'), { code: 'P1001' });
+		};
+
+		await assert.rejects(DedupService.claim(messageId), /Connection lost/);
+	});
+});
@@ -0,0 +1,91 @@
+import { describe, it, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import JunoBitsoSandbox from '#services/juno-bitso-sandbox.service.js';
+
+// JunoBitsoService reads the environment when it is loaded
+process.env.JUNO_ENVIRONMENT = 'local';
+const { default: JunoBitsoService } = await import('#services/juno-bitso.service.js');
+
+// the client logs every request and answer
+mock.method(console, 'log', () => {});
+mock.method(console, 'error', () => {});
+
+const WALLET = '0x000000000000000000000000000000000000dEaD';
+
+/**
+ * Gets the MXNB balance of the Juno account through the API.
+ * @returns {Promise<number>}
+ */
+async function mxnbBalance() {
+	const { payload } = await JunoBitsoService.retrieveBalance();
+	return payload.balances.find(balance => balance.asset === 'mxnb').available;
+}
+
+describe('JunoBitsoService with the sandbox', () => {
+	let account;
+
+	beforeEach(() => {
+		JunoBitsoSandbox.reset();
+		account = JunoBitsoSandbox.registerBankAccount({ clabe: '002010077777777771', recipient_legal_name: 'Ana López' });
+	});
+
+	it('deposits MXN by SPEI, withdraws the MXNB to a wallet and redeems the rest', async () => {
+		assert.equal(JunoBitsoService.configured, true);
+
+		// deposit
+		const { payload: { clabe } } = await JunoBitsoService.createJunoClabe();
+		await JunoBitsoService.createMockDeposit({ amount: 1500, receiver_clabe: clabe, receiver_name: 'WAPA', sender_name: 'Ana López' });
+
+		const deposits = await JunoBitsoService.listJunoDeposits();
+		const [ deposit ] = deposits.payload.response;
+		assert.equal(deposit.receiver_clabe, clabe);
+		assert.equal(deposit.status, 'COMPLETE');
+		assert.equal(await mxnbBalance(), 1500);
+
+		// withdraw
+		const withdrawal = await JunoBitsoService.createJunoWithdrawal({ address: WALLET, amount: '1000', asset: 'MXNB', blockchain: 'ARBITRUM' }, 'deposit:1');
+		assert.equal(withdrawal.payload.status, 'COMPLETED');
+		assert.equal(await mxnbBalance(), 500);
+
+		// a retry with the same key does not withdraw again
+		const retry = await JunoBitsoService.createJunoWithdrawal({ address: WALLET, amount: '1000', asset: 'MXNB', blockchain: 'ARBITRUM' }, 'deposit:1');
+		assert.equal(retry.payload.id, withdrawal.payload.id);
+		assert.equal(await mxnbBalance(), 500);
+
+		// redeem
+		const redemption = await JunoBitsoService.redeemMxn({ amount: 500, destination_bank_account_id: account.id }, 'cashout:1');
+		const details = await JunoBitsoService.getTransactionDetails(redemption.payload.id);
+		assert.equal(details.payload.transaction_type, 'REDEMPTION');
+		assert.equal(details.payload.summary_status, 'COMPLETED');
+		assert.equal(details.payload.details.clabe, account.clabe);
+		assert.equal(await mxnbBalance(), 0);
+	});
+
+	it('keeps withdrawals and redemptions pending until they are settled', async () => {
+		JunoBitsoSandbox.reset({ juno: { mxnb: 800 }, autoSettle: false });
+		account = JunoBitsoSandbox.registerBankAccount({ clabe: '002010077777777771', recipient_legal_name: 'Ana López' });
+
+		const redemption = await JunoBitsoService.redeemMxn({ amount: 300, destination_bank_account_id: account.id }, 'cashout:2');
+		assert.equal(redemption.payload.status, 'PENDING');
+
+		JunoBitsoSandbox.settle(redemption.payload.id);
+		const paid = await JunoBitsoService.getTransactionDetails(redemption.payload.id);
+		assert.equal(paid.payload.summary_status, 'COMPLETED');
+		assert.equal(await mxnbBalance(), 500);
+
+		// a failed redemption returns the MXNB
+		const failed = await JunoBitsoService.redeemMxn({ amount: 200, destination_bank_account_id: account.id }, 'cashout:3');
+		JunoBitsoSandbox.settle(failed.payload.id, 'FAILED');
+		assert.equal(await mxnbBalance(), 500);
+	});
+
+	it('rejects a redemption to an account that is not registered', async () => {
+		JunoBitsoSandbox.reset({ juno: { mxnb: 100 } });
+
+		await assert.rejects(
+			JunoBitsoService.redeemMxn({ amount: 100, destination_bank_account_id: 'unknown' }),
+			/400 .*Destination bank account not found/,
+		);
+		assert.equal(await mxnbBalance(), 100);
+	});
+});
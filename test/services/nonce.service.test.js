@@ -0,0 +1,104 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import NonceService from '#services/nonce.service.js';
+
+const address = '0xAbC0000000000000000000000000000000000001';
+
+/**
+ * Creates a provider whose pending transaction count is a fixed number.
+ * @param {number} pending - The pending transaction count of the network.
+ * @returns {{getTransactionCount: Function}}
+ */
+function createProvider(pending) {
+	return { getTransactionCount: async () => pending };
+}
+
+beforeEach(() => {
+	NonceService.nonces.clear();
+});
+
+describe('NonceService.withNonce', () => {
+	it('gives consecutive nonces to sends made at the same time', async () => {
+		// the network does not see our pending transactions yet
+		const provider = createProvider(7);
+
+		const nonces = await Promise.all([ 1, 2, 3 ].map(() =>
+			NonceService.withNonce(provider, address, async nonce => nonce)));
+
+		assert.deepEqual(nonces, [ 7, 8, 9 ]);
+	});
+
+	it('runs one send at a time per address', async () => {
+		const provider = createProvider(0);
+		const events = [];
+
+		const send = name => NonceService.withNonce(provider, address, async nonce => {
+			events.push(`start ${ name }`);
+			await new Promise(resolve => setTimeout(resolve, 5));
+			events.push(`end ${ name }`);
+			return nonce;
+		});
+
+		await Promise.all([ send('a'), send('b') ]);
+
+		assert.deepEqual(events, [ 'start a', 'end a', 'start b', 'end b' ]);
+	});
+
+	it('does not hold the sends of other addresses', async () => {
+		const provider = createProvider(0);
+		let release;
+
+		const slow = NonceService.withNonce(provider, address, () => new Promise(resolve => release = resolve));
+		const other = await NonceService.withNonce(provider, '0x0000000000000000000000000000000000000002', async nonce => nonce);
+
+		assert.equal(other, 0);
+		release();
+		await slow;
+	});
+
+	it('takes the address case-insensitively', async () => {
+		const provider = createProvider(0);
+
+		await NonceService.withNonce(provider, address, async nonce => nonce);
+		const next = await NonceService.withNonce(provider, address.toLowerCase(), async nonce => nonce);
+
+		assert.equal(next, 1);
+	});
+
+	it('does not consume the nonce of a send that throws', async () => {
+		const provider = createProvider(3);
+
+		await assert.rejects(NonceService.withNonce(provider, address, async () => {
+			throw new Error('nonce too low');
+		}));
+
+		assert.equal(await NonceService.withNonce(provider, address, async nonce => nonce), 3);
+	});
+
+	it('releases the lock after a send that throws', async () => {
+		const provider = createProvider(0);
+
+		const failed = NonceService.withNonce(provider, address, async () => {
+			throw new Error('rejected');
+		});
+		const next = NonceService.withNonce(provider, address, async nonce => nonce);
+
+		await assert.rejects(failed);
+		assert.equal(await next, 0);
+	});
+
+	it('follows the network when it is ahead', async () => {
+		await NonceService.withNonce(createProvider(2), address, async nonce => nonce);
+
+		// another process sent from the same address
+		assert.equal(await NonceService.withNonce(createProvider(10), address, async nonce => nonce), 10);
+	});
+
+	it('reads the nonce from the network again after a reset', async () => {
+		await NonceService.withNonce(createProvider(5), address, async nonce => nonce);
+		NonceService.reset(address);
+
+		// a dropped transaction gave its nonce back
+		assert.equal(await NonceService.withNonce(createProvider(5), address, async nonce => nonce), 5);
+	});
+});
@@ -0,0 +1,92 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import ProviderEventService from '#services/provider-event.service.js';
+
+beforeEach(() => {
+	primate.prisma = createPrisma({ providerEvent: { unique: [ [ 'provider', 'eventId' ] ], defaults: { attempts: 0 } } });
+	ProviderEventService.register('juno', 'deposit', async () => ({ message: 'Deposit recorded' }));
+});
+
+afterEach(() => {
+	ProviderEventService.handlers.clear();
+});
+
+describe('ProviderEventService.normalize', () => {
+	it('keeps the ID sent by the provider', () => {
+		const { eventId, type, objectId } = ProviderEventService.normalize({ type: 'DEPOSIT', id: 'evt_1', data: { deposit_id: 'dep_1' } });
+
+		assert.equal(eventId, 'evt_1');
+		assert.equal(type, 'deposit');
+		assert.equal(objectId, 'dep_1');
+	});
+
+	it('builds the ID from the type, object and status when the provider sends none', () => {
+		const { eventId } = ProviderEventService.normalize({ event: 'funding', payload: { fid: 'f1', status: 'complete' } });
+
+		assert.equal(eventId, 'funding:f1:complete');
+	});
+});
+
+describe('ProviderEventService.receive', () => {
+	it('stores and queues a new event once', async () => {
+		const body = { event: 'deposit', id: 'evt_1', payload: { deposit_id: 'dep_1', status: 'complete' } };
+
+		const first = await ProviderEventService.receive('juno', body);
+		const replay = await ProviderEventService.receive('juno', body);
+
+		assert.equal(first.duplicate, false);
+		assert.equal(first.event.status, 'Received');
+		assert.equal(replay.duplicate, true);
+		assert.equal(replay.event.id, first.event.id);
+		assert.equal(primate.prisma.job.rows.length, 1);
+		assert.equal(primate.prisma.job.rows[0].orderKey, 'provider:juno:dep_1');
+	});
+
+	it('takes a replayed event without ID as a duplicate', async () => {
+		const pending = { event: 'deposit', payload: { deposit_id: 'dep_1', status: 'pending' } };
+		const complete = { event: 'deposit', payload: { deposit_id: 'dep_1', status: 'complete' } };
+
+		await ProviderEventService.receive('juno', pending);
+		await ProviderEventService.receive('juno', complete);
+
+		// the first notification sent again after the deposit completed
+		const replay = await ProviderEventService.receive('juno', pending);
+
+		assert.equal(replay.duplicate, true);
+		assert.equal(primate.prisma.providerEvent.rows.length, 2);
+		assert.equal(primate.prisma.job.rows.length, 2);
+	});
+
+	it('keeps the events of each provider apart', async () => {
+		const body = { event: 'deposit', id: 'evt_1', payload: {} };
+
+		await ProviderEventService.receive('juno', body);
+		const other = await ProviderEventService.receive('bitso', body);
+
+		assert.equal(other.duplicate, false);
+		assert.equal(other.event.status, 'Ignored');
+	});
+
+	it('refuses a body without type', async () => {
+		await assert.rejects(ProviderEventService.receive('juno', { id: 'evt_1' }), /Event type not found/);
+	});
+});
+
+describe('ProviderEventService.process', () => {
+	it('does not run an event that was already processed', async () => {
+		let runs = 0;
+		ProviderEventService.register('juno', 'deposit', async () => {
+			runs++;
+		});
+
+		const { event } = await ProviderEventService.receive('juno', { event: 'deposit', id: 'evt_1', payload: {} });
+
+		await ProviderEventService.process({ idEvent: event.id });
+		await ProviderEventService.process({ idEvent: event.id });
+
+		assert.equal(runs, 1);
+		assert.equal((await primate.prisma.providerEvent.findUnique({ where: { id: event.id } })).status, 'Processed');
+	});
+});
@@ -0,0 +1,181 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import QueueService from '#services/queue.service.js';
+
+/**
+ * Runs one tick of the worker and waits until it finishes.
+ * The in-memory Prisma never waits on timers, so the tick is over once the pending callbacks ran.
+ * @returns {Promise<void>}
+ */
+async function poll() {
+	mock.timers.tick(1000);
+	await new Promise(resolve => setImmediate(resolve));
+}
+
+/**
+ * Gets a job as stored.
+ * @param {number} id - The ID of the job.
+ * @returns {Promise<Object>}
+ */
+function findJob(id) {
+	return primate.prisma.job.findUnique({ where: { id } });
+}
+
+beforeEach(() => {
+	process.env.QUEUE_POLL_INTERVAL = '1000';
+	process.env.QUEUE_BACKOFF_BASE = '1000';
+
+	primate.prisma = createPrisma({ job: { defaults: { status: 'Pending', attempts: 0 } } });
+
+	mock.timers.enable({ apis: [ 'setInterval' ] });
+	QueueService.start();
+});
+
+afterEach(() => {
+	QueueService.stop();
+	QueueService.handlers.clear();
+	mock.timers.reset();
+	mock.restoreAll();
+
+	delete process.env.QUEUE_POLL_INTERVAL;
+	delete process.env.QUEUE_BACKOFF_BASE;
+});
+
+describe('QueueService', () => {
+	it('runs a due job with its payload', async () => {
+		const handler = mock.fn(async () => {});
+		QueueService.register('greet', handler);
+		const job = await QueueService.enqueue('greet', { name: 'Ana' });
+
+		await poll();
+
+		assert.deepEqual(handler.mock.calls[0].arguments[0], { name: 'Ana' });
+
+		const stored = await findJob(job.id);
+		assert.equal(stored.status, 'Completed');
+		assert.equal(stored.attempts, 1);
+		assert.equal(stored.lockedBy, null);
+	});
+
+	it('does not run a job before its date', async () => {
+		const handler = mock.fn(async () => {});
+		QueueService.register('greet', handler);
+		await QueueService.enqueue('greet', {}, { runAt: new Date(Date.now() + 60000) });
+
+		await poll();
+
+		assert.equal(handler.mock.callCount(), 0);
+	});
+
+	it('retries a failed job with exponential backoff', async () => {
+		QueueService.register('flaky', async () => {
+			throw new Error('provider down');
+		});
+		const job = await QueueService.enqueue('flaky', {});
+
+		await poll();
+
+		let stored = await findJob(job.id);
+		assert.equal(stored.status, 'Pending');
+		assert.equal(stored.attempts, 1);
+		assert.equal(stored.lastError, 'provider down');
+		assert.ok(stored.runAt - Date.now() > 500 && stored.runAt - Date.now() <= 1000);
+
+		// due again
+		primate.prisma.job.rows[0].runAt = new Date();
+		await poll();
+
+		stored = await findJob(job.id);
+		assert.equal(stored.attempts, 2);
+		assert.ok(stored.runAt - Date.now() > 1500 && stored.runAt - Date.now() <= 2000);
+	});
+
+	it('moves a job to the dead letter table once it exhausts its attempts', async () => {
+		const onDead = mock.fn(async () => {});
+		QueueService.register('flaky', async () => {
+			throw new Error('provider down');
+		}, { onDead });
+		const job = await QueueService.enqueue('flaky', { id: 7 }, { key: 'chat:1', maxAttempts: 2 });
+
+		await poll();
+		primate.prisma.job.rows[0].runAt = new Date();
+		await poll();
+
+		const stored = await findJob(job.id);
+		assert.equal(stored.status, 'Dead');
+		assert.equal(stored.attempts, 2);
+
+		const [ dead ] = primate.prisma.deadLetter.rows;
+		assert.equal(dead.idJob, job.id);
+		assert.equal(dead.orderKey, 'chat:1');
+		assert.deepEqual(dead.payload, { id: 7 });
+		assert.equal(dead.error, 'provider down');
+
+		const [ payload, , error ] = onDead.mock.calls[0].arguments;
+		assert.deepEqual(payload, { id: 7 });
+		assert.equal(error.message, 'provider down');
+	});
+
+	it('dead-letters a job without a handler at once', async () => {
+		const job = await QueueService.enqueue('unknown', {});
+
+		await poll();
+
+		assert.equal((await findJob(job.id)).status, 'Dead');
+		assert.match(primate.prisma.deadLetter.rows[0].error, /No handler registered/);
+	});
+
+	it('runs the jobs of an order key one at a time, in order', async () => {
+		const runs = [];
+		QueueService.register('message', async payload => runs.push(payload.text));
+
+		await QueueService.enqueue('message', { text: 'first' }, { key: 'chat:1' });
+		await QueueService.enqueue('message', { text: 'second' }, { key: 'chat:1' });
+		await QueueService.enqueue('message', { text: 'other chat' }, { key: 'chat:2' });
+
+		await poll();
+		assert.deepEqual(runs, [ 'first', 'other chat' ]);
+
+		await poll();
+		assert.deepEqual(runs, [ 'first', 'other chat', 'second' ]);
+	});
+
+	it('holds the jobs of an order key while an older one waits for its retry', async () => {
+		const runs = [];
+		let fail = true;
+
+		QueueService.register('message', async payload => {
+			if(payload.text === 'first' && fail) throw new Error('provider down');
+			runs.push(payload.text);
+		});
+
+		await QueueService.enqueue('message', { text: 'first' }, { key: 'chat:1' });
+		await QueueService.enqueue('message', { text: 'second' }, { key: 'chat:1' });
+
+		await poll();
+		await poll();
+		assert.deepEqual(runs, []);
+
+		fail = false;
+		primate.prisma.job.rows[0].runAt = new Date();
+
+		await poll();
+		await poll();
+		assert.deepEqual(runs, [ 'first', 'second' ]);
+	});
+
+	it('puts back the jobs of a worker that stopped while running them', async () => {
+		const handler = mock.fn(async () => {});
+		QueueService.register('greet', handler);
+		const job = await QueueService.enqueue('greet', {});
+
+		Object.assign(primate.prisma.job.rows[0], { status: 'Processing', lockedBy: 'gone:1', lockedAt: new Date(Date.now() - 10 * 60 * 1000) });
+
+		await poll();
+
+		assert.equal(handler.mock.callCount(), 1);
+		assert.equal((await findJob(job.id)).status, 'Completed');
+	});
+});
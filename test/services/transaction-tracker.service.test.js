@@ -0,0 +1,226 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ethers } from 'ethers';
+import primate from '@thewebchimp/primate';
+import { createPrisma } from '../support/prisma.js';
+import CryptoService from '#services/crypto.service.js';
+import NonceService from '#services/nonce.service.js';
+import AlertService from '#services/alert.service.js';
+import TransactionTrackerService from '#services/transaction-tracker.service.js';
+
+const from = '0x1111111111111111111111111111111111111111';
+const provider = CryptoService.provider;
+
+/**
+ * The state of the network seen by the tracker.
+ * @type {{receipts: Map<string, Object>, mined: number, gasPrice: number}}
+ */
+let network;
+
+/**
+ * Stores a transaction broadcast some seconds ago.
+ * @param {number} [age=0] - Seconds since it was broadcast.
+ * @param {Object} [data={}] - The fields that differ from a transfer with nonce 5.
+ * @returns {Promise<Object>}
+ */
+function seedTransaction(age = 0, data = {}) {
+	return primate.prisma.chainTransaction.create({
+		data: {
+			hash: '0xoriginal',
+			fromAddress: from,
+			toAddress: '0x2222222222222222222222222222222222222222',
+			nonce: 5,
+			data: '0x',
+			value: '0',
+			gasLimit: '100000',
+			gasPrice: '1000',
+			kind: 'transfer',
+			referenceId: 1,
+			broadcasted: new Date(Date.now() - age * 1000),
+			metas: { hashes: [ '0xoriginal' ] },
+			...data,
+		},
+	});
+}
+
+/**
+ * Records the receipt of a mined broadcast.
+ * @param {string} hash - The hash of the broadcast.
+ * @param {number} [status=1] - 1 if it succeeded, 0 if it reverted.
+ */
+function mine(hash, status = 1) {
+	network.receipts.set(hash, { transactionHash: hash, blockNumber: 100, status, gasUsed: { toString: () => '21000' } });
+	network.mined = 6;
+}
+
+beforeEach(async () => {
+	primate.prisma = createPrisma({ chainTransaction: { defaults: { status: 'Pending', replacements: 0 } } });
+	await primate.prisma.wallet.create({ data: { address: from } });
+
+	network = { receipts: new Map(), mined: 5, gasPrice: 500 };
+
+	CryptoService.provider = {
+		getTransactionReceipt: async hash => network.receipts.get(hash) || null,
+		getTransactionCount: async () => network.mined,
+		getGasPrice: async () => ethers.BigNumber.from(network.gasPrice),
+	};
+
+	mock.method(CryptoService, 'replaceTransaction', async () => ({ hash: '0xreplacement' }));
+	mock.method(AlertService, 'notify', async () => {});
+});
+
+afterEach(() => {
+	CryptoService.provider = provider;
+	mock.restoreAll();
+});
+
+describe('TransactionTrackerService.check', () => {
+	it('confirms a mined transaction and queues its handlers', async () => {
+		const record = await seedTransaction();
+		mine('0xoriginal');
+
+		const settled = await TransactionTrackerService.check(record);
+
+		assert.equal(settled.status, 'Confirmed');
+		assert.equal(settled.blockNumber, 100);
+
+		const [ job ] = primate.prisma.job.rows;
+		assert.equal(job.queue, 'transaction.settled');
+		assert.deepEqual(job.payload, { idTransaction: record.id });
+		assert.equal(job.orderKey, 'transaction:transfer:1');
+	});
+
+	it('fails a reverted transaction', async () => {
+		const record = await seedTransaction();
+		mine('0xoriginal', 0);
+
+		const settled = await TransactionTrackerService.check(record);
+
+		assert.equal(settled.status, 'Failed');
+		assert.equal(settled.metas.reason, 'Reverted');
+	});
+
+	it('settles a transaction only once', async () => {
+		const record = await seedTransaction();
+		mine('0xoriginal');
+
+		await Promise.all([ TransactionTrackerService.check(record), TransactionTrackerService.check(record) ]);
+
+		assert.equal(primate.prisma.job.rows.length, 1);
+	});
+
+	it('waits for a recent transaction', async () => {
+		const record = await seedTransaction(10);
+
+		const checked = await TransactionTrackerService.check(record);
+
+		assert.equal(checked.status, 'Pending');
+		assert.equal(CryptoService.replaceTransaction.mock.callCount(), 0);
+	});
+
+	it('replaces a stuck transaction with the same nonce and more gas', async () => {
+		const record = await seedTransaction(300);
+
+		const replaced = await TransactionTrackerService.check(record);
+
+		const [ wallet, request, gasPrice ] = CryptoService.replaceTransaction.mock.calls[0].arguments;
+		assert.equal(wallet.address, from);
+		assert.equal(request.nonce, 5);
+		assert.equal(request.data, '0x');
+		assert.equal(gasPrice.toString(), '1250');
+
+		assert.equal(replaced.status, 'Pending');
+		assert.equal(replaced.hash, '0xreplacement');
+		assert.equal(replaced.replacements, 1);
+		assert.deepEqual(replaced.metas.hashes, [ '0xoriginal', '0xreplacement' ]);
+	});
+
+	it('pays the gas price of the network when it is above the bump', async () => {
+		network.gasPrice = 5000;
+		const record = await seedTransaction(300);
+
+		await TransactionTrackerService.check(record);
+
+		assert.equal(CryptoService.replaceTransaction.mock.calls[0].arguments[2].toString(), '5000');
+	});
+
+	it('confirms the original when it is mined after being replaced', async () => {
+		const record = await TransactionTrackerService.check(await seedTransaction(300));
+		mine('0xoriginal');
+
+		const settled = await TransactionTrackerService.check(record);
+
+		assert.equal(settled.status, 'Confirmed');
+		assert.equal(settled.hash, '0xoriginal');
+	});
+
+	it('confirms the replacement with its own hash', async () => {
+		const record = await TransactionTrackerService.check(await seedTransaction(300));
+		mine('0xreplacement');
+
+		const settled = await TransactionTrackerService.check(record);
+
+		assert.equal(settled.status, 'Confirmed');
+		assert.equal(settled.hash, '0xreplacement');
+	});
+
+	it('keeps the transaction when the replacement is refused', async () => {
+		CryptoService.replaceTransaction.mock.mockImplementation(async () => {
+			throw new Error('replacement transaction underpriced');
+		});
+		const record = await seedTransaction(300);
+
+		const checked = await TransactionTrackerService.check(record);
+
+		assert.equal(checked.hash, '0xoriginal');
+		assert.equal(checked.replacements, 0);
+	});
+
+	it('alerts once about a transaction that cannot be replaced again', async () => {
+		let record = await seedTransaction(300, { replacements: 3 });
+
+		record = await TransactionTrackerService.check(record);
+		await TransactionTrackerService.check(record);
+
+		assert.equal(CryptoService.replaceTransaction.mock.callCount(), 0);
+		assert.equal(AlertService.notify.mock.callCount(), 1);
+	});
+
+	it('drops a transaction only after its nonce was used for a while without a receipt', async () => {
+		NonceService.nonces.set(from.toLowerCase(), 6);
+		network.mined = 6;
+
+		let record = await TransactionTrackerService.check(await seedTransaction());
+		assert.equal(record.status, 'Pending');
+		assert.ok(record.metas.nonceConsumedAt);
+
+		record = await TransactionTrackerService.check(record);
+		assert.equal(record.status, 'Pending');
+
+		// TX_DROP_AFTER (60 seconds) later
+		record.metas.nonceConsumedAt = new Date(Date.now() - 61000).toISOString();
+		record = await TransactionTrackerService.check(record);
+
+		assert.equal(record.status, 'Failed');
+		assert.equal(record.metas.reason, 'Dropped');
+		assert.equal(NonceService.nonces.has(from.toLowerCase()), false);
+	});
+});
+
+describe('TransactionTrackerService.settle', () => {
+	afterEach(() => {
+		TransactionTrackerService.handlers.delete('transfer');
+	});
+
+	it('runs the handler of the status of the transaction', async () => {
+		const onConfirmed = mock.fn();
+		const onFailed = mock.fn();
+		TransactionTrackerService.register('transfer', { onConfirmed, onFailed });
+
+		const record = await seedTransaction(0, { status: 'Failed' });
+		await TransactionTrackerService.settle({ idTransaction: record.id });
+
+		assert.equal(onConfirmed.mock.callCount(), 0);
+		assert.equal(onFailed.mock.calls[0].arguments[0].id, record.id);
+	});
+});
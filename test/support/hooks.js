@@ -0,0 +1,10 @@
+/**
+ * Module hooks of the tests: Primate is replaced by the double of primate.js, so the services run
+ * against the in-memory Prisma client instead of MySQL.
+ */
+const PRIMATE = new URL('./primate.js', import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+	if(specifier === '@thewebchimp/primate') return { url: PRIMATE, shortCircuit: true };
+	return nextResolve(specifier, context);
+}
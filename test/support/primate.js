@@ -0,0 +1,16 @@
+import { createPrisma } from './prisma.js';
+
+/**
+ * Test double of Primate: the services only use `primate.prisma`, which tests replace with
+ * a fresh in-memory client (see prisma.js) before each case.
+ */
+const primate = {
+	prisma: createPrisma(),
+};
+
+// named exports imported by modules loaded in the tests, not used by the code under test
+export const jwt = {};
+export class PrimateService {}
+export class PrimateController {}
+
+export default primate;
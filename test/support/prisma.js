@@ -0,0 +1,272 @@
+/**
+ * In-memory stand-in of the Prisma client, enough for the queries of the services under test:
+ * create, find (with orderBy, distinct, skip and take), count, update, delete and groupBy with the
+ * scalar filters (equals, not, in, notIn, lt, lte, gt, gte, contains), AND / OR / NOT, increments and
+ * unique constraints (P2002).
+ *
+ * Every model is a plain array of rows, exposed as `prisma.<model>.rows` so tests can seed and inspect it.
+ */
+
+/**
+ * Builds a Prisma-like error.
+ * @param {string} code - The Prisma error code.
+ * @param {string} message - The message.
+ * @returns {Error}
+ */
+function prismaError(code, message) {
+	return Object.assign(new Error(message), { code });
+}
+
+/**
+ * Normalizes a value for comparisons: dates by time, decimals and numbers by their text.
+ * @param {*} value
+ * @returns {*}
+ */
+function comparable(value) {
+	if(value instanceof Date) return value.getTime();
+	return value;
+}
+
+function equals(a, b) {
+	if(a == null || b == null) return a == null && b == null;
+	if(a instanceof Date || b instanceof Date) return comparable(a) === comparable(b);
+	return String(a) === String(b);
+}
+
+function compare(a, b) {
+	const left = comparable(a);
+	const right = comparable(b);
+
+	if(!Number.isNaN(Number(left)) && !Number.isNaN(Number(right))) return Number(left) - Number(right);
+	return String(left).localeCompare(String(right));
+}
+
+/**
+ * Whether a value satisfies a scalar filter.
+ * @param {*} value - The value of the row.
+ * @param {*} filter - A value or an object of operators.
+ * @returns {boolean}
+ */
+function matchesFilter(value, filter) {
+	if(filter === null || typeof filter !== 'object' || filter instanceof Date) return equals(value, filter);
+
+	return Object.entries(filter).every(([ operator, operand ]) => {
+		if(operand === undefined) return true;
+
+		switch(operator) {
+			case 'equals': return equals(value, operand);
+			case 'not': return !matchesFilter(value, operand);
+			case 'in': return operand.some(item => equals(value, item));
+			case 'notIn': return !operand.some(item => equals(value, item));
+			case 'lt': return value != null && compare(value, operand) < 0;
+			case 'lte': return value != null && compare(value, operand) <= 0;
+			case 'gt': return value != null && compare(value, operand) > 0;
+			case 'gte': return value != null && compare(value, operand) >= 0;
+			case 'contains': return String(value ?? '').includes(operand);
+			default: throw new Error(`Filter ${ operator } is not supported by the test Prisma`);
+		}
+	});
+}
+
+/**
+ * Whether a row satisfies a where clause.
+ * @param {Object} row
+ * @param {Object} [where={}]
+ * @returns {boolean}
+ */
+function matches(row, where = {}) {
+	return Object.entries(where).every(([ key, filter ]) => {
+		if(filter === undefined) return true;
+		if(key === 'AND') return [].concat(filter).every(item => matches(row, item));
+		if(key === 'OR') return filter.some(item => matches(row, item));
+		if(key === 'NOT') return ![].concat(filter).some(item => matches(row, item));
+
+		// compound unique keys: { idUser_idWa: { idUser, idWa } }
+		if(!(key in row) && key.includes('_') && filter && typeof filter === 'object') return matches(row, filter);
+
+		return matchesFilter(row[key], filter);
+	});
+}
+
+/**
+ * Applies the data of an update to a row, with increment and decrement.
+ * @param {Object} row
+ * @param {Object} data
+ * @returns {Object} - The updated copy.
+ */
+function applyData(row, data = {}) {
+	const next = { ...row };
+
+	for(const [ key, value ] of Object.entries(data)) {
+		if(value === undefined) continue;
+
+		if(value && typeof value === 'object' && 'increment' in value) next[key] = Number(next[key] || 0) + value.increment;
+		else if(value && typeof value === 'object' && 'decrement' in value) next[key] = Number(next[key] || 0) - value.decrement;
+		else if(value && typeof value === 'object' && 'set' in value) next[key] = value.set;
+		else next[key] = value;
+	}
+
+	next.modified = new Date();
+	return next;
+}
+
+function sort(rows, orderBy) {
+	const orders = [].concat(orderBy).flatMap(order => Object.entries(order));
+
+	return [ ...rows ].sort((a, b) => {
+		for(const [ key, direction ] of orders) {
+			const result = compare(a[key], b[key]);
+			if(result) return direction === 'desc' ? -result : result;
+		}
+
+		return 0;
+	});
+}
+
+/**
+ * Creates the delegate of a model.
+ * @param {Object} options
+ * @param {Array<string[]>} [options.unique=[]] - The unique field sets besides the id.
+ * @param {Object} [options.defaults={}] - The default values of new rows.
+ * @returns {Object}
+ */
+function createModel({ unique = [], defaults = {} } = {}) {
+	const rows = [];
+	let sequence = 0;
+
+	const checkUnique = (candidate, self = null) => {
+		for(const fields of [ [ 'id' ], ...unique ]) {
+			if(fields.some(field => candidate[field] == null)) continue;
+
+			const taken = rows.some(row => row !== self && fields.every(field => equals(row[field], candidate[field])));
+			if(taken) throw prismaError('P2002', `Unique constraint failed on the fields: (${ fields.join(', ') })`);
+		}
+	};
+
+	const find = ({ where, orderBy, distinct, skip = 0, take } = {}) => {
+		let result = rows.filter(row => matches(row, where));
+		if(orderBy) result = sort(result, orderBy);
+
+		if(distinct) {
+			const seen = new Set();
+			result = result.filter(row => {
+				const key = JSON.stringify(distinct.map(field => row[field]));
+				return !seen.has(key) && seen.add(key);
+			});
+		}
+
+		result = result.slice(skip, take === undefined ? undefined : skip + take);
+		return result.map(row => structuredClone(row));
+	};
+
+	const findRow = where => {
+		const row = rows.find(item => matches(item, where));
+		if(!row) throw prismaError('P2025', 'Record to update not found.');
+		return row;
+	};
+
+	return {
+		rows,
+
+		async create({ data }) {
+			const now = new Date();
+			const row = applyData({ metas: {}, created: now, ...defaults }, data);
+			row.id ??= ++sequence;
+			sequence = Math.max(sequence, row.id);
+
+			checkUnique(row);
+			rows.push(row);
+			return structuredClone(row);
+		},
+
+		async findUnique({ where }) {
+			return find({ where })[0] ?? null;
+		},
+
+		async findFirst(args = {}) {
+			return find(args)[0] ?? null;
+		},
+
+		async findMany(args = {}) {
+			return find(args);
+		},
+
+		async count({ where } = {}) {
+			return rows.filter(row => matches(row, where)).length;
+		},
+
+		async update({ where, data }) {
+			const row = findRow(where);
+			const next = applyData(row, data);
+			checkUnique(next, row);
+			Object.assign(row, next);
+			return structuredClone(row);
+		},
+
+		async updateMany({ where, data }) {
+			const targets = rows.filter(row => matches(row, where));
+
+			for(const row of targets) {
+				const next = applyData(row, data);
+				checkUnique(next, row);
+				Object.assign(row, next);
+			}
+
+			return { count: targets.length };
+		},
+
+		async delete({ where }) {
+			const row = findRow(where);
+			rows.splice(rows.indexOf(row), 1);
+			return structuredClone(row);
+		},
+
+		async deleteMany({ where } = {}) {
+			const targets = rows.filter(row => matches(row, where));
+			for(const row of targets) rows.splice(rows.indexOf(row), 1);
+			return { count: targets.length };
+		},
+
+		async groupBy({ by, where, _sum = {} }) {
+			const groups = new Map();
+
+			for(const row of rows.filter(item => matches(item, where))) {
+				const key = JSON.stringify(by.map(field => row[field]));
+				if(!groups.has(key)) groups.set(key, { ...Object.fromEntries(by.map(field => [ field, row[field] ])), _sum: {} });
+
+				const group = groups.get(key);
+				for(const field of Object.keys(_sum)) group._sum[field] = (group._sum[field] || 0) + Number(row[field] || 0);
+			}
+
+			return [ ...groups.values() ];
+		},
+	};
+}
+
+/**
+ * Creates an in-memory Prisma client.
+ *
+ * @param {Object<string, {unique?: Array<string[]>, defaults?: Object}>} [models={}] - The options of each
+ * model; models not listed are created on first use without constraints.
+ * @returns {Object}
+ */
+function createPrisma(models = {}) {
+	const delegates = new Map();
+
+	const prisma = new Proxy({}, {
+		get(target, name) {
+			if(name === '$transaction') {
+				return async arg => Array.isArray(arg) ? Promise.all(arg) : arg(prisma);
+			}
+
+			if(typeof name !== 'string' || name.startsWith('$') || name === 'then') return undefined;
+
+			if(!delegates.has(name)) delegates.set(name, createModel(models[name]));
+			return delegates.get(name);
+		},
+	});
+
+	return prisma;
+}
+
+export { createPrisma };
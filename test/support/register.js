@@ -0,0 +1,4 @@
+import { register } from 'node:module';
+
+// loaded with --import before the tests, see package.json
+register('./hooks.js', import.meta.url);
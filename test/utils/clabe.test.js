@@ -0,0 +1,57 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseClabe, isValidClabe, buildClabe, maskClabe } from '#utils/clabe.js';
+
+describe('parseClabe', () => {
+	it('parses a valid CLABE with its bank', () => {
+		assert.deepEqual(parseClabe('002010077777777771'), { clabe: '002010077777777771', bankCode: '002', bankName: 'Banamex' });
+	});
+
+	it('accepts spaces and dashes', () => {
+		assert.equal(parseClabe('646 180 11040000000-7')?.clabe, '646180110400000007');
+	});
+
+	it('leaves the name of unknown banks empty', () => {
+		const clabe = buildClabe('99918011040000000');
+		assert.equal(parseClabe(clabe).bankName, null);
+	});
+
+	it('rejects a wrong check digit', () => {
+		assert.equal(parseClabe('002010077777777772'), null);
+	});
+
+	it('rejects values that are not 18 digits', () => {
+		assert.equal(parseClabe('00201007777777777'), null);
+		assert.equal(parseClabe('00201007777777777a'), null);
+		assert.equal(parseClabe(''), null);
+		assert.equal(parseClabe(null), null);
+	});
+});
+
+describe('isValidClabe', () => {
+	it('tells valid and invalid CLABEs apart', () => {
+		assert.equal(isValidClabe('646180110400000007'), true);
+		assert.equal(isValidClabe('646180110400000008'), false);
+	});
+});
+
+describe('buildClabe', () => {
+	it('completes the check digit', () => {
+		assert.equal(buildClabe('64618011040000000'), '646180110400000007');
+		assert.equal(buildClabe('00201007777777777'), '002010077777777771');
+	});
+
+	it('builds CLABEs that parse back', () => {
+		assert.equal(isValidClabe(buildClabe('01218000123456789')), true);
+	});
+
+	it('requires 17 digits', () => {
+		assert.throws(() => buildClabe('6461801104000000'), /17 digits/);
+	});
+});
+
+describe('maskClabe', () => {
+	it('shows only the last four digits', () => {
+		assert.equal(maskClabe('646180110400000007'), '****0007');
+	});
+});
@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePhone, isLid, normalizeWaId, waIdVariants } from '#utils/phone.js';
+
+describe('parsePhone', () => {
+	it('takes ten digit numbers as Mexican mobiles', () => {
+		assert.deepEqual(parsePhone('55 1234 5678'), { countryCode: '52', national: '5512345678', e164: '+5215512345678' });
+	});
+
+	it('adds the WhatsApp "1" to Mexican numbers written without it', () => {
+		assert.equal(parsePhone('+52 55 1234 5678').e164, '+5215512345678');
+		assert.equal(parsePhone('+521 55 1234 5678').e164, '+5215512345678');
+	});
+
+	it('converts the old 044 and 045 prefixes', () => {
+		assert.equal(parsePhone('044 55 1234 5678').e164, '+5215512345678');
+		assert.equal(parsePhone('045 33 1234 5678').e164, '+5213312345678');
+	});
+
+	it('reads the North American plan', () => {
+		assert.deepEqual(parsePhone('+1 (415) 555-0100'), { countryCode: '1', national: '4155550100', e164: '+14155550100' });
+	});
+
+	it('keeps other international numbers', () => {
+		assert.deepEqual(parsePhone('0034 612 345 678'), { countryCode: null, national: null, e164: '+34612345678' });
+	});
+
+	it('rejects invalid numbers', () => {
+		assert.equal(parsePhone('12345'), null);
+		assert.equal(parsePhone('+52 55 1234'), null);
+		assert.equal(parsePhone(''), null);
+	});
+});
+
+describe('isLid', () => {
+	it('detects linked device IDs', () => {
+		assert.equal(isLid('123456789@lid'), true);
+		assert.equal(isLid('5215512345678@c.us'), false);
+		assert.equal(isLid(null), false);
+	});
+});
+
+describe('normalizeWaId', () => {
+	it('returns the same ID for every form of a Mexican mobile', () => {
+		for(const value of [ '5215512345678@c.us', '525512345678@c.us', '5512345678', '+52 55 1234 5678', '5215512345678@s.whatsapp.net' ]) {
+			assert.equal(normalizeWaId(value), '5215512345678@c.us', value);
+		}
+	});
+
+	it('drops the device of the chat ID', () => {
+		assert.equal(normalizeWaId('5215512345678:12@s.whatsapp.net'), '5215512345678@c.us');
+	});
+
+	it('keeps @lid and group IDs', () => {
+		assert.equal(normalizeWaId(' 123456789@lid '), '123456789@lid');
+		assert.equal(normalizeWaId('120363025@g.us'), '120363025@g.us');
+	});
+
+	it('rejects values that are not numbers', () => {
+		assert.equal(normalizeWaId('user@example.com'), null);
+		assert.equal(normalizeWaId(''), null);
+	});
+});
+
+describe('waIdVariants', () => {
+	it('lists the canonical ID first and the legacy Mexican form', () => {
+		assert.deepEqual(waIdVariants('5215512345678@c.us'), [ '5215512345678@c.us', '525512345678@c.us' ]);
+	});
+
+	it('keeps the ID as written', () => {
+		assert.deepEqual(waIdVariants('+1 415 555 0100'), [ '14155550100@c.us', '+1 415 555 0100' ]);
+	});
+
+	it('does not repeat opaque IDs', () => {
+		assert.deepEqual(waIdVariants('abc@lid'), [ 'abc@lid' ]);
+		assert.deepEqual(waIdVariants(null), []);
+	});
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseVCards } from '#utils/vcard.js';
+
+describe('parseVCards', () => {
+	it('reads the name and the WhatsApp ID of the waid parameter', () => {
+		const cards = parseVCards([
+			'BEGIN:VCARD',
+			'VERSION:3.0',
+			'FN:Ana López',
+			'TEL;type=CELL;waid=5215512345678:+52 1 55 1234 5678',
+			'END:VCARD',
+		].join('\r\n'));
+
+		assert.deepEqual(cards, [ {
+			name: 'Ana López',
+			phones: [ { number: '+52 1 55 1234 5678', idWa: '5215512345678@c.us', type: 'CELL' } ],
+		} ]);
+	});
+
+	it('normalizes the number when there is no waid', () => {
+		const [ card ] = parseVCards('BEGIN:VCARD\nFN:Luis\nitem1.TEL;CELL:55 8765 4321\nEND:VCARD');
+
+		assert.deepEqual(card.phones, [ { number: '55 8765 4321', idWa: '5215587654321@c.us', type: 'CELL' } ]);
+	});
+
+	it('builds the name from N when FN is missing', () => {
+		const [ card ] = parseVCards('BEGIN:VCARD\nN:Pérez;María;José;;\nTEL:+14155550100\nEND:VCARD');
+
+		assert.equal(card.name, 'María José Pérez');
+		assert.equal(card.phones[0].idWa, '14155550100@c.us');
+	});
+
+	it('unfolds continued lines and reads several cards', () => {
+		const cards = parseVCards([
+			'BEGIN:VCARD',
+			'FN:Carlos Ra',
+			' mírez',
+			'TEL:5511112222',
+			'END:VCARD',
+			'BEGIN:VCARD',
+			'FN:Sin teléfono',
+			'END:VCARD',
+		].join('\n'));
+
+		assert.equal(cards.length, 2);
+		assert.equal(cards[0].name, 'Carlos Ramírez');
+		assert.deepEqual(cards[1].phones, []);
+	});
+
+	it('returns an empty list without vCards', () => {
+		assert.deepEqual(parseVCards(''), []);
+		assert.deepEqual(parseVCards('hola'), []);
+	});
+});
@@ -0,0 +1,38 @@
+import ContactService from '#services/contact.service.js';
+
+/**
+ * Saves a contact, optionally with an alias, in the contact book of the user.
+ */
+export default {
+	name: 'addContact',
+	description: 'Save a contact in the contact book of the user, optionally with an alias (e.g. "mamá") to send money to them later by that name. Saving an existing phone number updates its name and alias.',
+	parameters: {
+		type: 'object',
+		properties: {
+			name: {
+				type: 'string',
+				description: 'The name of the contact.',
+			},
+			alias: {
+				type: [ 'string', 'null' ],
+				description: 'A short name the user will use to refer to the contact, or null if the user did not give one.',
+			},
+			phoneNumber: {
+				type: 'string',
+				description: 'The phone number of the contact. Always formatted for WhatsApp. Example: 5212345678901@c.us',
+			},
+		},
+		required: [ 'name', 'alias', 'phoneNumber' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		return ContactService.add(user, args);
+	},
+
+	format(contact) {
+		return { success: true, contact: ContactService.summarize(contact) };
+	},
+};
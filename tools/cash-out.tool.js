@@ -0,0 +1,58 @@
+import ConfirmationService from '#services/confirmation.service.js';
+import CashOutService from '#entities/cashouts/cashout.service.js';
+
+/**
+ * Requests a cash-out of MXNB to a bank account of the user through SPEI.
+ * The CLABE is validated with its check digit and registered the first time it is used.
+ * No funds are moved here: a pending intent is stored and the cash-out is executed
+ * only after the user confirms it (see ConfirmationService).
+ */
+export default {
+	name: 'cashOut',
+	description: 'Request a cash-out of MXNB from the wallet to a bank account of the user through SPEI (each MXNB is paid as 1 MXN). Use it when the user wants to "retirar", cash out or send their money to their bank. The money is not sent until the user confirms in their next message. If the amount is missing, ask the user for it. Send the 18 digit CLABE when the user gives one, or null to use their registered account; a new CLABE also needs the full name of the account holder, ask for it if it is missing.',
+	parameters: {
+		type: 'object',
+		properties: {
+			amount: {
+				type: 'number',
+				description: 'The amount of MXNB to cash out.',
+			},
+			clabe: {
+				type: [ 'string', 'null' ],
+				description: 'The 18 digit CLABE of the bank account, or null to use the registered account of the user.',
+			},
+			beneficiary: {
+				type: [ 'string', 'null' ],
+				description: 'The full name of the holder of the bank account, or null if the user did not give it.',
+			},
+		},
+		required: [ 'amount', 'clabe', 'beneficiary' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'wallet' ],
+
+	async handler(args, { user, idWa, idMessage }) {
+
+		console.info('Cash out function called with args:', args);
+
+		// a redelivery of the same message must not produce a second cash-out
+		const idempotencyKey = idMessage ? `cashOut:${ idMessage }` : null;
+
+		return CashOutService.request(user, idWa, args, idempotencyKey);
+	},
+
+	format(result) {
+		// the cash-out is not executed yet, the user must confirm the pending intent
+		return {
+			status: 'AwaitingConfirmation',
+			amount: result.amount,
+			token: result.token,
+			bankAccount: CashOutService.describeAccount(result.account),
+			beneficiary: result.account.beneficiary,
+			receives: `$${ result.amount } MXN por SPEI`,
+			expires: result.intent.expires,
+			confirmationInstructions: ConfirmationService.describe(result.intent),
+		};
+	},
+};
@@ -0,0 +1,35 @@
+import primate from '@thewebchimp/primate';
+
+/**
+ * Changes the email address of the user.
+ */
+export default {
+	name: 'changeEmail',
+	description: 'Change the email address of the user',
+	parameters: {
+		type: 'object',
+		properties: {
+			email: {
+				type: 'string',
+				description: 'The new email address of the user.',
+			},
+		},
+		required: [ 'email' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		return primate.prisma.user.update({
+			where: { id: user.id },
+			data: {
+				email: args.email || user.email,
+			},
+		});
+	},
+
+	format(user) {
+		return { success: true, email: user.email };
+	},
+};
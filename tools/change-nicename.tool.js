@@ -0,0 +1,35 @@
+import primate from '@thewebchimp/primate';
+
+/**
+ * Changes the preferred name of the user.
+ */
+export default {
+	name: 'changeNicename',
+	description: 'Change the preferred name of the user',
+	parameters: {
+		type: 'object',
+		properties: {
+			nicename: {
+				type: 'string',
+				description: 'The new preferred name of the user.',
+			},
+		},
+		required: [ 'nicename' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		return primate.prisma.user.update({
+			where: { id: user.id },
+			data: {
+				nicename: args.nicename || user.nicename,
+			},
+		});
+	},
+
+	format(user) {
+		return { success: true, nicename: user.nicename };
+	},
+};
@@ -0,0 +1,56 @@
+import TransferService from '#entities/transfers/transfer.service.js';
+import NetworkService from '#services/network.service.js';
+
+/**
+ * Lists the recent token transfers sent and received by the user, from the transfer ledger.
+ */
+export default {
+	name: 'getTransactionHistory',
+	description: 'List the recent money transfers sent and received by the user, with the counterpart name, the amount and the date. Use it when the user asks who they sent money to or who sent them money.',
+	parameters: {
+		type: 'object',
+		properties: {
+			direction: {
+				type: 'string',
+				enum: [ 'all', 'sent', 'received' ],
+				description: 'Which transfers to list: all of them, only the ones sent by the user or only the ones received.',
+			},
+			limit: {
+				type: 'number',
+				description: 'The number of transfers to list, between 1 and 20. Use 5 unless the user asks for more.',
+			},
+		},
+		required: [ 'direction', 'limit' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		const { data } = await TransferService.listByUser(user.id, {
+			direction: args.direction === 'all' ? undefined : args.direction,
+			status: 'Completed',
+			limit: Math.min(args.limit || 5, 20),
+		});
+
+		return { idUser: user.id, transfers: data };
+	},
+
+	format({ idUser, transfers }) {
+		return {
+			count: transfers.length,
+			transfers: transfers.map(transfer => {
+				const sent = transfer.idSender === idUser;
+				const counterpart = sent ? transfer.recipient : transfer.sender;
+
+				return {
+					direction: sent ? 'sent' : 'received',
+					counterpart: (sent && transfer.metas?.contactName) || counterpart?.nicename || counterpart?.idWa || transfer.metas?.fromAddress,
+					amount: transfer.amount.toString(),
+					symbol: transfer.metas?.tokenSymbol || NetworkService.findByAddress(transfer.tokenAddress)?.symbol,
+					date: transfer.created,
+				};
+			}),
+		};
+	},
+};
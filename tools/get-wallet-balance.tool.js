@@ -0,0 +1,35 @@
+import CryptoService from '#services/crypto.service.js';
+import NetworkService from '#services/network.service.js';
+
+/**
+ * Gets the balance of the wallet of the user in one token, or in every supported token.
+ */
+export default {
+	name: 'getWalletBalance',
+	description: 'Get the wallet balance of the user',
+	parameters: {
+		type: 'object',
+		properties: {
+			token: {
+				type: [ 'string', 'null' ],
+				description: `The symbol of the token to check (${ NetworkService.symbols.join(', ') }), or null for the balance of every token.`,
+			},
+		},
+		required: [ 'token' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'wallet' ],
+
+	async handler(args, { user }) {
+		// the balance is always read from the wallet of the user
+		const tokens = args.token ? [ NetworkService.getToken(args.token) ] : NetworkService.tokens;
+
+		return Promise.all(tokens.map(token => CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals)));
+	},
+
+	format(balances) {
+		if(balances.length === 1) return { balance: balances[0].balance, symbol: balances[0].symbol };
+		return { balances: balances.map(balance => ({ balance: balance.balance, symbol: balance.symbol })) };
+	},
+};
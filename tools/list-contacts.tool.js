@@ -0,0 +1,25 @@
+import ContactService from '#services/contact.service.js';
+
+/**
+ * Lists the contact book of the user.
+ */
+export default {
+	name: 'listContacts',
+	description: 'List the saved contacts of the user, with their alias and phone number, the most recently used first.',
+	parameters: {
+		type: 'object',
+		properties: {},
+		required: [],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		return ContactService.list(user.id);
+	},
+
+	format(contacts) {
+		return { count: contacts.length, contacts: contacts.map(ContactService.summarize) };
+	},
+};
@@ -0,0 +1,33 @@
+import ContactService from '#services/contact.service.js';
+
+/**
+ * Removes a contact from the contact book of the user.
+ */
+export default {
+	name: 'removeContact',
+	description: 'Remove a contact from the contact book of the user. If more than one contact matches, ask the user which one to remove and call the tool again with its phone number.',
+	parameters: {
+		type: 'object',
+		properties: {
+			contact: {
+				type: 'string',
+				description: 'The alias, name or phone number of the contact to remove.',
+			},
+		},
+		required: [ 'contact' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'user' ],
+
+	async handler(args, { user }) {
+		return ContactService.remove(user.id, args.contact);
+	},
+
+	format({ removed, matches }) {
+		if(removed) return { success: true, contact: ContactService.summarize(removed) };
+		if(!matches.length) return { success: false, error: 'Contact not found' };
+
+		return { success: false, status: 'Ambiguous', candidates: matches.map(ContactService.summarize) };
+	},
+};
@@ -0,0 +1,117 @@
+import CryptoService from '#services/crypto.service.js';
+import ConfirmationService from '#services/confirmation.service.js';
+import ContactService from '#services/contact.service.js';
+import { normalizeWaId } from '#utils/phone.js';
+import LimitService from '#entities/limits/limit.service.js';
+import NetworkService from '#services/network.service.js';
+
+/**
+ * Requests a transfer to a contact.
+ * When no phone number is given, the recipient is looked up by alias or name in the contact book of the user.
+ * No funds are moved here: a pending intent is stored and the transfer is executed
+ * only after the user confirms it (see ConfirmationService).
+ */
+export default {
+	name: 'sendMoney',
+	description: 'Request a money transfer to a contact. The money is not sent until the user confirms the transfer in their next message. If the user refers to a saved contact by alias or name (e.g. "mamá"), send the name with a null phone number and it will be looked up in their contact book; if several contacts match, ask the user which one they mean. If the amount is missing, ask the user for it. If the contact is unknown, ask the user to share a contact card.',
+	parameters: {
+		type: 'object',
+		properties: {
+			amount: {
+				type: 'number',
+				description: 'The amount of money to send.',
+			},
+			token: {
+				type: [ 'string', 'null' ],
+				description: `The symbol of the token to send (${ NetworkService.symbols.join(', ') }), or null if the user does not name one.`,
+			},
+			contact: {
+				type: 'object',
+				properties: {
+					name: {
+						type: 'string',
+						description: 'The name or alias of the recipient.',
+					},
+					phoneNumber: {
+						type: [ 'string', 'null' ],
+						description: 'The phone number of the recipient, always formatted for WhatsApp (example: 5212345678901@c.us), or null to look the recipient up in the contact book.',
+					},
+				},
+				required: [ 'name', 'phoneNumber' ],
+				additionalProperties: false,
+			},
+		},
+		required: [ 'amount', 'token', 'contact' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'wallet' ],
+
+	async handler(args, { user, idWa, idMessage }) {
+
+		console.info('Send money function called with args:', args);
+
+		const amount = args.amount;
+		if(!amount) throw new Error('Amount is required');
+
+		const token = NetworkService.getToken(args.token);
+
+		const contact = args.contact;
+		if(!contact) throw new Error('Contact is required');
+		if(!contact.name && !contact.phoneNumber) throw new Error('Contact name and phone number are required');
+
+		let contactName = contact.name;
+		let contactNumber = contact.phoneNumber;
+
+		// "mándale 50 a mamá": the recipient comes from the contact book
+		if(!contactNumber) {
+			const matches = await ContactService.resolve(user.id, contactName);
+			if(!matches.length) throw new Error(`Contact ${ contactName } not found, ask the user for the phone number or a contact card`);
+			if(matches.length > 1) return { ambiguous: true, candidates: matches };
+
+			contactName = matches[0].name;
+			contactNumber = matches[0].idWa;
+		}
+
+		if(!contactName) throw new Error('Contact name is required');
+
+		contactNumber = normalizeWaId(contactNumber);
+		if(!contactNumber) throw new Error('Invalid contact phone number, ask the user to check it or share a contact card');
+
+		// the limits are checked again when the transfer is executed, this only avoids a useless confirmation
+		await LimitService.check(user, { amount, contactNumber, token: token.symbol });
+
+		// check the balance now so the user is not asked to confirm a transfer that cannot happen
+		const balance = await CryptoService.getTokenBalance(user.metas.wallet.address, token.address, token.decimals);
+		if(parseFloat(balance.balance) < amount) throw new Error('Insufficient balance');
+
+		// a redelivery of the same message must not produce a second transfer
+		const idempotencyKey = idMessage ? `sendMoney:${ idMessage }` : null;
+
+		const intent = await ConfirmationService.create(user, idWa, 'sendMoney', {
+			amount,
+			token: token.symbol,
+			contactName,
+			contactNumber,
+		}, idempotencyKey);
+
+		return { intent, amount, token: token.symbol, contactName, contactNumber, balance };
+	},
+
+	format(result) {
+		if(result.ambiguous) {
+			return { status: 'Ambiguous', candidates: result.candidates.map(ContactService.summarize) };
+		}
+
+		// the transfer is not executed yet, the user must confirm the pending intent
+		return {
+			status: 'AwaitingConfirmation',
+			amount: result.amount,
+			token: result.token,
+			contactName: result.contactName,
+			contactNumber: result.contactNumber,
+			expires: result.intent.expires,
+			confirmationInstructions: ConfirmationService.describe(result.intent),
+		};
+	},
+};
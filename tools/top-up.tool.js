@@ -0,0 +1,52 @@
+import DepositService from '#services/deposit.service.js';
+
+/**
+ * Explains how to top up the wallet with a SPEI transfer: to the personal CLABE of the user, created
+ * the first time, or to a one-time payment reference when the user gives an amount.
+ * The deposit is credited as MXNB and the user is notified when it reaches the wallet (see DepositService).
+ */
+export default {
+	name: 'topUp',
+	description: 'Give the user the instructions to top up their wallet with MXN through a SPEI bank transfer. Use it when the user wants to "recargar", deposit or add money to their wallet. If the user says how much they want to deposit, send the amount to create a one-time payment reference; otherwise send null and they get their personal CLABE.',
+	parameters: {
+		type: 'object',
+		properties: {
+			amount: {
+				type: [ 'number', 'null' ],
+				description: 'The amount in MXN the user wants to deposit, or null if they did not say.',
+			},
+		},
+		required: [ 'amount' ],
+		additionalProperties: false,
+	},
+	strict: true,
+	requires: [ 'wallet' ],
+
+	async handler(args, { user }) {
+		if(args.amount !== null && args.amount !== undefined && args.amount <= 0) throw new Error('The amount must be greater than zero');
+
+		if(args.amount) {
+			const reference = await DepositService.createPaymentReference(user, args.amount);
+			return { clabe: reference.clabe, amount: reference.amount.toString(), beneficiary: reference.metas?.beneficiary, expires: reference.expires };
+		}
+
+		return { clabe: await DepositService.clabeFor(user), amount: null, beneficiary: null, expires: null };
+	},
+
+	format(result) {
+		const instructions = [
+			'Desde la app o portal de tu banco haz una transferencia SPEI a la CLABE indicada.',
+			result.amount ? `Transfiere exactamente $${ result.amount } MXN, esta CLABE es solo para este pago.` : 'Puedes transferir el monto que quieras, esta CLABE es tuya y puedes usarla siempre.',
+			'Cada peso que deposites se convierte en 1 MXNB en tu billetera de WAPA.',
+			'Te avisaremos por WhatsApp cuando recibamos el depósito y cuando los MXNB lleguen a tu billetera.',
+		];
+
+		return {
+			clabe: result.clabe,
+			amount: result.amount,
+			beneficiary: result.beneficiary,
+			expires: result.expires,
+			instructions,
+		};
+	},
+};
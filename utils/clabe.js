@@ -0,0 +1,92 @@
+/**
+ * Weights of the CLABE check digit, repeated over the first 17 digits.
+ * @type {number[]}
+ */
+const WEIGHTS = [ 3, 7, 1 ];
+
+/**
+ * Names of the most common banks by the first three digits of the CLABE.
+ * @type {Object<string, string>}
+ */
+const BANKS = {
+	'002': 'Banamex',
+	'012': 'BBVA',
+	'014': 'Santander',
+	'021': 'HSBC',
+	'030': 'BanBajío',
+	'036': 'Inbursa',
+	'044': 'Scotiabank',
+	'058': 'Banregio',
+	'072': 'Banorte',
+	'127': 'Banco Azteca',
+	'137': 'BanCoppel',
+	'638': 'Nu México',
+	'646': 'STP',
+	'722': 'Mercado Pago',
+};
+
+/**
+ * Calculates the check digit of the first 17 digits of a CLABE.
+ *
+ * @param {string} digits - The first 17 digits.
+ * @returns {number}
+ */
+function checkDigit(digits) {
+	const sum = digits
+		.split('')
+		.reduce((total, digit, index) => total + (Number(digit) * WEIGHTS[index % 3]) % 10, 0);
+
+	return (10 - sum % 10) % 10;
+}
+
+/**
+ * Parses a CLABE written with or without spaces and validates its check digit.
+ *
+ * @param {string} value - The CLABE.
+ * @returns {{clabe: string, bankCode: string, bankName: string|null}|null} - The parsed CLABE, or null if it is not valid.
+ */
+function parseClabe(value) {
+	if(!value) return null;
+
+	const clabe = String(value).replace(/[\s-]/g, '');
+	if(!/^\d{18}$/.test(clabe)) return null;
+
+	if(checkDigit(clabe.slice(0, 17)) !== Number(clabe[17])) return null;
+
+	const bankCode = clabe.slice(0, 3);
+
+	return { clabe, bankCode, bankName: BANKS[bankCode] || null };
+}
+
+/**
+ * Whether a CLABE has 18 digits and a valid check digit.
+ *
+ * @param {string} value - The CLABE.
+ * @returns {boolean}
+ */
+function isValidClabe(value) {
+	return !!parseClabe(value);
+}
+
+/**
+ * Completes the first 17 digits of a CLABE with its check digit.
+ *
+ * @param {string} digits - The bank code, the branch and the account, 17 digits.
+ * @returns {string} - The 18 digit CLABE.
+ */
+function buildClabe(digits) {
+	if(!/^\d{17}$/.test(digits)) throw new Error('A CLABE is built from 17 digits');
+	return `${ digits }${ checkDigit(digits) }`;
+}
+
+/**
+ * Hides all but the last four digits of a CLABE, to show it in messages.
+ *
+ * @param {string} clabe - The CLABE.
+ * @returns {string}
+ */
+function maskClabe(clabe) {
+	return `****${ String(clabe).slice(-4) }`;
+}
+
+export { parseClabe, isValidClabe, buildClabe, maskClabe };
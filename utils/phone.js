@@ -0,0 +1,117 @@
+/**
+ * Country code of Mexico, the default for numbers written without one.
+ * @type {string}
+ */
+const MEXICO = '52';
+
+/**
+ * Parses a phone number written in any format into its E.164 digits.
+ *
+ * - Numbers with + or 00 are international and keep their country code.
+ * - Ten digit numbers, and the old 044/045 mobile prefixes, are Mexican.
+ * - Eleven digit numbers starting with 1 are from the North American plan (US, Canada).
+ * - Mexican mobile numbers are always returned with the "1" WhatsApp uses after the country
+ *   code (521 55 1234 5678), whether it was written or not.
+ *
+ * @param {string} value - The phone number.
+ * @returns {{countryCode: string, national: string, e164: string}|null} - The parsed number, or null if it is not valid.
+ */
+function parsePhone(value) {
+	if(!value) return null;
+
+	const raw = String(value).trim();
+	const international = raw.startsWith('+') || raw.startsWith('00');
+
+	let digits = raw.replace(/\D/g, '');
+	if(raw.startsWith('00')) digits = digits.slice(2);
+
+	if(!international) {
+		if(digits.length === 13 && /^04[45]/.test(digits)) digits = MEXICO + '1' + digits.slice(3);
+		else if(digits.length === 10) digits = MEXICO + '1' + digits;
+	}
+
+	if(digits.startsWith(MEXICO)) {
+		const national = digits.slice(MEXICO.length);
+
+		// 52 55 1234 5678 and 521 55 1234 5678 are the same WhatsApp account
+		if(national.length === 10) digits = MEXICO + '1' + national;
+		else if(national.length !== 11 || !national.startsWith('1')) return null;
+
+		return { countryCode: MEXICO, national: digits.slice(3), e164: `+${ digits }` };
+	}
+
+	if(digits.length < 8 || digits.length > 15) return null;
+
+	if(digits.length === 11 && digits.startsWith('1')) {
+		return { countryCode: '1', national: digits.slice(1), e164: `+${ digits }` };
+	}
+
+	return { countryCode: null, national: null, e164: `+${ digits }` };
+}
+
+/**
+ * Whether a WhatsApp ID is a linked device ID (@lid), which does not contain a phone number.
+ *
+ * @param {string} idWa - The WhatsApp ID.
+ * @returns {boolean}
+ */
+function isLid(idWa) {
+	return typeof idWa === 'string' && idWa.trim().endsWith('@lid');
+}
+
+/**
+ * Normalizes a WhatsApp ID or a phone number into the canonical chat ID used as User.idWa.
+ *
+ * Phone numbers and @c.us / @s.whatsapp.net IDs become <E.164 digits>@c.us, with the Mexican
+ * mobile "1". @lid and group (@g.us) IDs are opaque and are only trimmed.
+ *
+ * @param {string} value - The WhatsApp ID or phone number.
+ * @returns {string|null} - The canonical ID, or null if it is not valid.
+ */
+function normalizeWaId(value) {
+	if(!value) return null;
+
+	const id = String(value).trim();
+
+	if(isLid(id) || id.endsWith('@g.us')) return id;
+
+	const suffix = /@(c\.us|s\.whatsapp\.net)$/;
+	const isChatId = suffix.test(id);
+
+	// 5215512345678:12@s.whatsapp.net carries the device after the colon
+	let phone = id.replace(suffix, '').split(':')[0];
+	if(phone.includes('@')) return null;
+
+	// the digits of a chat ID start with the country code, unless they are a bare 10 digit number
+	const digits = phone.replace(/\D/g, '');
+	if(isChatId && digits.length !== 10) phone = `+${ digits }`;
+
+	const parsed = parsePhone(phone);
+	if(!parsed) return null;
+
+	return `${ parsed.e164.slice(1) }@c.us`;
+}
+
+/**
+ * Lists the forms a WhatsApp ID may be stored in, the canonical one first.
+ *
+ * Users registered before the IDs were normalized may keep the ID exactly as WAHA sent it or, for
+ * Mexican mobiles, without the "1" after the country code (5255…@c.us), so lookups try every form.
+ *
+ * @param {string} value - The WhatsApp ID or phone number.
+ * @returns {string[]} - The possible stored IDs, without repetitions.
+ */
+function waIdVariants(value) {
+	if(!value) return [];
+
+	const canonical = normalizeWaId(value);
+	const variants = [ canonical, String(value).trim() ];
+
+	if(canonical?.startsWith(`${ MEXICO }1`) && canonical.endsWith('@c.us')) {
+		variants.push(`${ MEXICO }${ canonical.slice(MEXICO.length + 1) }`);
+	}
+
+	return [ ...new Set(variants.filter(Boolean)) ];
+}
+
+export { parsePhone, isLid, normalizeWaId, waIdVariants };
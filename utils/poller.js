@@ -0,0 +1,60 @@
+/**
+ * Runs a task periodically in the background.
+ *
+ * Runs never overlap: a tick is skipped while the previous one is still running, so a slow
+ * provider or database never piles up concurrent runs. Errors are logged and the poller keeps going.
+ */
+class Poller {
+
+	#timer = null;
+	#ticking = false;
+
+	/**
+	 * @param {string} name - The name of the poller, used in the logs.
+	 * @param {Function} task - Async function run on every tick.
+	 */
+	constructor(name, task) {
+		this.name = name;
+		this.task = task;
+	}
+
+	/**
+	 * Starts running the task every interval.
+	 *
+	 * @param {number} interval - Milliseconds between ticks.
+	 * @returns {boolean} - Whether it was started now (false if it was already running).
+	 */
+	start(interval) {
+		if(this.#timer) return false;
+
+		this.#timer = setInterval(() => this.tick(), interval);
+		return true;
+	}
+
+	/**
+	 * Stops the poller. A tick already running is not interrupted.
+	 */
+	stop() {
+		clearInterval(this.#timer);
+		this.#timer = null;
+	}
+
+	/**
+	 * Runs the task once, unless the previous run is still going.
+	 * @returns {Promise<void>}
+	 */
+	async tick() {
+		if(this.#ticking) return;
+		this.#ticking = true;
+
+		try {
+			await this.task();
+		} catch(e) {
+			console.error(`Error in ${ this.name } tick:`, e);
+		} finally {
+			this.#ticking = false;
+		}
+	}
+}
+
+export default Poller;
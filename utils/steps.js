@@ -0,0 +1,42 @@
+/**
+ * Builds an entry of the history kept in `metas.steps` by the records that go through several steps
+ * (deposits, cash-outs).
+ *
+ * @param {string} name - The name of the step.
+ * @param {Object} [details={}] - Additional data stored with the step.
+ * @returns {{step: string, at: Date}}
+ */
+function buildStep(name, details = {}) {
+	return { step: name, at: new Date(), ...details };
+}
+
+/**
+ * Returns the metas of a record with a step appended to its history.
+ *
+ * @param {Object|null} metas - The current metas of the record.
+ * @param {string} name - The name of the step.
+ * @param {Object} [details={}] - Additional data stored with the step.
+ * @returns {Object}
+ */
+function appendStep(metas, name, details = {}) {
+	return { ...metas, steps: [ ...(metas?.steps || []), buildStep(name, details) ] };
+}
+
+/**
+ * Updates a record and appends a step to its history.
+ *
+ * @param {Object} model - The Prisma model of the record (primate.prisma.deposit, primate.prisma.cashOut...).
+ * @param {Object} record - The record, with its current metas.
+ * @param {Object} fields - The fields to update.
+ * @param {string} name - The name of the step.
+ * @param {Object} [details={}] - Additional data stored with the step.
+ * @returns {Promise<Object>} - The updated record.
+ */
+function updateWithStep(model, record, fields, name, details = {}) {
+	return model.update({
+		where: { id: record.id },
+		data: { ...fields, metas: appendStep(record.metas, name, details) },
+	});
+}
+
+export { buildStep, appendStep, updateWithStep };
@@ -0,0 +1,73 @@
+import { normalizeWaId } from '#utils/phone.js';
+
+/**
+ * Parses the parameters of a vCard property (TEL;type=CELL;waid=5215512345678).
+ *
+ * @param {string} raw - The property name with its parameters.
+ * @returns {{name: string, params: Object<string, string>}}
+ */
+function parseProperty(raw) {
+	const [ name, ...rest ] = raw.split(';');
+	const params = {};
+
+	for(const param of rest) {
+		const [ key, value = '' ] = param.split('=');
+		const paramKey = key.toLowerCase();
+
+		// bare parameters (TEL;CELL) are types
+		if(!value) params.type = [ params.type, key ].filter(Boolean).join(',');
+		else params[paramKey] = params[paramKey] ? `${ params[paramKey] },${ value }` : value;
+	}
+
+	// item1.TEL is a grouped property, the group is not relevant here
+	return { name: name.split('.').pop().toUpperCase(), params };
+}
+
+/**
+ * Parses the vCards shared in a WhatsApp message.
+ *
+ * The WhatsApp ID of every phone number is taken from its waid parameter when present,
+ * or normalized from the number otherwise.
+ *
+ * @param {string} text - One or more vCards.
+ * @returns {Array<{name: string, phones: Array<{number: string, idWa: ?string, type: ?string}>}>}
+ */
+function parseVCards(text) {
+	if(!text) return [];
+
+	// unfold the lines continued with a space or a tab
+	const lines = String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+
+	const cards = [];
+	let card = null;
+
+	for(const line of lines) {
+		const separator = line.indexOf(':');
+		if(separator === -1) continue;
+
+		const { name, params } = parseProperty(line.slice(0, separator));
+		const value = line.slice(separator + 1).trim();
+
+		if(name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+			card = { name: '', structuredName: '', phones: [] };
+		} else if(!card) {
+			continue;
+		} else if(name === 'FN') {
+			card.name = value;
+		} else if(name === 'N') {
+			// N:Last;First;Middle;Prefix;Suffix
+			const [ last, first, middle ] = value.split(';');
+			card.structuredName = [ first, middle, last ].filter(Boolean).join(' ');
+		} else if(name === 'TEL') {
+			const idWa = params.waid ? normalizeWaId(`${ params.waid }@c.us`) : normalizeWaId(value);
+			card.phones.push({ number: value, idWa, type: params.type || null });
+		} else if(name === 'END' && value.toUpperCase() === 'VCARD') {
+			cards.push({ name: card.name || card.structuredName, phones: card.phones });
+			card = null;
+		}
+	}
+
+	return cards;
+}
+
+export { parseVCards };